@@ -0,0 +1,221 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import aStar, { euclideanHeuristic, manhattanHeuristic, zeroHeuristic } from '../aStar';
+import dijkstra from '../../dijkstra/dijkstra';
+import { gridGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * Sets "x" and "y" attributes of the grid vertices from their "row,column" keys.
+ *
+ * @param {Graph} graph
+ * @return {Graph}
+ */
+function placeGridVertices(graph) {
+  graph.getAllVertices().forEach((vertex) => {
+    const [row, column] = vertex.getKey().split(',').map(Number);
+    vertex.setAttribute('x', column);
+    vertex.setAttribute('y', row);
+  });
+
+  return graph;
+}
+
+describe('aStar', () => {
+  it('should provide built-in heuristics', () => {
+    const vertexA = new GraphVertex('A', { x: 1, y: 2 });
+    const vertexB = new GraphVertex('B', { x: 4, y: 6 });
+
+    expect(zeroHeuristic(vertexA, vertexB)).toBe(0);
+    expect(manhattanHeuristic(vertexA, vertexB)).toBe(7);
+    expect(manhattanHeuristic(vertexB, vertexA)).toBe(7);
+    expect(euclideanHeuristic(vertexA, vertexB)).toBe(5);
+    expect(euclideanHeuristic(vertexA, vertexA)).toBe(0);
+  });
+
+  it('should find the shortest path in weighted graph', () => {
+    const vertexA = new GraphVertex('A', { x: 0, y: 0 });
+    const vertexB = new GraphVertex('B', { x: 3, y: 4 });
+    const vertexC = new GraphVertex('C', { x: 6, y: 0 });
+    const vertexD = new GraphVertex('D', { x: 10, y: 0 });
+    const vertexE = new GraphVertex('E', { x: 3, y: -4 });
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 5))
+      .addEdge(new GraphEdge(vertexB, vertexD, 10))
+      .addEdge(new GraphEdge(vertexA, vertexE, 5))
+      .addEdge(new GraphEdge(vertexE, vertexC, 5))
+      .addEdge(new GraphEdge(vertexC, vertexD, 4))
+      .addEdge(new GraphEdge(vertexA, vertexD, 20));
+
+    const { path, cost, expandedCount } = aStar(graph, vertexA, vertexD, {
+      heuristic: euclideanHeuristic,
+    });
+
+    expect(path.map(vertex => vertex.getKey())).toEqual(['A', 'E', 'C', 'D']);
+    expect(cost).toBe(14);
+    expect(expandedCount).toBeGreaterThan(0);
+    expect(expandedCount).toBeLessThanOrEqual(graph.getAllVertices().length);
+  });
+
+  it('should find path from vertex to itself', () => {
+    const vertexA = new GraphVertex('A');
+    const graph = new Graph();
+    graph.addVertex(vertexA);
+
+    expect(aStar(graph, vertexA, vertexA)).toEqual({
+      path: [vertexA],
+      cost: 0,
+      expandedCount: 0,
+    });
+  });
+
+  it('should respect edge directions', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexC, vertexB, 1));
+
+    const { path, cost, expandedCount } = aStar(graph, vertexA, vertexC);
+
+    expect(path).toBeNull();
+    expect(cost).toBe(Infinity);
+    expect(expandedCount).toBe(2);
+
+    expect(aStar(graph, vertexC, vertexB).cost).toBe(1);
+  });
+
+  it('should use the cheapest of parallel edges and custom edge weights', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 7, { time: 1 }))
+      .addEdge(new GraphEdge(vertexA, vertexB, 3, { time: 5 }))
+      .addEdge(new GraphEdge(vertexB, vertexC, 2, { time: 2 }));
+
+    expect(aStar(graph, vertexC, vertexA).cost).toBe(5);
+
+    const { path, cost } = aStar(graph, vertexA, vertexC, {
+      getEdgeWeight: edge => edge.getAttribute('time'),
+    });
+
+    expect(path).toEqual([vertexA, vertexB, vertexC]);
+    expect(cost).toBe(3);
+  });
+
+  it('should not go through edges of infinite cost', () => {
+    const graph = placeGridVertices(gridGraph(5, 5));
+    const startVertex = graph.getVertexByKey('0,0');
+    const goalVertex = graph.getVertexByKey('0,4');
+
+    /**
+     * @param {boolean} hasGap - Whether the wall has a gap in the last row.
+     * @return {function(edge: GraphEdge): number}
+     */
+    const wallWeight = hasGap => (edge) => {
+      const isWall = [edge.startVertex, edge.endVertex].some((vertex) => {
+        return vertex.getAttribute('x') === 2 && !(hasGap && vertex.getAttribute('y') === 4);
+      });
+
+      return isWall ? Infinity : edge.weight;
+    };
+
+    expect(aStar(graph, startVertex, goalVertex, {
+      heuristic: manhattanHeuristic,
+      getEdgeWeight: wallWeight(false),
+    })).toEqual({ path: null, cost: Infinity, expandedCount: 10 });
+
+    const { path, cost } = aStar(graph, startVertex, goalVertex, {
+      heuristic: manhattanHeuristic,
+      getEdgeWeight: wallWeight(true),
+    });
+
+    expect(cost).toBe(12);
+    expect(path.length).toBe(13);
+    expect(path).toContain(graph.getVertexByKey('4,2'));
+  });
+
+  it('should find optimal path even with inconsistent heuristic', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexG = new GraphVertex('G');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexS, vertexA, 1))
+      .addEdge(new GraphEdge(vertexS, vertexB, 4))
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexG, 3));
+
+    // Admissible but not consistent: B gets expanded before the cheaper path to it is found.
+    const estimates = {
+      S: 0,
+      A: 5,
+      B: 0,
+      C: 3,
+      G: 0,
+    };
+
+    const { path, cost } = aStar(graph, vertexS, vertexG, {
+      heuristic: vertex => estimates[vertex.getKey()],
+    });
+
+    expect(path.map(vertex => vertex.getKey())).toEqual(['S', 'A', 'B', 'C', 'G']);
+    expect(cost).toBe(6);
+  });
+
+  it('should expand fewer vertices with heuristic than without it on grid', () => {
+    const graph = placeGridVertices(gridGraph(20, 20));
+    const startVertex = graph.getVertexByKey('0,0');
+    const goalVertex = graph.getVertexByKey('19,19');
+
+    const blind = aStar(graph, startVertex, goalVertex);
+    const manhattan = aStar(graph, startVertex, goalVertex, { heuristic: manhattanHeuristic });
+    const euclidean = aStar(graph, startVertex, goalVertex, { heuristic: euclideanHeuristic });
+
+    expect(blind.cost).toBe(38);
+    expect(manhattan.cost).toBe(38);
+    expect(euclidean.cost).toBe(38);
+
+    expect(manhattan.path.length).toBe(39);
+    expect(manhattan.path[0]).toBe(startVertex);
+    expect(manhattan.path[38]).toBe(goalVertex);
+
+    expect(manhattan.expandedCount).toBeLessThan(euclidean.expandedCount);
+    expect(euclidean.expandedCount).toBeLessThan(blind.expandedCount);
+  });
+
+  it('should find the same costs as Dijkstra on random weighted grids', () => {
+    for (let seed = 1; seed <= 5; seed += 1) {
+      const graph = placeGridVertices(gridGraph(12, 12, { seed, maxWeight: 10 }));
+      const startVertex = graph.getVertexByKey('0,0');
+      const { distances } = dijkstra(graph, startVertex);
+
+      graph.getAllVertices().forEach((goalVertex) => {
+        const { path, cost } = aStar(graph, startVertex, goalVertex, {
+          heuristic: manhattanHeuristic,
+        });
+
+        expect(cost).toBe(distances[goalVertex.getKey()]);
+
+        // Cost of returned path must match the reported one.
+        let pathCost = 0;
+        for (let i = 1; i < path.length; i += 1) {
+          pathCost += graph.findEdge(path[i - 1], path[i]).weight;
+        }
+        expect(pathCost).toBe(cost);
+      });
+    }
+  });
+});
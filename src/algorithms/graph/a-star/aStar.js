@@ -0,0 +1,115 @@
+import PriorityQueue from '../../../data-structures/priority-queue/PriorityQueue';
+import getShortestPath from '../../../utils/graph/getShortestPath';
+
+/**
+ * Heuristic that gives no hint at all. A* with it behaves like Dijkstra's algorithm.
+ *
+ * @return {number}
+ */
+export function zeroHeuristic() {
+  return 0;
+}
+
+/**
+ * Manhattan distance between "x" and "y" attributes of the vertices.
+ * It is admissible for grids where the cheapest move costs 1 and
+ * only horizontal and vertical moves are allowed.
+ *
+ * @param {GraphVertex} vertex
+ * @param {GraphVertex} goalVertex
+ * @return {number}
+ */
+export function manhattanHeuristic(vertex, goalVertex) {
+  return Math.abs(vertex.getAttribute('x') - goalVertex.getAttribute('x'))
+    + Math.abs(vertex.getAttribute('y') - goalVertex.getAttribute('y'));
+}
+
+/**
+ * Straight line distance between "x" and "y" attributes of the vertices.
+ * It is admissible whenever edge weights are not less than lengths of the edges.
+ *
+ * @param {GraphVertex} vertex
+ * @param {GraphVertex} goalVertex
+ * @return {number}
+ */
+export function euclideanHeuristic(vertex, goalVertex) {
+  return Math.hypot(
+    vertex.getAttribute('x') - goalVertex.getAttribute('x'),
+    vertex.getAttribute('y') - goalVertex.getAttribute('y'),
+  );
+}
+
+/**
+ * @typedef {Object} AStarOptions
+ *
+ * @property {function(vertex: GraphVertex, goalVertex: GraphVertex): number} [heuristic] -
+ *  Estimates the cost of the cheapest path from the vertex to the goal. The path found
+ *  is the shortest one as long as the estimate never exceeds the real cost.
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of going along the edge. By default the edge weight is used. Edges of infinite cost
+ *  are treated as blocked.
+ */
+
+/**
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {GraphVertex} goalVertex
+ * @param {AStarOptions} [options]
+ * @return {{path: (GraphVertex[]|null), cost: number, expandedCount: number}}
+ */
+export default function aStar(graph, startVertex, goalVertex, options = {}) {
+  const {
+    heuristic = zeroHeuristic,
+    getEdgeWeight = edge => edge.weight,
+  } = options;
+
+  // Cost of the cheapest known path from start vertex to every discovered vertex.
+  const costs = {};
+  const previousVertices = {};
+  const queue = new PriorityQueue();
+  let expandedCount = 0;
+
+  costs[startVertex.getKey()] = 0;
+  previousVertices[startVertex.getKey()] = null;
+  queue.add(startVertex, heuristic(startVertex, goalVertex));
+
+  while (!queue.isEmpty()) {
+    const currentVertex = queue.poll();
+
+    if (currentVertex.getKey() === goalVertex.getKey()) {
+      const { path, cost } = getShortestPath({ distances: costs, previousVertices }, currentVertex);
+
+      return { path, cost, expandedCount };
+    }
+
+    expandedCount += 1;
+
+    currentVertex.getEdges().forEach((edge) => {
+      // For undirected graphs current vertex may be the end one.
+      const neighbor = edge.startVertex === currentVertex ? edge.endVertex : edge.startVertex;
+      const costToNeighbor = costs[currentVertex.getKey()] + getEdgeWeight(edge);
+
+      // Edges of infinite cost (e.g. blocked grid cells) can't be a part of any path.
+      if (!Number.isFinite(costToNeighbor)) {
+        return;
+      }
+
+      // Vertex that has already been expanded gets back to the queue in case if
+      // cheaper path to it is found, so inconsistent heuristics are handled as well.
+      if (costs[neighbor.getKey()] === undefined || costToNeighbor < costs[neighbor.getKey()]) {
+        costs[neighbor.getKey()] = costToNeighbor;
+        previousVertices[neighbor.getKey()] = currentVertex;
+
+        const priority = costToNeighbor + heuristic(neighbor, goalVertex);
+        if (queue.hasValue(neighbor)) {
+          queue.changePriority(neighbor, priority);
+        } else {
+          queue.add(neighbor, priority);
+        }
+      }
+    });
+  }
+
+  return { path: null, cost: Infinity, expandedCount };
+}
@@ -2,6 +2,12 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import articulationPoints from '../articulationPoints';
+import breadthFirstSearch from '../../breadth-first-search/breadthFirstSearch';
+import {
+  pathGraph,
+  cycleGraph,
+  barabasiAlbertGraph,
+} from '../../graph-generators/graphGenerators';
 
 describe('articulationPoints', () => {
   it('should find articulation points in simple graph', () => {
@@ -229,4 +235,51 @@ describe('articulationPoints', () => {
     expect(articulationPointsSet.length).toBe(1);
     expect(articulationPointsSet[0].getKey()).toBe(vertexC.getKey());
   });
+
+  it('should find articulation points in generated paths and cycles', () => {
+    expect(Object.keys(articulationPoints(pathGraph(6))).sort()).toEqual(['1', '2', '3', '4']);
+    expect(Object.keys(articulationPoints(cycleGraph(6)))).toEqual([]);
+  });
+
+  it('should find the same articulation points as brute force on random graphs', () => {
+    // Count the vertices that are reachable from the first graph vertex.
+    const countReachableVertices = (graph) => {
+      const reachableVertices = {};
+      breadthFirstSearch(graph, graph.getAllVertices()[0], {
+        enterVertex: ({ currentVertex }) => {
+          reachableVertices[currentVertex.getKey()] = true;
+        },
+      });
+
+      return Object.keys(reachableVertices).length;
+    };
+
+    [1, 2].forEach((edgesPerVertex) => {
+      for (let seed = 1; seed <= 3; seed += 1) {
+        const graph = barabasiAlbertGraph(20, edgesPerVertex, { seed });
+
+        // Vertex is an articulation point if its removal disconnects the graph.
+        const expectedArticulationPoints = graph.getAllVertices()
+          .filter((vertex) => {
+            const subgraph = graph.clone();
+            subgraph.deleteVertex(subgraph.getVertexByKey(vertex.getKey()));
+            return countReachableVertices(subgraph) < subgraph.getAllVertices().length;
+          })
+          .map(vertex => vertex.getKey())
+          .sort();
+
+        expect(Object.keys(articulationPoints(graph)).sort()).toEqual(expectedArticulationPoints);
+      }
+    });
+  });
+
+  it('should find articulation points of long path without stack overflow', () => {
+    const verticesCount = 20000;
+    const points = articulationPoints(pathGraph(verticesCount));
+
+    // All the vertices except the ends of the path.
+    expect(Object.keys(points).length).toBe(verticesCount - 2);
+    expect(points['0']).toBeUndefined();
+    expect(points[`${verticesCount - 1}`]).toBeUndefined();
+  });
 });
@@ -1,4 +1,4 @@
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * Helper class for visited vertex metadata.
@@ -107,7 +107,7 @@ export default function articulationPoints(graph) {
   };
 
   // Do Depth First Search traversal over submitted graph.
-  depthFirstSearch(graph, startVertex, dfsCallbacks);
+  depthFirstSearchIterative(graph, startVertex, dfsCallbacks);
 
   return articulationPointsSet;
 }
@@ -2,6 +2,9 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import bellmanFord from '../bellmanFord';
+import getShortestPath from '../../../../utils/graph/getShortestPath';
+import floydWarshall from '../../floyd-warshall/floydWarshall';
+import { erdosRenyiGraph, randomDag } from '../../graph-generators/graphGenerators';
 
 describe('bellmanFord', () => {
   it('should find minimum paths to all vertices for undirected graph', () => {
@@ -114,4 +117,344 @@ describe('bellmanFord', () => {
     expect(previousVertices.A.getKey()).toBe('D');
     expect(previousVertices.D.getKey()).toBe('E');
   });
+
+  it('should find minimum paths in directed multigraph with parallel edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 4))
+      .addEdge(new GraphEdge(vertexA, vertexB, -1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 3))
+      .addEdge(new GraphEdge(vertexB, vertexC, 2))
+      .addEdge(new GraphEdge(vertexA, vertexC, 2));
+
+    const { distances, previousVertices } = bellmanFord(graph, vertexA);
+
+    expect(distances).toEqual({
+      A: 0,
+      B: -1,
+      C: 1,
+    });
+
+    expect(previousVertices.B.getKey()).toBe('A');
+    expect(previousVertices.C.getKey()).toBe('B');
+  });
+
+  it('should find minimum paths using custom edge weight accessor', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1, { cost: 4 }))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1, { cost: -2 }))
+      .addEdge(new GraphEdge(vertexA, vertexC, 1, { cost: 3 }));
+
+    const { distances, previousVertices } = bellmanFord(graph, vertexA, {
+      getEdgeWeight: edge => edge.getAttribute('cost'),
+    });
+
+    expect(distances).toEqual({ A: 0, B: 4, C: 2 });
+    expect(previousVertices.C.getKey()).toBe('B');
+  });
+
+  it('should stop relaxing edges once distances stop changing', () => {
+    const vertices = ['A', 'B', 'C', 'D', 'E', 'F'].map(key => new GraphVertex(key));
+
+    const graph = new Graph(true);
+    for (let i = 1; i < vertices.length; i += 1) {
+      graph.addEdge(new GraphEdge(vertices[i - 1], vertices[i], i));
+    }
+
+    let relaxationsCount = 0;
+    const { distances } = bellmanFord(graph, vertices[0], {
+      getEdgeWeight: (edge) => {
+        relaxationsCount += 1;
+        return edge.weight;
+      },
+    });
+
+    expect(distances).toEqual({
+      A: 0,
+      B: 1,
+      C: 3,
+      D: 6,
+      E: 10,
+      F: 15,
+    });
+
+    // Vertices are visited in topological order, so the first iteration finds
+    // all the distances and the second one only confirms them.
+    expect(relaxationsCount).toBe(2 * graph.getAllEdges().length);
+  });
+
+  it('should detect negative cycle and mark vertices reachable from it', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexS, vertexA, 1))
+      .addEdge(new GraphEdge(vertexS, vertexE, 2))
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, -3))
+      .addEdge(new GraphEdge(vertexC, vertexA, 1))
+      .addEdge(new GraphEdge(vertexC, vertexD, 4))
+      .addEdge(new GraphEdge(vertexF, vertexS, 1));
+
+    const { distances, negativeCycle } = bellmanFord(graph, vertexS);
+
+    expect(distances).toEqual({
+      S: 0,
+      A: -Infinity,
+      B: -Infinity,
+      C: -Infinity,
+      D: -Infinity,
+      E: 2,
+      F: Infinity,
+    });
+
+    // Cycle may start from any of its vertices but must keep edges direction.
+    const cycleKeys = negativeCycle.map(vertex => vertex.getKey());
+    const cycleStart = cycleKeys.indexOf('A');
+    expect(cycleKeys.length).toBe(3);
+    expect([...cycleKeys.slice(cycleStart), ...cycleKeys.slice(0, cycleStart)])
+      .toEqual(['A', 'B', 'C']);
+
+    expect(getShortestPath({ distances, previousVertices: {} }, vertexD)).toBeNull();
+  });
+
+  it('should ignore negative cycles that are not reachable from start vertex', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 3))
+      .addEdge(new GraphEdge(vertexC, vertexD, -2))
+      .addEdge(new GraphEdge(vertexD, vertexC, 1))
+      .addEdge(new GraphEdge(vertexD, vertexA, 1));
+
+    const { distances, negativeCycle } = bellmanFord(graph, vertexA);
+
+    expect(negativeCycle).toBeNull();
+    expect(distances).toEqual({
+      A: 0,
+      B: 3,
+      C: Infinity,
+      D: Infinity,
+    });
+
+    expect(bellmanFord(graph, vertexC).negativeCycle.length).toBe(2);
+  });
+
+  it('should detect negative self loops and negative undirected edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const directedGraph = new Graph(true);
+    directedGraph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexB, -1));
+
+    const directedResult = bellmanFord(directedGraph, vertexA);
+    expect(directedResult.negativeCycle).toEqual([vertexB]);
+    expect(directedResult.distances).toEqual({ A: 0, B: -Infinity });
+
+    const undirectedGraph = new Graph();
+    undirectedGraph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), -1));
+
+    const undirectedResult = bellmanFord(undirectedGraph, undirectedGraph.getVertexByKey('A'));
+    expect(undirectedResult.negativeCycle.map(vertex => vertex.getKey()).sort())
+      .toEqual(['A', 'B']);
+    expect(undirectedResult.distances).toEqual({ A: -Infinity, B: -Infinity });
+  });
+
+  it('should find currency arbitrage opportunity', () => {
+    const rates = {
+      USD: { EUR: 0.9, GBP: 0.75 },
+      EUR: { GBP: 0.86, JPY: 160 },
+      GBP: { USD: 1.35, JPY: 190 },
+      JPY: { USD: 0.0065 },
+    };
+
+    const buildGraph = () => {
+      const graph = new Graph(true);
+      Object.keys(rates).forEach(currency => graph.addVertex(new GraphVertex(currency)));
+      Object.keys(rates).forEach((from) => {
+        Object.keys(rates[from]).forEach((to) => {
+          graph.addEdge(new GraphEdge(
+            graph.getVertexByKey(from),
+            graph.getVertexByKey(to),
+            rates[from][to],
+          ));
+        });
+      });
+
+      return graph;
+    };
+
+    // Cycle of exchanges is profitable when product of its rates is greater than 1,
+    // i.e. when the sum of negative logarithms of the rates is negative.
+    const getEdgeWeight = edge => -Math.log(edge.weight);
+
+    const graph = buildGraph();
+    const { negativeCycle } = bellmanFord(graph, graph.getVertexByKey('USD'), { getEdgeWeight });
+
+    expect(negativeCycle).not.toBeNull();
+
+    let profit = 1;
+    negativeCycle.forEach((vertex, index) => {
+      const nextVertex = negativeCycle[(index + 1) % negativeCycle.length];
+      profit *= graph.findEdge(vertex, nextVertex).weight;
+    });
+    expect(profit).toBeGreaterThan(1);
+
+    rates.GBP.USD = 1.2;
+    const fairGraph = buildGraph();
+    const fairResult = bellmanFord(fairGraph, fairGraph.getVertexByKey('USD'), { getEdgeWeight });
+    expect(fairResult.negativeCycle).toBeNull();
+  });
+
+  it('should either return negative cycle or valid distances on random graphs', () => {
+    for (let seed = 1; seed <= 30; seed += 1) {
+      const graph = erdosRenyiGraph(12, 0.2, {
+        seed,
+        minWeight: -3,
+        maxWeight: 10,
+        isDirected: true,
+      });
+      const [startVertex] = graph.getAllVertices();
+      const { distances, negativeCycle } = bellmanFord(graph, startVertex);
+
+      if (negativeCycle) {
+        let cycleWeight = 0;
+        negativeCycle.forEach((vertex, index) => {
+          const nextVertex = negativeCycle[(index + 1) % negativeCycle.length];
+          cycleWeight += graph.findEdge(vertex, nextVertex).weight;
+
+          expect(distances[vertex.getKey()]).toBe(-Infinity);
+        });
+        expect(cycleWeight).toBeLessThan(0);
+      } else {
+        graph.getAllEdges().forEach((edge) => {
+          const startDistance = distances[edge.startVertex.getKey()];
+          const endDistance = distances[edge.endVertex.getKey()];
+
+          if (startDistance !== Infinity) {
+            expect(endDistance).toBeLessThanOrEqual(startDistance + edge.weight);
+          }
+        });
+      }
+    }
+  });
+
+  it('should relax only the vertices that lead to the target vertex', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    // Negative cycle D -> E -> D is reachable from A but doesn't lead to C.
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 4))
+      .addEdge(new GraphEdge(vertexB, vertexC, -2))
+      .addEdge(new GraphEdge(vertexA, vertexC, 3))
+      .addEdge(new GraphEdge(vertexA, vertexD, 1))
+      .addEdge(new GraphEdge(vertexD, vertexE, -3))
+      .addEdge(new GraphEdge(vertexE, vertexD, 1));
+
+    let relaxationsCount = 0;
+    const getEdgeWeight = (edge) => {
+      relaxationsCount += 1;
+      return edge.weight;
+    };
+
+    const allShortestPaths = bellmanFord(graph, vertexA, { getEdgeWeight });
+    const allRelaxationsCount = relaxationsCount;
+
+    expect(allShortestPaths.negativeCycle).not.toBeNull();
+    expect(allShortestPaths.distances.C).toBe(2);
+
+    relaxationsCount = 0;
+    const shortestPaths = bellmanFord(graph, vertexA, { targetVertex: vertexC, getEdgeWeight });
+
+    expect(relaxationsCount).toBeLessThan(allRelaxationsCount);
+    expect(shortestPaths.negativeCycle).toBeNull();
+    expect(shortestPaths.distances.D).toBe(Infinity);
+    expect(getShortestPath(shortestPaths, vertexC)).toEqual({
+      path: [vertexA, vertexB, vertexC],
+      cost: 2,
+    });
+
+    const cycleShortestPaths = bellmanFord(graph, vertexA, { targetVertex: vertexE });
+    expect(cycleShortestPaths.distances.E).toBe(-Infinity);
+    expect(cycleShortestPaths.negativeCycle).not.toBeNull();
+
+    const unreachableVertex = new GraphVertex('F');
+    graph.addVertex(unreachableVertex);
+
+    const unreachableShortestPaths = bellmanFord(graph, vertexA, {
+      targetVertex: unreachableVertex,
+    });
+    expect(unreachableShortestPaths.negativeCycle).toBeNull();
+    expect(getShortestPath(unreachableShortestPaths, unreachableVertex)).toBeNull();
+  });
+
+  it('should find the same target distances with target vertex on random graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = erdosRenyiGraph(12, 0.2, {
+        seed,
+        minWeight: -3,
+        maxWeight: 10,
+        isDirected: true,
+      });
+      const [startVertex] = graph.getAllVertices();
+      const { distances } = bellmanFord(graph, startVertex);
+
+      graph.getAllVertices().forEach((targetVertex) => {
+        const shortestPaths = bellmanFord(graph, startVertex, { targetVertex });
+        const targetDistance = shortestPaths.distances[targetVertex.getKey()];
+
+        expect(targetDistance).toBe(distances[targetVertex.getKey()]);
+        expect(shortestPaths.negativeCycle !== null).toBe(targetDistance === -Infinity);
+      });
+    }
+  });
+
+  it('should find the same distances as Floyd–Warshall on random DAGs with negative weights', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      // Directed acyclic graph can't have negative cycles whatever the weights are.
+      const graph = randomDag(25, 0.2, { seed, minWeight: -5.5, maxWeight: 10 });
+      const allPairsShortestPaths = floydWarshall(graph);
+
+      graph.getAllVertices().forEach((startVertex, startIndex) => {
+        const { distances, negativeCycle } = bellmanFord(graph, startVertex);
+
+        expect(negativeCycle).toBeNull();
+        allPairsShortestPaths.vertices.forEach((vertex, index) => {
+          const expectedDistance = allPairsShortestPaths.distances[startIndex][index];
+
+          if (expectedDistance === Infinity) {
+            expect(distances[vertex.getKey()]).toBe(Infinity);
+          } else {
+            expect(distances[vertex.getKey()]).toBeCloseTo(expectedDistance, 8);
+          }
+        });
+      });
+    }
+  });
 });
@@ -1,9 +1,65 @@
 /**
+ * @typedef {Object} BellmanFordOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of going along the edge. By default the edge weight is used.
+ *
+ * @property {GraphVertex} [targetVertex] - If it is set then only the vertices that the
+ *  target is reachable from are relaxed, since other ones can't be a part of the path to
+ *  the target. Distances to other vertices may be not the shortest ones, and negative
+ *  cycles that the target is not reachable from are not detected.
+ */
+
+/**
+ * Finds the keys of all the vertices that the target vertex is reachable from.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} targetVertex
+ * @return {Object<string, boolean>}
+ */
+function getVerticesLeadingTo(graph, targetVertex) {
+  // Reversed adjacency: keys of the vertices that have edges to the vertex.
+  const predecessorKeys = {};
+  graph.getAllVertices().forEach((vertex) => {
+    vertex.getEdges().forEach((edge) => {
+      const neighbor = edge.startVertex === vertex ? edge.endVertex : edge.startVertex;
+
+      if (!predecessorKeys[neighbor.getKey()]) {
+        predecessorKeys[neighbor.getKey()] = [];
+      }
+
+      predecessorKeys[neighbor.getKey()].push(vertex.getKey());
+    });
+  });
+
+  const leadingVertices = { [targetVertex.getKey()]: true };
+  const verticesToVisit = [targetVertex.getKey()];
+  while (verticesToVisit.length) {
+    const vertexKey = verticesToVisit.pop();
+
+    (predecessorKeys[vertexKey] || []).forEach((predecessorKey) => {
+      if (!leadingVertices[predecessorKey]) {
+        leadingVertices[predecessorKey] = true;
+        verticesToVisit.push(predecessorKey);
+      }
+    });
+  }
+
+  return leadingVertices;
+}
+
+/**
+ * The search stops as soon as an iteration doesn't change any distance.
+ *
  * @param {Graph} graph
  * @param {GraphVertex} startVertex
- * @return {{distances, previousVertices}}
+ * @param {BellmanFordOptions} [options]
+ * @return {{distances, previousVertices, negativeCycle: (GraphVertex[]|null)}}
+ *  Distances to the vertices that are reachable from negative cycle are -Infinity.
  */
-export default function bellmanFord(graph, startVertex) {
+export default function bellmanFord(graph, startVertex, options = {}) {
+  const { getEdgeWeight = edge => edge.weight, targetVertex = null } = options;
+
   const distances = {};
   const previousVertices = {};
 
@@ -17,29 +73,101 @@ export default function bellmanFord(graph, startVertex) {
     }
   });
 
-  // We need (|V| - 1) iterations.
-  for (let iteration = 0; iteration < (graph.getAllVertices().length - 1); iteration += 1) {
-    // During each iteration go through all vertices.
-    Object.keys(distances).forEach((vertexKey) => {
+  // Vertices which edges are relaxed. The path to the target can't go through
+  // the vertices that the target is not reachable from.
+  const isRelaxedVertex = targetVertex ? getVerticesLeadingTo(graph, targetVertex) : null;
+  const relaxedVertexKeys = Object.keys(distances)
+    .filter(vertexKey => !isRelaxedVertex || isRelaxedVertex[vertexKey]);
+  const verticesCount = relaxedVertexKeys.length;
+
+  /**
+   * Goes through all the edges and relaxes them.
+   *
+   * @return {GraphVertex[]} - Vertices which distances have been decreased.
+   */
+  const relaxEdges = () => {
+    const relaxedVertices = [];
+
+    // Go through all vertices.
+    relaxedVertexKeys.forEach((vertexKey) => {
       const vertex = graph.getVertexByKey(vertexKey);
 
       // Go through all vertex edges.
-      graph.getNeighbors(vertex).forEach((neighbor) => {
-        const edge = graph.findEdge(vertex, neighbor);
+      vertex.getEdges().forEach((edge) => {
+        // For undirected graphs current vertex may be the end one.
+        const neighbor = edge.startVertex === vertex ? edge.endVertex : edge.startVertex;
+
+        if (isRelaxedVertex && !isRelaxedVertex[neighbor.getKey()]) {
+          return;
+        }
+
         // Find out if the distance to the neighbor is shorter in this iteration
         // then in previous one.
         const distanceToVertex = distances[vertex.getKey()];
-        const distanceToNeighbor = distanceToVertex + edge.weight;
+        const distanceToNeighbor = distanceToVertex + getEdgeWeight(edge);
         if (distanceToNeighbor < distances[neighbor.getKey()]) {
           distances[neighbor.getKey()] = distanceToNeighbor;
           previousVertices[neighbor.getKey()] = vertex;
+          relaxedVertices.push(neighbor);
         }
       });
     });
+
+    return relaxedVertices;
+  };
+
+  // We need (|V| - 1) iterations.
+  let isDistanceChanged = true;
+  for (let iteration = 0; iteration < (verticesCount - 1) && isDistanceChanged; iteration += 1) {
+    // If nothing has changed during this iteration then next ones won't change anything too.
+    isDistanceChanged = relaxEdges().length > 0;
+  }
+
+  // The shortest paths can't contain more than (|V| - 1) edges. So if distances are
+  // still decreasing on the |V|-th iteration then there is a negative cycle.
+  const relaxedVertices = isDistanceChanged ? relaxEdges() : [];
+  if (!relaxedVertices.length) {
+    return {
+      distances,
+      previousVertices,
+      negativeCycle: null,
+    };
+  }
+
+  // Going |V| times back from the vertex relaxed on |V|-th iteration
+  // we're guaranteed to get into the cycle.
+  let cycleVertex = relaxedVertices[relaxedVertices.length - 1];
+  for (let step = 0; step < verticesCount; step += 1) {
+    cycleVertex = previousVertices[cycleVertex.getKey()];
+  }
+
+  // Now go around the cycle once to collect its vertices.
+  const negativeCycle = [cycleVertex];
+  let previousVertex = previousVertices[cycleVertex.getKey()];
+  while (previousVertex !== cycleVertex) {
+    negativeCycle.push(previousVertex);
+    previousVertex = previousVertices[previousVertex.getKey()];
+  }
+  negativeCycle.reverse();
+
+  // Paths to every vertex that is reachable from the negative cycle may be
+  // made as cheap as we want by going around the cycle.
+  const verticesToVisit = [...relaxedVertices];
+  while (verticesToVisit.length) {
+    const vertex = verticesToVisit.pop();
+
+    if (distances[vertex.getKey()] !== -Infinity) {
+      distances[vertex.getKey()] = -Infinity;
+
+      vertex.getEdges().forEach((edge) => {
+        verticesToVisit.push(edge.startVertex === vertex ? edge.endVertex : edge.startVertex);
+      });
+    }
   }
 
   return {
     distances,
     previousVertices,
+    negativeCycle,
   };
 }
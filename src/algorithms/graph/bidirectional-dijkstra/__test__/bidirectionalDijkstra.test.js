@@ -0,0 +1,172 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import CsrGraph from '../../../../data-structures/graph/CsrGraph';
+import bidirectionalDijkstra from '../bidirectionalDijkstra';
+import dijkstra from '../../dijkstra/dijkstra';
+import { erdosRenyiGraph, gridGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {Graph} graph
+ * @param {GraphVertex[]} path
+ * @return {number}
+ */
+function getPathCost(graph, path) {
+  return path.slice(1).reduce((cost, vertex, index) => {
+    return cost + graph.findEdge(path[index], vertex).weight;
+  }, 0);
+}
+
+describe('bidirectionalDijkstra', () => {
+  it('should find the shortest path in undirected graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 4))
+      .addEdge(new GraphEdge(vertexB, vertexF, 4))
+      .addEdge(new GraphEdge(vertexA, vertexC, 3))
+      .addEdge(new GraphEdge(vertexC, vertexD, 3))
+      .addEdge(new GraphEdge(vertexD, vertexE, 1))
+      .addEdge(new GraphEdge(vertexE, vertexF, 1));
+
+    const { path, cost, settledCount } = bidirectionalDijkstra(graph, vertexA, vertexF);
+
+    expect(path).toEqual([vertexA, vertexB, vertexF]);
+    expect(cost).toBe(8);
+    expect(settledCount).toBeGreaterThan(0);
+    expect(settledCount).toBeLessThanOrEqual(12);
+
+    expect(bidirectionalDijkstra(graph, vertexF, vertexD).path)
+      .toEqual([vertexF, vertexE, vertexD]);
+  });
+
+  it('should not stop at the first meeting vertex', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexT = new GraphVertex('T');
+
+    // Both searches meet at A first but the direct edge is cheaper.
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexS, vertexA, 3))
+      .addEdge(new GraphEdge(vertexA, vertexT, 3))
+      .addEdge(new GraphEdge(vertexS, vertexB, 4))
+      .addEdge(new GraphEdge(vertexB, vertexT, 1));
+
+    expect(bidirectionalDijkstra(graph, vertexS, vertexT)).toEqual({
+      path: [vertexS, vertexB, vertexT],
+      cost: 5,
+      settledCount: expect.any(Number),
+    });
+  });
+
+  it('should follow edge directions in directed graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexA, 1))
+      .addEdge(new GraphEdge(vertexD, vertexC, 1));
+
+    expect(bidirectionalDijkstra(graph, vertexC, vertexB)).toEqual({
+      path: [vertexC, vertexA, vertexB],
+      cost: 2,
+      settledCount: expect.any(Number),
+    });
+
+    const unreachable = bidirectionalDijkstra(graph, vertexA, vertexD);
+    expect(unreachable.path).toBeNull();
+    expect(unreachable.cost).toBe(Infinity);
+  });
+
+  it('should handle path from vertex to itself and parallel edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 5, { time: 1 }))
+      .addEdge(new GraphEdge(vertexA, vertexB, 2, { time: 9 }));
+
+    expect(bidirectionalDijkstra(graph, vertexA, vertexA)).toEqual({
+      path: [vertexA],
+      cost: 0,
+      settledCount: 0,
+    });
+    expect(bidirectionalDijkstra(graph, vertexB, vertexA).cost).toBe(2);
+    expect(bidirectionalDijkstra(graph, vertexB, vertexA, {
+      getEdgeWeight: edge => edge.getAttribute('time'),
+    }).cost).toBe(1);
+  });
+
+  it('should settle fewer vertices than plain dijkstra', () => {
+    const graph = gridGraph(40, 40, { seed: 5, maxWeight: 3 });
+    const startVertex = graph.getVertexByKey('20,5');
+    const endVertex = graph.getVertexByKey('20,35');
+
+    const { cost, settledCount } = bidirectionalDijkstra(graph, startVertex, endVertex);
+    const { distances } = dijkstra(graph, startVertex);
+
+    // Plain Dijkstra settles at least every vertex that is closer than the target.
+    const closerVerticesCount = Object.keys(distances)
+      .filter(vertexKey => distances[vertexKey] < cost)
+      .length;
+
+    expect(cost).toBe(distances['20,35']);
+    expect(settledCount).toBeLessThan(closerVerticesCount * 0.75);
+  });
+
+  it('should find the same costs as dijkstra on random graphs', () => {
+    for (let seed = 1; seed <= 6; seed += 1) {
+      const graphs = [
+        erdosRenyiGraph(30, 0.1, { seed, maxWeight: 20 }),
+        erdosRenyiGraph(30, 0.08, { seed, maxWeight: 20, isDirected: true }),
+        gridGraph(6, 6, { seed, maxWeight: 5 }),
+      ];
+
+      graphs.forEach((graph) => {
+        const vertices = graph.getAllVertices();
+        const startVertex = vertices[0];
+        const { distances } = dijkstra(graph, startVertex);
+
+        vertices.forEach((endVertex) => {
+          const { path, cost } = bidirectionalDijkstra(graph, startVertex, endVertex);
+
+          expect(cost).toBe(distances[endVertex.getKey()]);
+
+          if (path) {
+            expect(path[0]).toBe(startVertex);
+            expect(path[path.length - 1]).toBe(endVertex);
+            expect(getPathCost(graph, path)).toBe(cost);
+          }
+        });
+      });
+    }
+  });
+
+  it('should run on compressed sparse row graph', () => {
+    const graph = gridGraph(8, 8, { seed: 3, maxWeight: 9 });
+    const csrGraph = CsrGraph.fromGraph(graph);
+
+    const { cost } = bidirectionalDijkstra(
+      csrGraph,
+      csrGraph.getVertexByKey('0,0'),
+      csrGraph.getVertexByKey('7,7'),
+    );
+    const { distances } = dijkstra(graph, graph.getVertexByKey('0,0'));
+
+    expect(cost).toBe(distances['7,7']);
+  });
+});
@@ -0,0 +1,136 @@
+import PriorityQueue from '../../../data-structures/priority-queue/PriorityQueue';
+
+/**
+ * @typedef {Object} BidirectionalDijkstraOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of going along the edge. By default the edge weight is used.
+ */
+
+/**
+ * @param {GraphVertex} vertex
+ * @param {function(vertex: GraphVertex): GraphEdge[]} getVertexEdges
+ * @return {{distances: object, previousVertices: object, visitedVertices: object,
+ *  queue: PriorityQueue, getVertexEdges: function}}
+ */
+function createSearch(vertex, getVertexEdges) {
+  const search = {
+    distances: { [vertex.getKey()]: 0 },
+    previousVertices: { [vertex.getKey()]: null },
+    visitedVertices: {},
+    queue: new PriorityQueue(),
+    getVertexEdges,
+  };
+
+  search.queue.add(vertex, 0);
+
+  return search;
+}
+
+/**
+ * @param {object} search
+ * @return {number} - Distance to the closest vertex that is not visited yet.
+ */
+function getQueueTopDistance(search) {
+  return search.queue.isEmpty() ? Infinity : search.distances[search.queue.peek().getKey()];
+}
+
+/**
+ * @param {object} search
+ * @param {GraphVertex} vertex
+ * @return {GraphVertex[]} - Vertices from the vertex back to the one the search started from.
+ */
+function getPathBack(search, vertex) {
+  const path = [];
+
+  let currentVertex = vertex;
+  while (currentVertex) {
+    path.push(currentVertex);
+    currentVertex = search.previousVertices[currentVertex.getKey()];
+  }
+
+  return path;
+}
+
+/**
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {GraphVertex} endVertex
+ * @param {BidirectionalDijkstraOptions} [options]
+ * @return {{path: (GraphVertex[]|null), cost: number, settledCount: number}}
+ */
+export default function bidirectionalDijkstra(graph, startVertex, endVertex, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
+  if (startVertex.getKey() === endVertex.getKey()) {
+    return { path: [startVertex], cost: 0, settledCount: 0 };
+  }
+
+  // Forward search goes from the start vertex along the edges and backward search
+  // goes from the end vertex against the edges.
+  const forwardSearch = createSearch(startVertex, vertex => vertex.getEdges());
+  const backwardSearch = createSearch(endVertex, (vertex) => {
+    return graph.isDirected ? graph.getIncomingEdges(vertex) : vertex.getEdges();
+  });
+
+  // The cheapest path found so far goes from the start to the meeting forward vertex,
+  // then to the meeting backward vertex and then to the end.
+  let bestCost = Infinity;
+  let meetingForwardVertex = null;
+  let meetingBackwardVertex = null;
+  let settledCount = 0;
+
+  // Any path that hasn't been found yet costs at least as much as the sum of distances
+  // to the tops of both queues. So once this sum reaches the best cost we may stop.
+  while (getQueueTopDistance(forwardSearch) + getQueueTopDistance(backwardSearch) < bestCost) {
+    // Expand the search that has the closer vertex to settle.
+    const isForward = getQueueTopDistance(forwardSearch) <= getQueueTopDistance(backwardSearch);
+    const search = isForward ? forwardSearch : backwardSearch;
+    const otherSearch = isForward ? backwardSearch : forwardSearch;
+
+    const currentVertex = search.queue.poll();
+    search.visitedVertices[currentVertex.getKey()] = true;
+    settledCount += 1;
+
+    search.getVertexEdges(currentVertex).forEach((edge) => {
+      // For undirected graphs current vertex may be the end one.
+      const neighbor = edge.startVertex === currentVertex ? edge.endVertex : edge.startVertex;
+      const distanceToNeighbor = search.distances[currentVertex.getKey()] + getEdgeWeight(edge);
+
+      // Check if the edge connects both searches into a cheaper path.
+      const otherDistance = otherSearch.distances[neighbor.getKey()];
+      if (otherDistance !== undefined && distanceToNeighbor + otherDistance < bestCost) {
+        bestCost = distanceToNeighbor + otherDistance;
+        meetingForwardVertex = isForward ? currentVertex : neighbor;
+        meetingBackwardVertex = isForward ? neighbor : currentVertex;
+      }
+
+      if (search.visitedVertices[neighbor.getKey()]) {
+        return;
+      }
+
+      const existingDistance = search.distances[neighbor.getKey()];
+      if (existingDistance === undefined || distanceToNeighbor < existingDistance) {
+        search.distances[neighbor.getKey()] = distanceToNeighbor;
+        search.previousVertices[neighbor.getKey()] = currentVertex;
+
+        if (existingDistance === undefined) {
+          search.queue.add(neighbor, distanceToNeighbor);
+        } else {
+          search.queue.changePriority(neighbor, distanceToNeighbor);
+        }
+      }
+    });
+  }
+
+  if (bestCost === Infinity) {
+    return { path: null, cost: Infinity, settledCount };
+  }
+
+  const path = [
+    ...getPathBack(forwardSearch, meetingForwardVertex).reverse(),
+    ...getPathBack(backwardSearch, meetingBackwardVertex),
+  ];
+
+  return { path, cost: bestCost, settledCount };
+}
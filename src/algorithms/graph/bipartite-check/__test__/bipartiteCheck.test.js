@@ -0,0 +1,121 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import bipartiteCheck from '../bipartiteCheck';
+import { cycleGraph, erdosRenyiGraph, gridGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {Graph} graph
+ * @param {BipartiteCheckResult} result
+ */
+function expectValidResult(graph, result) {
+  if (result.isBipartite) {
+    graph.getAllEdges().forEach((edge) => {
+      expect(result.coloring[edge.startVertex.getKey()])
+        .not.toBe(result.coloring[edge.endVertex.getKey()]);
+    });
+    expect(result.parts[0].length + result.parts[1].length).toBe(graph.getAllVertices().length);
+    expect(result.oddCycle).toBeNull();
+  } else {
+    const { oddCycle } = result;
+
+    expect(oddCycle.length % 2).toBe(1);
+    expect(new Set(oddCycle).size).toBe(oddCycle.length);
+    oddCycle.forEach((vertex, index) => {
+      const nextVertex = oddCycle[(index + 1) % oddCycle.length];
+      expect(graph.findEdge(vertex, nextVertex)).not.toBeNull();
+    });
+    expect(result.coloring).toBeNull();
+  }
+}
+
+describe('bipartiteCheck', () => {
+  it('should color bipartite graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+
+    const graph = new Graph();
+    graph
+      .addVertex(vertexF)
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexD))
+      .addEdge(new GraphEdge(vertexD, vertexA))
+      .addEdge(new GraphEdge(vertexD, vertexE));
+
+    const result = bipartiteCheck(graph);
+
+    expect(result.isBipartite).toBe(true);
+    expect(result.coloring).toEqual({
+      F: 0,
+      A: 0,
+      B: 1,
+      C: 0,
+      D: 1,
+      E: 0,
+    });
+    expect(result.parts).toEqual([
+      [vertexF, vertexA, vertexC, vertexE],
+      [vertexB, vertexD],
+    ]);
+    expectValidResult(graph, result);
+  });
+
+  it('should find odd cycle in non-bipartite graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexD))
+      .addEdge(new GraphEdge(vertexD, vertexE))
+      .addEdge(new GraphEdge(vertexE, vertexF))
+      .addEdge(new GraphEdge(vertexF, vertexB));
+
+    const result = bipartiteCheck(graph);
+
+    expect(result.isBipartite).toBe(false);
+    expect(result.parts).toBeNull();
+    expect(result.oddCycle.map(vertex => vertex.getKey()).sort())
+      .toEqual(['B', 'C', 'D', 'E', 'F']);
+    expectValidResult(graph, result);
+  });
+
+  it('should treat self loop as odd cycle', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexB));
+
+    expect(bipartiteCheck(graph).oddCycle).toEqual([vertexB]);
+  });
+
+  it('should check generated graphs', () => {
+    expect(bipartiteCheck(gridGraph(5, 7)).isBipartite).toBe(true);
+    expect(bipartiteCheck(cycleGraph(8)).isBipartite).toBe(true);
+    expect(bipartiteCheck(cycleGraph(9)).oddCycle.length).toBe(9);
+    expect(bipartiteCheck(new Graph()).parts).toEqual([[], []]);
+
+    for (let seed = 1; seed <= 20; seed += 1) {
+      const graph = erdosRenyiGraph(20, 0.08, { seed });
+      expectValidResult(graph, bipartiteCheck(graph));
+    }
+  });
+
+  it('should not accept directed graphs', () => {
+    expect(() => bipartiteCheck(new Graph(true))).toThrow();
+  });
+});
@@ -0,0 +1,115 @@
+import breadthFirstSearch from '../breadth-first-search/breadthFirstSearch';
+
+/**
+ * @typedef {Object} BipartiteCheckResult
+ *
+ * @property {boolean} isBipartite
+ *
+ * @property {(Object|null)} coloring - Color (0 or 1) of every vertex by its key.
+ *  Adjacent vertices always have different colors.
+ *
+ * @property {(GraphVertex[][]|null)} parts - Vertices of color 0 and vertices of color 1.
+ *
+ * @property {(GraphVertex[]|null)} oddCycle - Cycle of odd length that proves that
+ *  the graph is not bipartite. The last vertex is connected to the first one.
+ */
+
+/**
+ * @param {Object} parentVertices
+ * @param {GraphVertex} vertex
+ * @return {GraphVertex[]} - Vertices from the vertex up to the root of BFS tree.
+ */
+function getPathToRoot(parentVertices, vertex) {
+  const path = [];
+
+  let currentVertex = vertex;
+  while (currentVertex) {
+    path.push(currentVertex);
+    currentVertex = parentVertices[currentVertex.getKey()];
+  }
+
+  return path;
+}
+
+/**
+ * Checks whether undirected graph is bipartite by coloring it with breadth first search.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @return {BipartiteCheckResult}
+ */
+export default function bipartiteCheck(graph) {
+  if (graph.isDirected) {
+    throw new Error('Bipartite check works with undirected graphs only');
+  }
+
+  const coloring = {};
+  const parentVertices = {};
+  let oddCycle = null;
+
+  graph.getAllVertices().forEach((startVertex) => {
+    // Every connected component is colored separately.
+    if (oddCycle || coloring[startVertex.getKey()] !== undefined) {
+      return;
+    }
+
+    coloring[startVertex.getKey()] = 0;
+    parentVertices[startVertex.getKey()] = null;
+
+    breadthFirstSearch(graph, startVertex, {
+      allowTraversal: ({ currentVertex, nextVertex }) => {
+        const currentColor = coloring[currentVertex.getKey()];
+        const nextColor = coloring[nextVertex.getKey()];
+
+        if (oddCycle) {
+          return false;
+        }
+
+        if (nextColor === undefined) {
+          coloring[nextVertex.getKey()] = 1 - currentColor;
+          parentVertices[nextVertex.getKey()] = currentVertex;
+          return true;
+        }
+
+        if (nextColor === currentColor) {
+          // Both vertices are on the same depth of BFS tree. Paths from them to their
+          // lowest common ancestor together with the edge between them form odd cycle.
+          const currentPath = getPathToRoot(parentVertices, currentVertex);
+          const nextPath = getPathToRoot(parentVertices, nextVertex);
+
+          while (
+            currentPath.length > 1 &&
+            currentPath[currentPath.length - 2] === nextPath[nextPath.length - 2]
+          ) {
+            currentPath.pop();
+            nextPath.pop();
+          }
+
+          oddCycle = [...currentPath.reverse(), ...nextPath.slice(0, -1)];
+        }
+
+        return false;
+      },
+    });
+  });
+
+  if (oddCycle) {
+    return {
+      isBipartite: false,
+      coloring: null,
+      parts: null,
+      oddCycle,
+    };
+  }
+
+  const parts = [[], []];
+  graph.getAllVertices().forEach((vertex) => {
+    parts[coloring[vertex.getKey()]].push(vertex);
+  });
+
+  return {
+    isBipartite: true,
+    coloring,
+    parts,
+    oddCycle: null,
+  };
+}
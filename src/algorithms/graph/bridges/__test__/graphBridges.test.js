@@ -2,6 +2,32 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import graphBridges from '../graphBridges';
+import { pathGraph, erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {GraphVertex} startVertex
+ * @param {GraphEdge} skippedEdge
+ * @return {Object<string, boolean>} - Keys of the vertices reachable without the edge.
+ */
+function getReachableVertices(startVertex, skippedEdge) {
+  const reachableVertices = { [startVertex.getKey()]: true };
+  const verticesToVisit = [startVertex];
+
+  while (verticesToVisit.length) {
+    const currentVertex = verticesToVisit.pop();
+
+    currentVertex.getEdges().forEach((edge) => {
+      const neighbor = edge.startVertex === currentVertex ? edge.endVertex : edge.startVertex;
+
+      if (edge !== skippedEdge && !reachableVertices[neighbor.getKey()]) {
+        reachableVertices[neighbor.getKey()] = true;
+        verticesToVisit.push(neighbor);
+      }
+    });
+  }
+
+  return reachableVertices;
+}
 
 describe('graphBridges', () => {
   it('should find bridges in simple graph', () => {
@@ -200,4 +226,28 @@ describe('graphBridges', () => {
     expect(bridges.length).toBe(1);
     expect(bridges[0].getKey()).toBe(edgeCD.getKey());
   });
+
+  it('should find bridges of long path without stack overflow', () => {
+    const verticesCount = 20000;
+    const bridges = graphBridges(pathGraph(verticesCount));
+
+    expect(Object.keys(bridges).length).toBe(verticesCount - 1);
+  });
+
+  it('should find the same bridges as brute force on random graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = erdosRenyiGraph(30, 0.08, { seed });
+
+      // Bridges are searched in the component of the first vertex only.
+      const componentVertices = getReachableVertices(graph.getAllVertices()[0], null);
+
+      const expectedBridgeKeys = graph.getAllEdges()
+        .filter(edge => componentVertices[edge.startVertex.getKey()])
+        .filter(edge => !getReachableVertices(edge.startVertex, edge)[edge.endVertex.getKey()])
+        .map(edge => edge.getKey())
+        .sort();
+
+      expect(Object.keys(graphBridges(graph)).sort()).toEqual(expectedBridgeKeys);
+    }
+  });
 });
@@ -1,4 +1,4 @@
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * Helper class for visited vertex metadata.
@@ -89,7 +89,7 @@ export default function graphBridges(graph) {
   };
 
   // Do Depth First Search traversal over submitted graph.
-  depthFirstSearch(graph, startVertex, dfsCallbacks);
+  depthFirstSearchIterative(graph, startVertex, dfsCallbacks);
 
   return bridges;
 }
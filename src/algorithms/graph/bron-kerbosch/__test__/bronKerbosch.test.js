@@ -0,0 +1,159 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import bronKerbosch from '../bronKerbosch';
+import maximumClique from '../maximumClique';
+import {
+  completeGraph,
+  cycleGraph,
+  erdosRenyiGraph,
+} from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {GraphVertex[][]} cliques
+ * @return {string[]}
+ */
+function cliquesToStrings(cliques) {
+  return cliques
+    .map(clique => clique.map(vertex => vertex.getKey()).sort().join(','))
+    .sort();
+}
+
+/**
+ * Finds all maximal cliques by checking every subset of vertices.
+ *
+ * @param {Graph} graph
+ * @return {string[]}
+ */
+function bruteForceMaximalCliques(graph) {
+  const vertices = graph.getAllVertices();
+  const cliques = [];
+
+  const isClique = subset => subset.every((vertex, index) => {
+    return subset.slice(index + 1).every(otherVertex => vertex.hasNeighbor(otherVertex));
+  });
+
+  for (let mask = 1; mask < 2 ** vertices.length; mask += 1) {
+    const subset = vertices.filter((vertex, index) => Math.floor(mask / (2 ** index)) % 2 === 1);
+
+    if (isClique(subset)) {
+      const isMaximal = vertices
+        .filter(vertex => subset.indexOf(vertex) === -1)
+        .every(vertex => !isClique([...subset, vertex]));
+
+      if (isMaximal) {
+        cliques.push(subset);
+      }
+    }
+  }
+
+  return cliquesToStrings(cliques);
+}
+
+describe('bronKerbosch', () => {
+  it('should enumerate maximal cliques of simple graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+    const vertexG = new GraphVertex('G');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexA, vertexC))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexB, vertexD))
+      .addEdge(new GraphEdge(vertexC, vertexD))
+      .addEdge(new GraphEdge(vertexD, vertexE))
+      .addEdge(new GraphEdge(vertexE, vertexE))
+      .addVertex(vertexF)
+      .addVertex(vertexG);
+
+    const cliques = Array.from(bronKerbosch(graph));
+
+    cliques.forEach((clique) => {
+      clique.forEach(vertex => expect(vertex).toBeInstanceOf(GraphVertex));
+    });
+
+    expect(cliquesToStrings(cliques)).toEqual([
+      'A,B,C',
+      'B,C,D',
+      'D,E',
+      'F',
+      'G',
+    ]);
+
+    expect(cliques.find(clique => clique.indexOf(vertexF) !== -1)).toEqual([vertexF]);
+  });
+
+  it('should enumerate maximal cliques of special graphs', () => {
+    expect(Array.from(bronKerbosch(new Graph()))).toEqual([]);
+
+    expect(cliquesToStrings(Array.from(bronKerbosch(completeGraph(5))))).toEqual(['0,1,2,3,4']);
+
+    expect(cliquesToStrings(Array.from(bronKerbosch(cycleGraph(4))))).toEqual([
+      '0,1',
+      '0,3',
+      '1,2',
+      '2,3',
+    ]);
+  });
+
+  it('should generate cliques lazily', () => {
+    const cliques = bronKerbosch(cycleGraph(100));
+
+    const firstClique = cliques.next();
+    expect(firstClique.done).toBe(false);
+    expect(firstClique.value).toHaveLength(2);
+    expect(firstClique.value[0].hasNeighbor(firstClique.value[1])).toBe(true);
+  });
+
+  it('should find the same cliques as brute force', () => {
+    for (let seed = 1; seed <= 20; seed += 1) {
+      const graph = erdosRenyiGraph(10, [0.2, 0.4, 0.6, 0.8][seed % 4], { seed });
+
+      expect(cliquesToStrings(Array.from(bronKerbosch(graph))))
+        .toEqual(bruteForceMaximalCliques(graph));
+    }
+  });
+
+  it('should find maximum clique', () => {
+    expect(maximumClique(new Graph())).toEqual([]);
+
+    const graph = erdosRenyiGraph(40, 0.3, { seed: 7 });
+    const vertices = graph.getAllVertices();
+
+    // Plant the clique of 8 vertices.
+    const plantedClique = vertices.filter((vertex, index) => index % 5 === 0);
+    plantedClique.forEach((vertex, index) => {
+      plantedClique.slice(index + 1).forEach((otherVertex) => {
+        if (!vertex.hasNeighbor(otherVertex)) {
+          graph.addEdge(new GraphEdge(vertex, otherVertex));
+        }
+      });
+    });
+
+    const clique = maximumClique(graph);
+
+    expect(clique.length).toBeGreaterThanOrEqual(plantedClique.length);
+    clique.forEach((vertex, index) => {
+      clique.slice(index + 1).forEach((otherVertex) => {
+        expect(vertex.hasNeighbor(otherVertex)).toBe(true);
+      });
+    });
+
+    const largestEnumeratedSize = Array.from(bronKerbosch(graph))
+      .reduce((size, enumeratedClique) => Math.max(size, enumeratedClique.length), 0);
+    expect(clique.length).toBe(largestEnumeratedSize);
+  });
+
+  it('should throw for directed graph', () => {
+    expect(() => bronKerbosch(new Graph(true)))
+      .toThrow('Bron–Kerbosch algorithm works with undirected graphs only');
+    expect(() => maximumClique(new Graph(true)))
+      .toThrow('Bron–Kerbosch algorithm works with undirected graphs only');
+  });
+});
@@ -0,0 +1,88 @@
+import getUndirectedNeighbors from '../../../utils/graph/getUndirectedNeighbors';
+
+/**
+ * @param {Set<string>} set
+ * @param {Set<string>} otherSet
+ * @return {Set<string>}
+ */
+function intersect(set, otherSet) {
+  const intersection = new Set();
+  set.forEach((key) => {
+    if (otherSet.has(key)) {
+      intersection.add(key);
+    }
+  });
+
+  return intersection;
+}
+
+/**
+ * Bron–Kerbosch algorithm with pivoting. Enumerates all maximal cliques of
+ * undirected graph (cliques that can't be extended by one more vertex).
+ * Every isolated vertex is a maximal clique of size one.
+ *
+ * Cliques are generated lazily, so the enumeration may be stopped at any moment.
+ *
+ * @param {Graph} graph - Undirected graph. Self loops are ignored.
+ * @return {Generator<GraphVertex[]>} - Vertices of every maximal clique.
+ */
+export default function bronKerbosch(graph) {
+  if (graph.isDirected) {
+    throw new Error('Bron–Kerbosch algorithm works with undirected graphs only');
+  }
+
+  const neighbors = getUndirectedNeighbors(graph);
+  Object.keys(neighbors).forEach((vertexKey) => {
+    neighbors[vertexKey].delete(vertexKey);
+  });
+
+  /**
+   * @param {string[]} clique - Keys of the vertices of current clique (R).
+   * @param {Set<string>} candidates - Keys of the vertices that may extend the clique (P).
+   * @param {Set<string>} excluded - Keys of the vertices that could extend the clique
+   *  but all the cliques with them have been already enumerated (X).
+   * @return {Generator<GraphVertex[]>}
+   */
+  function* extendClique(clique, candidates, excluded) {
+    if (!candidates.size && !excluded.size) {
+      // Clique is empty only for empty graph which has no cliques at all.
+      if (clique.length) {
+        yield clique.map(vertexKey => graph.getVertexByKey(vertexKey));
+      }
+
+      return;
+    }
+
+    // Every maximal clique contains either the pivot or one of its non-neighbors.
+    // So the pivot with most candidate neighbors leaves the fewest branches.
+    let pivotKey = null;
+    let pivotCandidatesCount = -1;
+    [candidates, excluded].forEach((keys) => {
+      keys.forEach((vertexKey) => {
+        const candidatesCount = intersect(candidates, neighbors[vertexKey]).size;
+
+        if (candidatesCount > pivotCandidatesCount) {
+          pivotKey = vertexKey;
+          pivotCandidatesCount = candidatesCount;
+        }
+      });
+    });
+
+    const branchKeys = Array.from(candidates).filter(key => !neighbors[pivotKey].has(key));
+
+    for (let branchIndex = 0; branchIndex < branchKeys.length; branchIndex += 1) {
+      const vertexKey = branchKeys[branchIndex];
+
+      yield* extendClique(
+        [...clique, vertexKey],
+        intersect(candidates, neighbors[vertexKey]),
+        intersect(excluded, neighbors[vertexKey]),
+      );
+
+      candidates.delete(vertexKey);
+      excluded.add(vertexKey);
+    }
+  }
+
+  return extendClique([], new Set(Object.keys(neighbors)), new Set());
+}
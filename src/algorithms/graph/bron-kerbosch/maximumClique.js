@@ -0,0 +1,25 @@
+import bronKerbosch from './bronKerbosch';
+
+/**
+ * Finds the clique of the largest size. It goes through all maximal cliques so
+ * it takes exponential time in the worst case.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @return {GraphVertex[]} - Vertices of maximum clique (empty for empty graph).
+ */
+export default function maximumClique(graph) {
+  let largestClique = [];
+
+  const cliques = bronKerbosch(graph);
+  let next = cliques.next();
+
+  while (!next.done) {
+    if (next.value.length > largestClique.length) {
+      largestClique = next.value;
+    }
+
+    next = cliques.next();
+  }
+
+  return largestClique;
+}
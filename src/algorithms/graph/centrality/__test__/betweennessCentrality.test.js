@@ -0,0 +1,178 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import betweennessCentrality from '../betweennessCentrality';
+import { cycleGraph, erdosRenyiGraph, pathGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * Calculates betweenness centrality by enumerating all simple paths between all
+ * pairs of vertices.
+ *
+ * @param {Graph} graph
+ * @param {function(edge: GraphEdge): number} getEdgeWeight
+ * @return {Object<string, number>}
+ */
+function bruteForceBetweenness(graph, getEdgeWeight) {
+  const vertices = graph.getAllVertices();
+  const centrality = {};
+  vertices.forEach((vertex) => {
+    centrality[vertex.getKey()] = 0;
+  });
+
+  vertices.forEach((sourceVertex) => {
+    // All simple paths from the source by target key.
+    const paths = {};
+
+    const walk = (vertex, path, length) => {
+      const targetKey = vertex.getKey();
+      paths[targetKey] = paths[targetKey] || [];
+      paths[targetKey].push({ path, length });
+
+      vertex.getEdges().forEach((edge) => {
+        const neighbor = edge.startVertex === vertex ? edge.endVertex : edge.startVertex;
+        if (path.indexOf(neighbor) === -1) {
+          walk(neighbor, [...path, neighbor], length + getEdgeWeight(edge));
+        }
+      });
+    };
+
+    walk(sourceVertex, [sourceVertex], 0);
+
+    Object.keys(paths).forEach((targetKey) => {
+      if (targetKey === sourceVertex.getKey()) {
+        return;
+      }
+
+      const minLength = Math.min(...paths[targetKey].map(({ length }) => length));
+      const shortestPaths = paths[targetKey].filter(({ length }) => length === minLength);
+
+      shortestPaths.forEach(({ path }) => {
+        path.slice(1, path.length - 1).forEach((vertex) => {
+          centrality[vertex.getKey()] += 1 / shortestPaths.length;
+        });
+      });
+    });
+  });
+
+  if (!graph.isDirected) {
+    Object.keys(centrality).forEach((key) => {
+      centrality[key] /= 2;
+    });
+  }
+
+  return centrality;
+}
+
+/**
+ * @param {Object<string, number>} received
+ * @param {Object<string, number>} expected
+ */
+function expectCentralityCloseTo(received, expected) {
+  expect(Object.keys(received).sort()).toEqual(Object.keys(expected).sort());
+  Object.keys(expected).forEach((key) => {
+    expect(received[key]).toBeCloseTo(expected[key], 8);
+  });
+}
+
+describe('betweennessCentrality', () => {
+  it('should calculate betweenness centrality of path and cycle', () => {
+    expect(betweennessCentrality(pathGraph(5))).toEqual({
+      0: 0,
+      1: 3,
+      2: 4,
+      3: 3,
+      4: 0,
+    });
+
+    expectCentralityCloseTo(betweennessCentrality(pathGraph(5), { normalized: true }), {
+      0: 0,
+      1: 0.5,
+      2: 4 / 6,
+      3: 0.5,
+      4: 0,
+    });
+
+    // Opposite vertices of the square are connected by two shortest paths.
+    expect(betweennessCentrality(cycleGraph(4))).toEqual({
+      0: 0.5,
+      1: 0.5,
+      2: 0.5,
+      3: 0.5,
+    });
+  });
+
+  it('should calculate betweenness centrality of directed graph', () => {
+    expect(betweennessCentrality(pathGraph(4, { isDirected: true }))).toEqual({
+      0: 0,
+      1: 2,
+      2: 2,
+      3: 0,
+    });
+
+    expectCentralityCloseTo(
+      betweennessCentrality(pathGraph(4, { isDirected: true }), { normalized: true }),
+      {
+        0: 0,
+        1: 2 / 6,
+        2: 2 / 6,
+        3: 0,
+      },
+    );
+  });
+
+  it('should use edge weights for weighted betweenness centrality', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexD, 1))
+      .addEdge(new GraphEdge(vertexD, vertexA, 5));
+
+    expect(betweennessCentrality(graph)).toEqual({
+      A: 0.5,
+      B: 0.5,
+      C: 0.5,
+      D: 0.5,
+    });
+
+    // Heavy A - D edge makes all the paths go around through B and C.
+    expect(betweennessCentrality(graph, { weighted: true })).toEqual({
+      A: 0,
+      B: 2,
+      C: 2,
+      D: 0,
+    });
+  });
+
+  it('should handle small graphs', () => {
+    expect(betweennessCentrality(new Graph())).toEqual({});
+    expect(betweennessCentrality(pathGraph(2), { normalized: true })).toEqual({ 0: 0, 1: 0 });
+  });
+
+  it('should find the same centrality as brute force', () => {
+    for (let seed = 1; seed <= 12; seed += 1) {
+      const isDirected = seed % 2 === 0;
+      const graph = erdosRenyiGraph(8, 0.35, {
+        seed,
+        isDirected,
+        minWeight: 1,
+        maxWeight: 3,
+      });
+
+      expectCentralityCloseTo(
+        betweennessCentrality(graph),
+        bruteForceBetweenness(graph, () => 1),
+      );
+
+      expectCentralityCloseTo(
+        betweennessCentrality(graph, { weighted: true }),
+        bruteForceBetweenness(graph, edge => edge.weight),
+      );
+    }
+  });
+});
@@ -0,0 +1,77 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import closenessCentrality from '../closenessCentrality';
+import { completeGraph, pathGraph } from '../../graph-generators/graphGenerators';
+
+describe('closenessCentrality', () => {
+  it('should calculate closeness centrality of connected graphs', () => {
+    const pathCentrality = closenessCentrality(pathGraph(5));
+
+    // Sums of distances are 10, 7, 6, 7, 10.
+    expect(pathCentrality['0']).toBeCloseTo(4 / 10);
+    expect(pathCentrality['1']).toBeCloseTo(4 / 7);
+    expect(pathCentrality['2']).toBeCloseTo(4 / 6);
+    expect(pathCentrality['3']).toBeCloseTo(4 / 7);
+    expect(pathCentrality['4']).toBeCloseTo(4 / 10);
+
+    Object.values(closenessCentrality(completeGraph(6))).forEach((centrality) => {
+      expect(centrality).toBeCloseTo(1);
+    });
+  });
+
+  it('should scale closeness centrality by fraction of reachable vertices', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addVertex(vertexC);
+
+    expect(closenessCentrality(graph)).toEqual({ A: 0.5, B: 0.5, C: 0 });
+    expect(closenessCentrality(new Graph())).toEqual({});
+  });
+
+  it('should follow edge directions in directed graph', () => {
+    // Directed path 0 -> 1 -> 2 -> 3.
+    const centrality = closenessCentrality(pathGraph(4, { isDirected: true }));
+
+    expect(centrality['0']).toBeCloseTo(3 / 6);
+    expect(centrality['1']).toBeCloseTo((2 / 3) * (2 / 3));
+    expect(centrality['2']).toBeCloseTo(1 / 3);
+    expect(centrality['3']).toBe(0);
+  });
+
+  it('should use edge weights for weighted closeness centrality', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 4);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1);
+    const edgeAC = new GraphEdge(vertexA, vertexC, 2);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeAC);
+
+    // Distances: A-B 3 (through C), A-C 2, B-C 1.
+    const centrality = closenessCentrality(graph, { weighted: true });
+    expect(centrality.A).toBeCloseTo(2 / 5);
+    expect(centrality.B).toBeCloseTo(2 / 4);
+    expect(centrality.C).toBeCloseTo(2 / 3);
+
+    // Without weights all the vertices are at distance one from each other.
+    expect(closenessCentrality(graph)).toEqual({ A: 1, B: 1, C: 1 });
+
+    const customCentrality = closenessCentrality(graph, {
+      weighted: true,
+      getEdgeWeight: edge => (edge === edgeAB ? 1 : 10),
+    });
+    expect(customCentrality.A).toBeCloseTo(2 / 11);
+  });
+});
@@ -0,0 +1,68 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import degreeCentrality, { IN_DEGREE, OUT_DEGREE, TOTAL_DEGREE } from '../degreeCentrality';
+
+describe('degreeCentrality', () => {
+  it('should calculate degree centrality of undirected graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexA, vertexC))
+      .addEdge(new GraphEdge(vertexA, vertexD))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addVertex(vertexE);
+
+    expect(degreeCentrality(graph)).toEqual({
+      A: 0.75,
+      B: 0.5,
+      C: 0.5,
+      D: 0.25,
+      E: 0,
+    });
+
+    expect(degreeCentrality(graph, { normalized: false })).toEqual({
+      A: 3,
+      B: 2,
+      C: 2,
+      D: 1,
+      E: 0,
+    });
+
+    // Degree type doesn't matter for undirected graph.
+    expect(degreeCentrality(graph, { degree: IN_DEGREE })).toEqual(degreeCentrality(graph));
+  });
+
+  it('should calculate degree centrality of directed graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexA, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexB));
+
+    expect(degreeCentrality(graph, { degree: OUT_DEGREE })).toEqual({ A: 1, B: 0, C: 0.5 });
+    expect(degreeCentrality(graph, { degree: IN_DEGREE })).toEqual({ A: 0, B: 1, C: 0.5 });
+    expect(degreeCentrality(graph, { degree: TOTAL_DEGREE })).toEqual({ A: 1, B: 1, C: 1 });
+    expect(degreeCentrality(graph)).toEqual(degreeCentrality(graph, { degree: TOTAL_DEGREE }));
+  });
+
+  it('should handle graphs with less than two vertices', () => {
+    expect(degreeCentrality(new Graph())).toEqual({});
+    expect(degreeCentrality(new Graph().addVertex(new GraphVertex('A')))).toEqual({ A: 0 });
+  });
+
+  it('should throw for unknown degree type', () => {
+    expect(() => degreeCentrality(new Graph(), { degree: 'both' }))
+      .toThrow('Unknown degree type "both"');
+  });
+});
@@ -0,0 +1,90 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import pageRank from '../pageRank';
+import { cycleGraph, erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {Object<string, number>} ranks
+ * @return {number}
+ */
+function sumRanks(ranks) {
+  return Object.values(ranks).reduce((sum, rank) => sum + rank, 0);
+}
+
+describe('pageRank', () => {
+  it('should give equal ranks to vertices of symmetric graph', () => {
+    [cycleGraph(5), cycleGraph(5, { isDirected: true })].forEach((graph) => {
+      Object.values(pageRank(graph)).forEach((rank) => {
+        expect(rank).toBeCloseTo(0.2, 10);
+      });
+    });
+
+    expect(pageRank(new Graph())).toEqual({});
+  });
+
+  it('should spread rank of vertices without outgoing edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph(true);
+    graph.addEdge(new GraphEdge(vertexA, vertexB));
+
+    // rankA = 0.15 / 2 + 0.85 * rankB / 2 and rankA + rankB = 1.
+    const ranks = pageRank(graph, { tolerance: 1e-12 });
+    expect(ranks.A).toBeCloseTo(0.5 / 1.425, 8);
+    expect(ranks.B).toBeCloseTo(1 - (0.5 / 1.425), 8);
+
+    // Single iteration from uniform ranks.
+    const firstRanks = pageRank(graph, { maxIterations: 1 });
+    expect(firstRanks.A).toBeCloseTo(0.2875, 10);
+    expect(firstRanks.B).toBeCloseTo(0.7125, 10);
+
+    // With damping zero the surfer always jumps to a random vertex.
+    expect(pageRank(graph, { damping: 0 })).toEqual({ A: 0.5, B: 0.5 });
+  });
+
+  it('should rank vertices with more incoming links higher', () => {
+    const center = new GraphVertex('center');
+    const graph = new Graph(true);
+
+    for (let index = 0; index < 5; index += 1) {
+      const leaf = new GraphVertex(`leaf${index}`);
+      graph
+        .addEdge(new GraphEdge(leaf, center))
+        .addEdge(new GraphEdge(center, leaf));
+    }
+
+    const ranks = pageRank(graph);
+    expect(sumRanks(ranks)).toBeCloseTo(1, 10);
+
+    Object.keys(ranks)
+      .filter(key => key !== 'center')
+      .forEach((key) => {
+        expect(ranks.center).toBeGreaterThan(ranks[key]);
+        expect(ranks[key]).toBeCloseTo(ranks.leaf0, 10);
+      });
+  });
+
+  it('should keep ranks summing up to one', () => {
+    for (let seed = 1; seed <= 5; seed += 1) {
+      const graph = erdosRenyiGraph(30, 0.1, { seed, isDirected: true });
+      const ranks = pageRank(graph, { damping: 0.9 });
+
+      expect(Object.keys(ranks)).toHaveLength(30);
+      expect(sumRanks(ranks)).toBeCloseTo(1, 8);
+      Object.values(ranks).forEach((rank) => {
+        expect(rank).toBeGreaterThan(0);
+      });
+    }
+  });
+
+  it('should validate options', () => {
+    const graph = cycleGraph(3);
+
+    expect(() => pageRank(graph, { damping: 1.5 })).toThrow('Damping factor must be in [0, 1] range');
+    expect(() => pageRank(graph, { tolerance: 0 })).toThrow('Tolerance must be positive');
+    expect(() => pageRank(graph, { maxIterations: 0 }))
+      .toThrow('Maximal number of iterations must be a positive integer');
+  });
+});
@@ -0,0 +1,67 @@
+import getShortestPathsCounts from './getShortestPathsCounts';
+
+/**
+ * Brandes' algorithm of calculating betweenness centrality: the sum over all
+ * pairs of vertices (s, t) of the fraction of shortest s-t paths that go
+ * through the vertex. It runs single source shortest paths search from every
+ * vertex and accumulates path dependencies in order of decreasing distance,
+ * which takes O(|V||E|) time for unweighted graphs and O(|V||E| + |V|²log|V|)
+ * time for weighted ones.
+ *
+ * @param {Graph} graph
+ * @param {PathOptions|{normalized: boolean}} [options] - Normalized centrality
+ *  is divided by the number of pairs of the other vertices.
+ * @return {Object<string, number>} - Centrality by vertex key.
+ */
+export default function betweennessCentrality(graph, options = {}) {
+  const { normalized = false } = options;
+  const vertices = graph.getAllVertices();
+
+  const centrality = {};
+  vertices.forEach((vertex) => {
+    centrality[vertex.getKey()] = 0;
+  });
+
+  vertices.forEach((sourceVertex) => {
+    const {
+      pathsCounts,
+      predecessors,
+      order,
+    } = getShortestPathsCounts(graph, sourceVertex, options);
+
+    // Dependency of the source on every vertex: the sum of the fractions of shortest
+    // paths to all targets that go through the vertex.
+    const dependencies = {};
+    order.forEach((vertex) => {
+      dependencies[vertex.getKey()] = 0;
+    });
+
+    // Take the farthest vertices first since their dependencies are final by then.
+    for (let orderIndex = order.length - 1; orderIndex > 0; orderIndex -= 1) {
+      const vertexKey = order[orderIndex].getKey();
+      const pathsFraction = (1 + dependencies[vertexKey]) / pathsCounts[vertexKey];
+
+      predecessors[vertexKey].forEach((predecessor) => {
+        const predecessorKey = predecessor.getKey();
+        dependencies[predecessorKey] += pathsCounts[predecessorKey] * pathsFraction;
+      });
+
+      centrality[vertexKey] += dependencies[vertexKey];
+    }
+  });
+
+  // Every path of undirected graph has been counted in both directions. Normalization
+  // divides by the number of ordered pairs of the other vertices for both graph types.
+  let scale = graph.isDirected ? 1 : 0.5;
+
+  if (normalized) {
+    const otherPairsCount = (vertices.length - 1) * (vertices.length - 2);
+    scale = otherPairsCount > 0 ? 1 / otherPairsCount : 0;
+  }
+
+  Object.keys(centrality).forEach((vertexKey) => {
+    centrality[vertexKey] *= scale;
+  });
+
+  return centrality;
+}
@@ -0,0 +1,35 @@
+import getShortestPathsCounts from './getShortestPathsCounts';
+
+/**
+ * Closeness centrality is the inverse of the average shortest path distance from
+ * the vertex to all the vertices it can reach (along edge directions for directed
+ * graph). For not connected graphs it is multiplied by the fraction of the other
+ * vertices that are reachable (Wasserman and Faust formula), so that vertices that
+ * reach few other vertices don't get high score:
+ *
+ *   C(v) = ((r - 1) / (n - 1)) * ((r - 1) / (sum of distances to reachable vertices)),
+ *
+ * where r is the number of reachable vertices (including v itself).
+ *
+ * @param {Graph} graph
+ * @param {PathOptions} [options]
+ * @return {Object<string, number>} - Centrality by vertex key.
+ */
+export default function closenessCentrality(graph, options = {}) {
+  const vertices = graph.getAllVertices();
+  const centrality = {};
+
+  vertices.forEach((vertex) => {
+    const { distances } = getShortestPathsCounts(graph, vertex, options);
+
+    const reachableKeys = Object.keys(distances);
+    const distancesSum = reachableKeys.reduce((sum, key) => sum + distances[key], 0);
+    const othersCount = reachableKeys.length - 1;
+
+    centrality[vertex.getKey()] = distancesSum > 0 ?
+      (othersCount / (vertices.length - 1)) * (othersCount / distancesSum) :
+      0;
+  });
+
+  return centrality;
+}
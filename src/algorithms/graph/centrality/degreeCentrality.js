@@ -0,0 +1,40 @@
+export const IN_DEGREE = 'in';
+export const OUT_DEGREE = 'out';
+export const TOTAL_DEGREE = 'total';
+
+/**
+ * Degree centrality is the number of edges of the vertex. It is normalized
+ * by dividing by the maximal possible degree (n - 1) of simple graph.
+ *
+ * @param {Graph} graph
+ * @param {{degree: string, normalized: boolean}} [options] - For directed graph degree
+ *  may be IN_DEGREE, OUT_DEGREE or TOTAL_DEGREE (sum of both, the default one).
+ * @return {Object<string, number>} - Centrality by vertex key.
+ */
+export default function degreeCentrality(graph, options = {}) {
+  const { degree = TOTAL_DEGREE, normalized = true } = options;
+
+  if ([IN_DEGREE, OUT_DEGREE, TOTAL_DEGREE].indexOf(degree) === -1) {
+    throw new Error(`Unknown degree type "${degree}"`);
+  }
+
+  const vertices = graph.getAllVertices();
+  const scale = normalized && vertices.length > 1 ? 1 / (vertices.length - 1) : 1;
+
+  const centrality = {};
+  vertices.forEach((vertex) => {
+    let vertexDegree = graph.getOutDegree(vertex);
+
+    if (graph.isDirected) {
+      if (degree === IN_DEGREE) {
+        vertexDegree = graph.getInDegree(vertex);
+      } else if (degree === TOTAL_DEGREE) {
+        vertexDegree += graph.getInDegree(vertex);
+      }
+    }
+
+    centrality[vertex.getKey()] = vertexDegree * scale;
+  });
+
+  return centrality;
+}
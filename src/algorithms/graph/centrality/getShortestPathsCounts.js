@@ -0,0 +1,96 @@
+import PriorityQueue from '../../../data-structures/priority-queue/PriorityQueue';
+import Queue from '../../../data-structures/queue/Queue';
+
+/**
+ * @typedef {Object} PathOptions
+ *
+ * @property {boolean} [weighted] - Whether path length is the sum of edge weights
+ *  (weights must be positive) or the number of edges (the default).
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Weight of the edge
+ *  for weighted paths. By default the edge weight is used.
+ */
+
+/**
+ * @typedef {Object} ShortestPathsCounts
+ *
+ * @property {Object<string, number>} distances - Distance by key of reachable vertex.
+ *
+ * @property {Object<string, number>} pathsCounts - Number of shortest paths by vertex key.
+ *
+ * @property {Object<string, GraphVertex[]>} predecessors - Previous vertices of all
+ *  the shortest paths by vertex key (once per every shortest path edge).
+ *
+ * @property {GraphVertex[]} order - Reachable vertices in order of non-decreasing distance.
+ */
+
+/**
+ * Single source shortest paths that counts all the shortest paths to every vertex
+ * (breadth first search for unweighted paths and Dijkstra's algorithm for weighted ones).
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {PathOptions} [options]
+ * @return {ShortestPathsCounts}
+ */
+export default function getShortestPathsCounts(graph, startVertex, options = {}) {
+  const { weighted = false, getEdgeWeight = edge => edge.weight } = options;
+
+  const distances = { [startVertex.getKey()]: 0 };
+  const pathsCounts = { [startVertex.getKey()]: 1 };
+  const predecessors = { [startVertex.getKey()]: [] };
+  const order = [];
+  const settled = {};
+
+  const queue = weighted ? new PriorityQueue() : new Queue();
+  const enqueue = (vertex) => {
+    if (!weighted) {
+      queue.enqueue(vertex);
+    } else if (queue.hasValue(vertex)) {
+      queue.changePriority(vertex, distances[vertex.getKey()]);
+    } else {
+      queue.add(vertex, distances[vertex.getKey()]);
+    }
+  };
+  const dequeue = () => (weighted ? queue.poll() : queue.dequeue());
+
+  enqueue(startVertex);
+
+  while (!queue.isEmpty()) {
+    const currentVertex = dequeue();
+    const currentKey = currentVertex.getKey();
+    settled[currentKey] = true;
+    order.push(currentVertex);
+
+    currentVertex.getEdges().forEach((edge) => {
+      // For undirected graphs current vertex may be the end one.
+      const neighbor = edge.startVertex === currentVertex ? edge.endVertex : edge.startVertex;
+      const neighborKey = neighbor.getKey();
+
+      if (settled[neighborKey]) {
+        return;
+      }
+
+      const distance = distances[currentKey] + (weighted ? getEdgeWeight(edge) : 1);
+
+      if (distances[neighborKey] === undefined || distance < distances[neighborKey]) {
+        distances[neighborKey] = distance;
+        pathsCounts[neighborKey] = 0;
+        predecessors[neighborKey] = [];
+        enqueue(neighbor);
+      }
+
+      if (distance === distances[neighborKey]) {
+        pathsCounts[neighborKey] += pathsCounts[currentKey];
+        predecessors[neighborKey].push(currentVertex);
+      }
+    });
+  }
+
+  return {
+    distances,
+    pathsCounts,
+    predecessors,
+    order,
+  };
+}
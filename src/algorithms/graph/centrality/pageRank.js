@@ -0,0 +1,89 @@
+/**
+ * @typedef {Object} PageRankOptions
+ *
+ * @property {number} [damping] - Probability to follow one of the links (edges)
+ *  of the current vertex instead of jumping to a random vertex.
+ *
+ * @property {number} [tolerance] - Iterations stop once the total (L1) change
+ *  of the ranks gets smaller than this value.
+ *
+ * @property {number} [maxIterations] - Iterations stop after this number of steps even
+ *  if the ranks haven't converged yet.
+ */
+
+/**
+ * PageRank calculated by power iteration. Rank of the vertex is the probability
+ * to find the random surfer there: on every step the surfer follows one of the
+ * edges of the current vertex (in both directions for undirected graph) with
+ * damping probability or jumps to a random vertex otherwise. Vertices without
+ * outgoing edges send the surfer to a random vertex. Ranks sum up to one.
+ *
+ * @param {Graph} graph
+ * @param {PageRankOptions} [options]
+ * @return {Object<string, number>} - Rank by vertex key.
+ */
+export default function pageRank(graph, options = {}) {
+  const {
+    damping = 0.85,
+    tolerance = 1e-6,
+    maxIterations = 100,
+  } = options;
+
+  if (!(damping >= 0 && damping <= 1)) {
+    throw new Error('Damping factor must be in [0, 1] range');
+  }
+
+  if (!(tolerance > 0)) {
+    throw new Error('Tolerance must be positive');
+  }
+
+  if (!Number.isInteger(maxIterations) || maxIterations < 1) {
+    throw new Error('Maximal number of iterations must be a positive integer');
+  }
+
+  const vertices = graph.getAllVertices();
+  const verticesCount = vertices.length;
+
+  // Keys of the vertices every vertex links to (once per every edge).
+  const links = {};
+  let ranks = {};
+  vertices.forEach((vertex) => {
+    links[vertex.getKey()] = vertex.getNeighbors().map(neighbor => neighbor.getKey());
+    ranks[vertex.getKey()] = 1 / verticesCount;
+  });
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    // Rank of the vertices without links is spread among all the vertices.
+    const danglingRank = vertices.reduce((rank, vertex) => {
+      return links[vertex.getKey()].length ? rank : rank + ranks[vertex.getKey()];
+    }, 0);
+
+    const baseRank = ((1 - damping) + (damping * danglingRank)) / verticesCount;
+
+    const nextRanks = {};
+    vertices.forEach((vertex) => {
+      nextRanks[vertex.getKey()] = baseRank;
+    });
+
+    vertices.forEach((vertex) => {
+      const vertexLinks = links[vertex.getKey()];
+      const linkRank = (damping * ranks[vertex.getKey()]) / vertexLinks.length;
+
+      vertexLinks.forEach((linkKey) => {
+        nextRanks[linkKey] += linkRank;
+      });
+    });
+
+    const change = vertices.reduce((sum, vertex) => {
+      return sum + Math.abs(nextRanks[vertex.getKey()] - ranks[vertex.getKey()]);
+    }, 0);
+
+    ranks = nextRanks;
+
+    if (change < tolerance) {
+      break;
+    }
+  }
+
+  return ranks;
+}
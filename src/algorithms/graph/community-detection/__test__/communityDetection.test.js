@@ -0,0 +1,252 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import louvain from '../louvain';
+import labelPropagation from '../labelPropagation';
+import modularity from '../modularity';
+import { completeGraph, erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+const algorithms = { louvain, labelPropagation };
+
+/**
+ * Ring of cliques connected by single edges. Vertices have "clique:index" keys.
+ *
+ * @param {number} cliquesCount
+ * @param {number} cliqueSize
+ * @return {Graph}
+ */
+function ringOfCliques(cliquesCount, cliqueSize) {
+  const graph = new Graph();
+  const cliques = [];
+
+  for (let clique = 0; clique < cliquesCount; clique += 1) {
+    cliques.push([]);
+    for (let index = 0; index < cliqueSize; index += 1) {
+      cliques[clique].push(new GraphVertex(`${clique}:${index}`));
+    }
+
+    cliques[clique].forEach((vertex, index) => {
+      cliques[clique].slice(index + 1).forEach((otherVertex) => {
+        graph.addEdge(new GraphEdge(vertex, otherVertex, 1));
+      });
+    });
+  }
+
+  for (let clique = 0; clique < cliquesCount; clique += 1) {
+    const nextClique = (clique + 1) % cliquesCount;
+    graph.addEdge(new GraphEdge(cliques[clique][0], cliques[nextClique][1], 1));
+  }
+
+  return graph;
+}
+
+/**
+ * Random graph with dense groups of vertices. Vertices have "group:index" keys.
+ *
+ * @param {number} groupsCount
+ * @param {number} groupSize
+ * @param {number} innerProbability
+ * @param {number} outerProbability
+ * @param {number} seed
+ * @return {Graph}
+ */
+function plantedPartitionGraph(groupsCount, groupSize, innerProbability, outerProbability, seed) {
+  const seededRandom = new SeededRandom(seed);
+  const graph = new Graph();
+  const vertices = [];
+
+  for (let group = 0; group < groupsCount; group += 1) {
+    for (let index = 0; index < groupSize; index += 1) {
+      const vertex = new GraphVertex(`${group}:${index}`);
+      vertices.push(vertex);
+      graph.addVertex(vertex);
+    }
+  }
+
+  vertices.forEach((vertex, index) => {
+    vertices.slice(index + 1).forEach((otherVertex) => {
+      const isSameGroup = vertex.getKey().split(':')[0] === otherVertex.getKey().split(':')[0];
+      const probability = isSameGroup ? innerProbability : outerProbability;
+
+      if (seededRandom.random() < probability) {
+        graph.addEdge(new GraphEdge(vertex, otherVertex, 1));
+      }
+    });
+  });
+
+  return graph;
+}
+
+/**
+ * Checks that vertices are in the same community if and only if the prefixes
+ * of their keys (before the colon) are the same.
+ *
+ * @param {Object<string, number>} partition
+ */
+function expectGroupsFound(partition) {
+  const keys = Object.keys(partition);
+
+  keys.forEach((key) => {
+    keys.forEach((otherKey) => {
+      const isSameGroup = key.split(':')[0] === otherKey.split(':')[0];
+      expect(partition[key] === partition[otherKey]).toBe(isSameGroup);
+    });
+  });
+}
+
+describe('modularity', () => {
+  it('should calculate modularity of partitions', () => {
+    const graph = ringOfCliques(2, 5);
+    const groups = {};
+    const singletons = {};
+    const single = {};
+    graph.getAllVertices().forEach((vertex, index) => {
+      [groups[vertex.getKey()]] = vertex.getKey().split(':');
+      singletons[vertex.getKey()] = index;
+      single[vertex.getKey()] = 0;
+    });
+
+    // Two cliques are connected by two edges. Each clique has 10 inner edges and
+    // total degree 22 out of 44.
+    expect(modularity(graph, groups)).toBeCloseTo((20 / 22) - 0.5, 10);
+    expect(modularity(graph, single)).toBeCloseTo(0, 10);
+
+    const expectedSingletonsModularity = -graph.getAllVertices()
+      .reduce((sum, vertex) => sum + ((vertex.getDegree() / 44) ** 2), 0);
+    expect(modularity(graph, singletons)).toBeCloseTo(expectedSingletonsModularity, 10);
+  });
+
+  it('should take weights, parallel edges and self loops into account', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexA, vertexB, 2))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexC, 2));
+
+    // m = 6, inner weights are 3 and 2, degrees are 7 and 5.
+    const expectedModularity = ((3 / 6) - ((7 / 12) ** 2)) + ((2 / 6) - ((5 / 12) ** 2));
+    expect(modularity(graph, { A: 'x', B: 'x', C: 'y' })).toBeCloseTo(expectedModularity, 10);
+
+    expect(modularity(graph, { A: 0, B: 0, C: 0 }, { getEdgeWeight: () => 1 })).toBeCloseTo(0, 10);
+  });
+
+  it('should validate graph and partition', () => {
+    const graph = completeGraph(3);
+
+    expect(modularity(new Graph(), {})).toBe(0);
+    expect(() => modularity(graph, { 0: 0, 1: 0 })).toThrow('Partition must contain every vertex');
+    expect(() => modularity(new Graph(true), {}))
+      .toThrow('Community detection works with undirected graphs only');
+    expect(() => modularity(graph, { 0: 0, 1: 0, 2: 0 }, { getEdgeWeight: () => -1 }))
+      .toThrow('Edge weights must not be negative');
+  });
+});
+
+describe('communityDetection', () => {
+  Object.keys(algorithms).forEach((name) => {
+    const detectCommunities = algorithms[name];
+
+    describe(name, () => {
+      it('should handle graphs without edges', () => {
+        expect(detectCommunities(new Graph())).toEqual({ partition: {}, modularity: 0 });
+
+        const graph = new Graph()
+          .addVertex(new GraphVertex('A'))
+          .addVertex(new GraphVertex('B'));
+
+        expect(detectCommunities(graph)).toEqual({ partition: { A: 0, B: 1 }, modularity: 0 });
+      });
+
+      it('should find cliques connected by single edges', () => {
+        const graph = ringOfCliques(6, 5);
+        const { partition, modularity: partitionModularity } = detectCommunities(graph);
+
+        expectGroupsFound(partition);
+        expect(partitionModularity).toBeCloseTo(modularity(graph, partition), 10);
+        expect(Object.values(partition).sort()).toEqual([0, 1, 2, 3, 4, 5]
+          .reduce((ids, id) => [...ids, id, id, id, id, id], []));
+      });
+
+      it('should find dense groups of random graph', () => {
+        const graph = plantedPartitionGraph(4, 15, 0.6, 0.02, 24);
+        const result = detectCommunities(graph);
+
+        expectGroupsFound(result.partition);
+        expect(result.modularity).toBeGreaterThan(0.5);
+      });
+
+      it('should take edge weights into account', () => {
+        const vertexA = new GraphVertex('A');
+        const vertexB = new GraphVertex('B');
+        const vertexC = new GraphVertex('C');
+        const vertexD = new GraphVertex('D');
+
+        const edgeAB = new GraphEdge(vertexA, vertexB, 10);
+        const edgeBC = new GraphEdge(vertexB, vertexC, 1);
+        const edgeCD = new GraphEdge(vertexC, vertexD, 10);
+        const edgeDA = new GraphEdge(vertexD, vertexA, 1);
+
+        const graph = new Graph();
+        graph
+          .addEdge(edgeAB)
+          .addEdge(edgeBC)
+          .addEdge(edgeCD)
+          .addEdge(edgeDA);
+
+        expect(detectCommunities(graph).partition).toEqual({
+          A: 0,
+          B: 0,
+          C: 1,
+          D: 1,
+        });
+
+        const { partition } = detectCommunities(graph, {
+          getEdgeWeight: edge => (edge === edgeBC || edge === edgeDA ? 10 : 1),
+        });
+
+        expect(partition).toEqual({
+          A: 0,
+          B: 1,
+          C: 1,
+          D: 0,
+        });
+      });
+
+      it('should be deterministic for the same seed', () => {
+        const graph = erdosRenyiGraph(60, 0.08, { seed: 5 });
+
+        for (let seed = 1; seed <= 3; seed += 1) {
+          const result = detectCommunities(graph, { seed });
+
+          expect(detectCommunities(graph, { seed })).toEqual(result);
+          expect(Object.keys(result.partition)).toHaveLength(60);
+          expect(result.modularity).toBeCloseTo(modularity(graph, result.partition), 10);
+          expect(result.modularity).toBeGreaterThan(0);
+        }
+      });
+
+      it('should throw for directed graph', () => {
+        expect(() => detectCommunities(new Graph(true)))
+          .toThrow('Community detection works with undirected graphs only');
+      });
+    });
+  });
+
+  it('should find partition with higher modularity using Louvain method', () => {
+    for (let seed = 1; seed <= 5; seed += 1) {
+      const graph = plantedPartitionGraph(5, 12, 0.3, 0.05, seed);
+
+      const louvainResult = louvain(graph, { seed });
+      const labelPropagationResult = labelPropagation(graph, { seed });
+
+      expect(louvainResult.modularity).toBeGreaterThan(0.35);
+      expect(louvainResult.modularity).toBeGreaterThan(labelPropagationResult.modularity);
+    }
+  });
+});
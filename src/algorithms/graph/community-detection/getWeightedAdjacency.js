@@ -0,0 +1,78 @@
+/**
+ * @typedef {Object} CommunityOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Non-negative weight
+ *  of the edge. By default the edge weight is used.
+ *
+ * @property {number} [seed] - Seed of pseudo random generator that shuffles the order
+ *  of vertices. The same seed always gives the same partition.
+ */
+
+/**
+ * @typedef {Object} WeightedAdjacency
+ *
+ * @property {GraphVertex[]} vertices
+ *
+ * @property {Map<number, number>[]} neighborsWeights - Total weight of the edges to
+ *  every neighbor by neighbor index (self loops are not included).
+ *
+ * @property {number[]} selfLoopsWeights - Total weight of the self loops of every vertex.
+ *
+ * @property {number[]} degrees - Weighted degree of every vertex (self loop is counted twice).
+ *
+ * @property {number} totalWeight - Total weight of all the edges.
+ */
+
+/**
+ * Builds compact weighted adjacency of undirected graph where vertices are
+ * referenced by their indices and parallel edges are merged.
+ *
+ * @param {Graph} graph
+ * @param {function(edge: GraphEdge): number} getEdgeWeight
+ * @return {WeightedAdjacency}
+ */
+export default function getWeightedAdjacency(graph, getEdgeWeight) {
+  if (graph.isDirected) {
+    throw new Error('Community detection works with undirected graphs only');
+  }
+
+  const vertices = graph.getAllVertices();
+  const indices = graph.getVerticesIndices();
+
+  const neighborsWeights = vertices.map(() => new Map());
+  const selfLoopsWeights = vertices.map(() => 0);
+  const degrees = vertices.map(() => 0);
+  let totalWeight = 0;
+
+  graph.getAllEdges().forEach((edge) => {
+    const weight = getEdgeWeight(edge);
+
+    if (!(weight >= 0)) {
+      throw new Error('Edge weights must not be negative');
+    }
+
+    const startIndex = indices[edge.startVertex.getKey()];
+    const endIndex = indices[edge.endVertex.getKey()];
+
+    if (startIndex === endIndex) {
+      selfLoopsWeights[startIndex] += weight;
+    } else {
+      const startNeighbors = neighborsWeights[startIndex];
+      const endNeighbors = neighborsWeights[endIndex];
+      startNeighbors.set(endIndex, (startNeighbors.get(endIndex) || 0) + weight);
+      endNeighbors.set(startIndex, (endNeighbors.get(startIndex) || 0) + weight);
+    }
+
+    degrees[startIndex] += weight;
+    degrees[endIndex] += weight;
+    totalWeight += weight;
+  });
+
+  return {
+    vertices,
+    neighborsWeights,
+    selfLoopsWeights,
+    degrees,
+    totalWeight,
+  };
+}
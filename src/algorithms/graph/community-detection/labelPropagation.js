@@ -0,0 +1,68 @@
+import SeededRandom from '../../../utils/random/SeededRandom';
+import getWeightedAdjacency from './getWeightedAdjacency';
+import modularity, { normalizePartition } from './modularity';
+
+/**
+ * Label propagation community detection. Every vertex starts with its own label.
+ * Then vertices in random order adopt the label with the largest total weight
+ * among their neighbors (ties are broken randomly, but the current label is kept
+ * if it is one of the best). Densely connected groups of vertices quickly agree on
+ * a single label. The process stops when every vertex has one of the best labels.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @param {CommunityOptions|{maxIterations: number}} [options] - Maximal number
+ *  of passes over all the vertices (100 by default).
+ * @return {{partition: Object<string, number>, modularity: number}} - Community id
+ *  by vertex key and modularity of the partition.
+ */
+export default function labelPropagation(graph, options = {}) {
+  const {
+    getEdgeWeight = edge => edge.weight,
+    seed = 1,
+    maxIterations = 100,
+  } = options;
+
+  const { vertices, neighborsWeights } = getWeightedAdjacency(graph, getEdgeWeight);
+  const seededRandom = new SeededRandom(seed);
+
+  const labels = vertices.map((vertex, vertexIndex) => vertexIndex);
+  const vertexIndices = [...labels];
+
+  for (let iteration = 0; iteration < maxIterations; iteration += 1) {
+    let hasChanged = false;
+
+    seededRandom.shuffle(vertexIndices).forEach((vertexIndex) => {
+      const labelsWeights = new Map();
+      neighborsWeights[vertexIndex].forEach((weight, neighborIndex) => {
+        if (weight > 0) {
+          const label = labels[neighborIndex];
+          labelsWeights.set(label, (labelsWeights.get(label) || 0) + weight);
+        }
+      });
+
+      if (!labelsWeights.size) {
+        return;
+      }
+
+      const maxWeight = Math.max(...labelsWeights.values());
+      const bestLabels = Array.from(labelsWeights.keys())
+        .filter(label => labelsWeights.get(label) === maxWeight);
+
+      if (bestLabels.indexOf(labels[vertexIndex]) === -1) {
+        labels[vertexIndex] = bestLabels[seededRandom.randomInt(0, bestLabels.length - 1)];
+        hasChanged = true;
+      }
+    });
+
+    if (!hasChanged) {
+      break;
+    }
+  }
+
+  const partition = normalizePartition(vertices, vertexIndex => labels[vertexIndex]);
+
+  return {
+    partition,
+    modularity: modularity(graph, partition, { getEdgeWeight }),
+  };
+}
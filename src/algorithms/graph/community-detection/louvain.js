@@ -0,0 +1,181 @@
+import SeededRandom from '../../../utils/random/SeededRandom';
+import getWeightedAdjacency from './getWeightedAdjacency';
+import modularity, { normalizePartition } from './modularity';
+
+// Moves that improve modularity by less than this are ignored to avoid endless
+// moves back and forth caused by rounding errors.
+const MIN_GAIN = 1e-10;
+
+/**
+ * @typedef {Object} LouvainLevel
+ *
+ * @property {Map<number, number>[]} neighborsWeights
+ * @property {number[]} selfLoopsWeights
+ * @property {number[]} degrees
+ */
+
+/**
+ * Local moving phase: every node in turn is moved to the neighbor community that
+ * gives the largest modularity gain until no move improves modularity.
+ *
+ * @param {LouvainLevel} level
+ * @param {number} totalWeight
+ * @param {SeededRandom} seededRandom
+ * @return {{communities: number[], hasMoved: boolean}}
+ */
+function moveNodes(level, totalWeight, seededRandom) {
+  const { neighborsWeights, degrees } = level;
+  const nodes = degrees.map((degree, node) => node);
+
+  // Every node starts in its own community.
+  const communities = [...nodes];
+  const communityDegrees = [...degrees];
+  let hasMoved = false;
+  let hasImproved;
+
+  do {
+    hasImproved = false;
+
+    seededRandom.shuffle(nodes).forEach((node) => {
+      const ownCommunity = communities[node];
+      const degree = degrees[node];
+
+      // Weight of the edges from the node to every neighbor community.
+      const communityWeights = new Map();
+      neighborsWeights[node].forEach((weight, neighbor) => {
+        const community = communities[neighbor];
+        communityWeights.set(community, (communityWeights.get(community) || 0) + weight);
+      });
+
+      // Take the node out of its community and find the best community to put it into.
+      // Modularity gain of joining community c is proportional to
+      // k(i, c) - D(c) * k(i) / 2m.
+      communityDegrees[ownCommunity] -= degree;
+
+      const getGain = community => (communityWeights.get(community) || 0) -
+        ((communityDegrees[community] * degree) / (2 * totalWeight));
+
+      let bestCommunity = ownCommunity;
+      let bestGain = getGain(ownCommunity);
+      communityWeights.forEach((weight, community) => {
+        const gain = getGain(community);
+
+        if (gain > bestGain + MIN_GAIN) {
+          bestCommunity = community;
+          bestGain = gain;
+        }
+      });
+
+      communityDegrees[bestCommunity] += degree;
+      communities[node] = bestCommunity;
+
+      if (bestCommunity !== ownCommunity) {
+        hasImproved = true;
+        hasMoved = true;
+      }
+    });
+  } while (hasImproved);
+
+  return { communities, hasMoved };
+}
+
+/**
+ * Aggregation phase: builds the graph whose nodes are the communities of the
+ * current level. Edges inside communities become self loops.
+ *
+ * @param {LouvainLevel} level
+ * @param {number[]} communities - Consecutive community id of every node.
+ * @param {number} communitiesCount
+ * @return {LouvainLevel}
+ */
+function aggregateCommunities(level, communities, communitiesCount) {
+  const neighborsWeights = [];
+  const selfLoopsWeights = [];
+  const degrees = [];
+
+  for (let community = 0; community < communitiesCount; community += 1) {
+    neighborsWeights.push(new Map());
+    selfLoopsWeights.push(0);
+    degrees.push(0);
+  }
+
+  level.degrees.forEach((degree, node) => {
+    const community = communities[node];
+
+    degrees[community] += degree;
+    selfLoopsWeights[community] += level.selfLoopsWeights[node];
+
+    level.neighborsWeights[node].forEach((weight, neighbor) => {
+      const neighborCommunity = communities[neighbor];
+      const communityNeighbors = neighborsWeights[community];
+
+      if (neighborCommunity === community) {
+        // Inner edge is met twice, from both of its ends.
+        selfLoopsWeights[community] += weight / 2;
+      } else {
+        const currentWeight = communityNeighbors.get(neighborCommunity) || 0;
+        communityNeighbors.set(neighborCommunity, currentWeight + weight);
+      }
+    });
+  });
+
+  return { neighborsWeights, selfLoopsWeights, degrees };
+}
+
+/**
+ * Louvain method of community detection. It greedily optimizes modularity:
+ * nodes are moved between neighbor communities while modularity grows, then
+ * communities are merged into single nodes and the process is repeated on the
+ * graph of communities until nothing moves.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @param {CommunityOptions} [options]
+ * @return {{partition: Object<string, number>, modularity: number}} - Community id
+ *  by vertex key and modularity of the partition.
+ */
+export default function louvain(graph, options = {}) {
+  const { getEdgeWeight = edge => edge.weight, seed = 1 } = options;
+
+  const {
+    vertices,
+    neighborsWeights,
+    selfLoopsWeights,
+    degrees,
+    totalWeight,
+  } = getWeightedAdjacency(graph, getEdgeWeight);
+
+  const seededRandom = new SeededRandom(seed);
+
+  // Node of the current level that every vertex belongs to.
+  let vertexNodes = vertices.map((vertex, vertexIndex) => vertexIndex);
+  let level = { neighborsWeights, selfLoopsWeights, degrees };
+
+  // Without edges every partition has zero modularity, so vertices are left alone.
+  let hasMoved = totalWeight > 0;
+
+  while (hasMoved) {
+    const levelResult = moveNodes(level, totalWeight, seededRandom);
+    ({ hasMoved } = levelResult);
+
+    if (hasMoved) {
+      const communityIds = new Map();
+      const communities = levelResult.communities.map((community) => {
+        if (!communityIds.has(community)) {
+          communityIds.set(community, communityIds.size);
+        }
+
+        return communityIds.get(community);
+      });
+
+      vertexNodes = vertexNodes.map(node => communities[node]);
+      level = aggregateCommunities(level, communities, communityIds.size);
+    }
+  }
+
+  const partition = normalizePartition(vertices, vertexIndex => vertexNodes[vertexIndex]);
+
+  return {
+    partition,
+    modularity: modularity(graph, partition, { getEdgeWeight }),
+  };
+}
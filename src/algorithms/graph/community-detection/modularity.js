@@ -0,0 +1,91 @@
+import getWeightedAdjacency from './getWeightedAdjacency';
+
+/**
+ * Renumbers communities with consecutive ids (0, 1, 2, ...) in order of
+ * appearance of their first vertices in graph.getAllVertices().
+ *
+ * @param {GraphVertex[]} vertices
+ * @param {function(vertexIndex: number): *} getCommunity
+ * @return {Object<string, number>} - Community id by vertex key.
+ */
+export function normalizePartition(vertices, getCommunity) {
+  const communityIds = new Map();
+  const partition = {};
+
+  vertices.forEach((vertex, vertexIndex) => {
+    const community = getCommunity(vertexIndex);
+
+    if (!communityIds.has(community)) {
+      communityIds.set(community, communityIds.size);
+    }
+
+    partition[vertex.getKey()] = communityIds.get(community);
+  });
+
+  return partition;
+}
+
+/**
+ * Modularity of the partition of weighted undirected graph: the fraction of the
+ * edges weight that falls within communities minus the expected fraction if the
+ * edges were distributed at random keeping the degrees of vertices:
+ *
+ *   Q = sum over communities c of (L(c) / m - (D(c) / 2m)²),
+ *
+ * where L(c) is the weight of the edges inside the community, D(c) is the sum of
+ * the degrees of its vertices and m is the total weight of the edges.
+ *
+ * @param {Graph} graph
+ * @param {Object<string, *>} partition - Community id by vertex key.
+ * @param {CommunityOptions} [options]
+ * @return {number} - Modularity in [-1/2, 1) range (zero for graph without edges).
+ */
+export default function modularity(graph, partition, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
+  const {
+    vertices,
+    neighborsWeights,
+    selfLoopsWeights,
+    degrees,
+    totalWeight,
+  } = getWeightedAdjacency(graph, getEdgeWeight);
+
+  const communities = vertices.map((vertex) => {
+    if (partition[vertex.getKey()] === undefined) {
+      throw new Error('Partition must contain every vertex');
+    }
+
+    return partition[vertex.getKey()];
+  });
+
+  if (totalWeight === 0) {
+    return 0;
+  }
+
+  const innerWeights = new Map();
+  const communityDegrees = new Map();
+
+  vertices.forEach((vertex, vertexIndex) => {
+    const community = communities[vertexIndex];
+
+    // Every inner edge is met twice, from both of its ends.
+    let innerWeight = selfLoopsWeights[vertexIndex];
+    neighborsWeights[vertexIndex].forEach((weight, neighborIndex) => {
+      if (communities[neighborIndex] === community) {
+        innerWeight += weight / 2;
+      }
+    });
+
+    innerWeights.set(community, (innerWeights.get(community) || 0) + innerWeight);
+    communityDegrees.set(community, (communityDegrees.get(community) || 0) + degrees[vertexIndex]);
+  });
+
+  let result = 0;
+  innerWeights.forEach((innerWeight, community) => {
+    const degreesFraction = communityDegrees.get(community) / (2 * totalWeight);
+    result += (innerWeight / totalWeight) - (degreesFraction * degreesFraction);
+  });
+
+  return result;
+}
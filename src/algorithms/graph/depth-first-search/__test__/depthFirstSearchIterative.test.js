@@ -0,0 +1,125 @@
+import Graph from '../../../../data-structures/graph/Graph';
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import depthFirstSearch from '../depthFirstSearch';
+import depthFirstSearchIterative from '../depthFirstSearchIterative';
+import { erdosRenyiGraph, pathGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * Records the calls of all the callbacks in the order they have been made.
+ *
+ * @param {function(graph: Graph, startVertex: GraphVertex, callbacks: Object)} search
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @return {string[]}
+ */
+function recordCalls(search, graph, startVertex) {
+  const calls = [];
+  const visited = {};
+  const keyOf = vertex => (vertex ? vertex.getKey() : null);
+
+  search(graph, startVertex, {
+    enterVertex: ({ currentVertex, previousVertex }) => {
+      calls.push(`enter ${keyOf(currentVertex)} from ${keyOf(previousVertex)}`);
+      visited[currentVertex.getKey()] = true;
+    },
+    leaveVertex: ({ currentVertex, previousVertex }) => {
+      calls.push(`leave ${keyOf(currentVertex)} to ${keyOf(previousVertex)}`);
+    },
+    allowTraversal: ({ previousVertex, currentVertex, nextVertex }) => {
+      calls.push(`allow ${keyOf(previousVertex)} ${keyOf(currentVertex)} ${keyOf(nextVertex)}`);
+      return !visited[nextVertex.getKey()];
+    },
+  });
+
+  return calls;
+}
+
+describe('depthFirstSearchIterative', () => {
+  it('should perform DFS operation on graph', () => {
+    const graph = new Graph(true);
+
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexA, vertexD))
+      .addEdge(new GraphEdge(vertexD, vertexC))
+      .addEdge(new GraphEdge(vertexE, vertexA));
+
+    const enterVertexCallback = jest.fn();
+    const leaveVertexCallback = jest.fn();
+
+    // Traverse graph without callbacks first to check default ones.
+    depthFirstSearchIterative(graph, vertexA);
+
+    depthFirstSearchIterative(graph, vertexA, {
+      enterVertex: enterVertexCallback,
+      leaveVertex: leaveVertexCallback,
+    });
+
+    expect(enterVertexCallback.mock.calls.map(([params]) => params)).toEqual([
+      { currentVertex: vertexA, previousVertex: null },
+      { currentVertex: vertexB, previousVertex: vertexA },
+      { currentVertex: vertexC, previousVertex: vertexB },
+      { currentVertex: vertexD, previousVertex: vertexA },
+    ]);
+
+    expect(leaveVertexCallback.mock.calls.map(([params]) => params)).toEqual([
+      { currentVertex: vertexC, previousVertex: vertexB },
+      { currentVertex: vertexB, previousVertex: vertexA },
+      { currentVertex: vertexD, previousVertex: vertexA },
+      { currentVertex: vertexA, previousVertex: null },
+    ]);
+  });
+
+  it('should call callbacks in the same order as recursive DFS', () => {
+    [
+      erdosRenyiGraph(30, 0.1, { seed: 1 }),
+      erdosRenyiGraph(30, 0.1, { seed: 2, isDirected: true }),
+      erdosRenyiGraph(20, 0.5, { seed: 3 }),
+      pathGraph(10),
+    ].forEach((graph) => {
+      const [startVertex] = graph.getAllVertices();
+
+      const iterativeCalls = recordCalls(depthFirstSearchIterative, graph, startVertex);
+      const recursiveCalls = recordCalls(depthFirstSearch, graph, startVertex);
+
+      expect(iterativeCalls.length).toBeGreaterThan(0);
+      expect(iterativeCalls).toEqual(recursiveCalls);
+    });
+  });
+
+  it('should traverse very long path without stack overflow', () => {
+    const verticesCount = 1000000;
+    const graph = pathGraph(verticesCount, { isDirected: true });
+    const startVertex = graph.getVertexByKey('0');
+
+    let enteredCount = 0;
+    let maxDepth = 0;
+    let depth = 0;
+    let lastLeftVertex = null;
+
+    depthFirstSearchIterative(graph, startVertex, {
+      enterVertex: () => {
+        enteredCount += 1;
+        depth += 1;
+        maxDepth = Math.max(maxDepth, depth);
+      },
+      leaveVertex: ({ currentVertex }) => {
+        depth -= 1;
+        lastLeftVertex = currentVertex;
+      },
+    });
+
+    expect(enteredCount).toBe(verticesCount);
+    expect(maxDepth).toBe(verticesCount);
+    expect(depth).toBe(0);
+    expect(lastLeftVertex).toBe(startVertex);
+  });
+});
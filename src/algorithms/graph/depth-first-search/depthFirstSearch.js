@@ -14,7 +14,7 @@
  * @param {Callbacks} [callbacks]
  * @returns {Callbacks}
  */
-function initCallbacks(callbacks = {}) {
+export function initCallbacks(callbacks = {}) {
   const initiatedCallback = callbacks;
 
   const stubCallback = () => {};
@@ -0,0 +1,60 @@
+import { initCallbacks } from './depthFirstSearch';
+
+/**
+ * @typedef {Object} DfsFrame
+ *
+ * @property {GraphVertex} currentVertex
+ * @property {GraphVertex} previousVertex
+ * @property {GraphVertex[]} neighbors
+ * @property {number} nextNeighborIndex - Index of the neighbor to try next.
+ */
+
+/**
+ * Depth first search that keeps explicit stack of vertices instead of recursion
+ * so it doesn't overflow the call stack on graphs with long paths. It calls the
+ * callbacks with the same arguments and in the same order as depthFirstSearch().
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {Callbacks} [callbacks]
+ */
+export default function depthFirstSearchIterative(graph, startVertex, callbacks) {
+  const { allowTraversal, enterVertex, leaveVertex } = initCallbacks(callbacks);
+
+  /**
+   * @param {GraphVertex} currentVertex
+   * @param {GraphVertex} previousVertex
+   * @return {DfsFrame}
+   */
+  const enter = (currentVertex, previousVertex) => {
+    enterVertex({ currentVertex, previousVertex });
+
+    return {
+      currentVertex,
+      previousVertex,
+      neighbors: graph.getNeighbors(currentVertex),
+      nextNeighborIndex: 0,
+    };
+  };
+
+  /** @var {DfsFrame[]} stack */
+  const stack = [enter(startVertex, null)];
+
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    const { currentVertex, previousVertex, neighbors } = frame;
+
+    if (frame.nextNeighborIndex < neighbors.length) {
+      const nextVertex = neighbors[frame.nextNeighborIndex];
+      frame.nextNeighborIndex += 1;
+
+      if (allowTraversal({ previousVertex, currentVertex, nextVertex })) {
+        stack.push(enter(nextVertex, currentVertex));
+      }
+    } else {
+      // All the neighbors have been explored so backtrack.
+      stack.pop();
+      leaveVertex({ currentVertex, previousVertex });
+    }
+  }
+}
@@ -1,4 +1,4 @@
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * Detect cycle in directed graph using Depth First Search.
@@ -86,7 +86,7 @@ export default function detectDirectedCycle(graph) {
     const startVertex = whiteSet[firstWhiteKey];
 
     // Do Depth First Search.
-    depthFirstSearch(graph, startVertex, callbacks);
+    depthFirstSearchIterative(graph, startVertex, callbacks);
   }
 
   return cycle;
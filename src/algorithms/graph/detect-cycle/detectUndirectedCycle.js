@@ -1,4 +1,4 @@
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * Detect cycle in undirected graph using Depth First Search.
@@ -53,7 +53,7 @@ export default function detectUndirectedCycle(graph) {
 
   // Start DFS traversing.
   const startVertex = graph.getAllVertices()[0];
-  depthFirstSearch(graph, startVertex, callbacks);
+  depthFirstSearchIterative(graph, startVertex, callbacks);
 
   return cycle;
 }
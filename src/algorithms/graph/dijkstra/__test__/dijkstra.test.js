@@ -2,6 +2,9 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import dijkstra from '../dijkstra';
+import bellmanFord from '../../bellman-ford/bellmanFord';
+import { erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+import getShortestPath from '../../../../utils/graph/getShortestPath';
 
 describe('dijkstra', () => {
   it('should find minimum paths to all vertices for undirected graph', () => {
@@ -114,4 +117,124 @@ describe('dijkstra', () => {
     expect(previousVertices.A.getKey()).toBe('D');
     expect(previousVertices.D.getKey()).toBe('E');
   });
+
+  it('should find minimum paths in multigraph with parallel edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 10))
+      .addEdge(new GraphEdge(vertexA, vertexB, 3))
+      .addEdge(new GraphEdge(vertexA, vertexB, 6))
+      .addEdge(new GraphEdge(vertexB, vertexC, 4))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexA, vertexC, 5));
+
+    const { distances, previousVertices } = dijkstra(graph, vertexA);
+
+    expect(distances).toEqual({
+      A: 0,
+      B: 3,
+      C: 4,
+    });
+
+    expect(previousVertices.A).toBeNull();
+    expect(previousVertices.B.getKey()).toBe('A');
+    expect(previousVertices.C.getKey()).toBe('B');
+  });
+
+  it('should find the same distances as Bellman-Ford on random graphs', () => {
+    [false, true].forEach((isDirected) => {
+      for (let seed = 1; seed <= 5; seed += 1) {
+        const graph = erdosRenyiGraph(25, 0.15, {
+          seed,
+          isDirected,
+          minWeight: 1,
+          maxWeight: 20,
+        });
+        const startVertex = graph.getVertexByKey('0');
+
+        expect(dijkstra(graph, startVertex).distances)
+          .toEqual(bellmanFord(graph, startVertex).distances);
+      }
+    });
+  });
+
+  it('should find minimum paths using custom edge weight accessor', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1, { travelTime: 10 }))
+      .addEdge(new GraphEdge(vertexA, vertexB, 5, { travelTime: 2 }))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1, { travelTime: 3 }))
+      .addEdge(new GraphEdge(vertexA, vertexC, 1, { travelTime: 20 }));
+
+    expect(dijkstra(graph, vertexA).distances).toEqual({ A: 0, B: 1, C: 1 });
+
+    const { distances, previousVertices } = dijkstra(graph, vertexA, {
+      getEdgeWeight: edge => edge.attrs.travelTime,
+    });
+
+    expect(distances).toEqual({ A: 0, B: 2, C: 5 });
+    expect(previousVertices.C.getKey()).toBe('B');
+  });
+
+  it('should stop the search once target vertex is reached', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexA, vertexC, 5))
+      .addEdge(new GraphEdge(vertexC, vertexD, 10))
+      .addEdge(new GraphEdge(vertexD, vertexE, 10));
+
+    const shortestPaths = dijkstra(graph, vertexA, { targetVertex: vertexC });
+
+    expect(shortestPaths.distances.C).toBe(2);
+    expect(shortestPaths.distances.E).toBe(Infinity);
+    expect(getShortestPath(shortestPaths, vertexC)).toEqual({
+      path: [vertexA, vertexB, vertexC],
+      cost: 2,
+    });
+
+    const unreachableVertex = new GraphVertex('F');
+    graph.addVertex(unreachableVertex);
+
+    const allShortestPaths = dijkstra(graph, vertexA, { targetVertex: unreachableVertex });
+    expect(allShortestPaths.distances.E).toBe(22);
+    expect(getShortestPath(allShortestPaths, unreachableVertex)).toBeNull();
+  });
+
+  it('should find the same target distances with early exit on random graphs', () => {
+    const graph = erdosRenyiGraph(40, 0.1, { seed: 11, maxWeight: 20, isDirected: true });
+    const [startVertex] = graph.getAllVertices();
+    const { distances } = dijkstra(graph, startVertex);
+
+    graph.getAllVertices().forEach((targetVertex) => {
+      const shortestPaths = dijkstra(graph, startVertex, { targetVertex });
+      const shortestPath = getShortestPath(shortestPaths, targetVertex);
+
+      expect(shortestPaths.distances[targetVertex.getKey()]).toBe(distances[targetVertex.getKey()]);
+
+      if (shortestPath) {
+        const pathCost = shortestPath.path.slice(1).reduce((cost, vertex, index) => {
+          return cost + graph.findEdge(shortestPath.path[index], vertex).weight;
+        }, 0);
+
+        expect(pathCost).toBe(shortestPath.cost);
+      }
+    });
+  });
 });
+
@@ -1,10 +1,24 @@
 import PriorityQueue from '../../../data-structures/priority-queue/PriorityQueue';
 
+/**
+ * @typedef {Object} DijkstraOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of going along the edge. By default the edge weight is used.
+ *
+ * @property {GraphVertex} [targetVertex] - If it is set then the search stops as soon as
+ *  the shortest path to the target is found. Distances to the vertices that have not been
+ *  visited by that moment may be not the shortest ones.
+ */
+
 /**
  * @param {Graph} graph
  * @param {GraphVertex} startVertex
+ * @param {DijkstraOptions} [options]
  */
-export default function dijkstra(graph, startVertex) {
+export default function dijkstra(graph, startVertex, options = {}) {
+  const { getEdgeWeight = edge => edge.weight, targetVertex = null } = options;
+
   const distances = {};
   const visitedVertices = {};
   const previousVertices = {};
@@ -24,14 +38,23 @@ export default function dijkstra(graph, startVertex) {
   while (!queue.isEmpty()) {
     const currentVertex = queue.poll();
 
-    graph.getNeighbors(currentVertex).forEach((neighbor) => {
+    // Distance to the vertex taken from the queue is final so we may stop right here.
+    if (targetVertex && currentVertex.getKey() === targetVertex.getKey()) {
+      break;
+    }
+
+    // Go through the edges instead of the neighbors since in multigraph there may be
+    // several parallel edges to the same neighbor with different costs.
+    currentVertex.getEdges().forEach((edge) => {
+      // For undirected graphs current vertex may be the end one.
+      const neighbor = edge.startVertex === currentVertex ? edge.endVertex : edge.startVertex;
+
       // Don't visit already visited vertices.
       if (!visitedVertices[neighbor.getKey()]) {
         // Update distances to every neighbor from current vertex.
-        const edge = graph.findEdge(currentVertex, neighbor);
-
         const existingDistanceToNeighbor = distances[neighbor.getKey()];
-        const distanceToNeighborFromCurrent = distances[currentVertex.getKey()] + edge.weight;
+        const distanceToNeighborFromCurrent = distances[currentVertex.getKey()]
+          + getEdgeWeight(edge);
 
         if (distanceToNeighborFromCurrent < existingDistanceToNeighbor) {
           distances[neighbor.getKey()] = distanceToNeighborFromCurrent;
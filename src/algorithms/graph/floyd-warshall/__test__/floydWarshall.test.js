@@ -0,0 +1,157 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import floydWarshall from '../floydWarshall';
+import bellmanFord from '../../bellman-ford/bellmanFord';
+import getAllPairsShortestPath from '../../../../utils/graph/getAllPairsShortestPath';
+import { erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+
+describe('floydWarshall', () => {
+  it('should find minimum paths between all vertices of undirected graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    const graph = new Graph();
+    graph
+      .addVertex(vertexE)
+      .addEdge(new GraphEdge(vertexA, vertexB, 4))
+      .addEdge(new GraphEdge(vertexA, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexB, 2))
+      .addEdge(new GraphEdge(vertexB, vertexD, 5));
+
+    const allPairsShortestPaths = floydWarshall(graph);
+    const { distances, nextVertices, verticesIndices } = allPairsShortestPaths;
+
+    expect(verticesIndices).toEqual({
+      E: 0,
+      A: 1,
+      B: 2,
+      C: 3,
+      D: 4,
+    });
+
+    expect(distances).toEqual([
+      [0, Infinity, Infinity, Infinity, Infinity],
+      [Infinity, 0, 3, 1, 8],
+      [Infinity, 3, 0, 2, 5],
+      [Infinity, 1, 2, 0, 7],
+      [Infinity, 8, 5, 7, 0],
+    ]);
+
+    expect(nextVertices[verticesIndices.A][verticesIndices.D]).toBe(vertexC);
+    expect(nextVertices[verticesIndices.D][verticesIndices.A]).toBe(vertexB);
+    expect(nextVertices[verticesIndices.A][verticesIndices.E]).toBeNull();
+
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'A', 'D')).toEqual({
+      path: [vertexA, vertexC, vertexB, vertexD],
+      cost: 8,
+    });
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'D', 'A').path)
+      .toEqual([vertexD, vertexB, vertexC, vertexA]);
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'B', 'B')).toEqual({
+      path: [vertexB],
+      cost: 0,
+    });
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'A', 'E')).toBeNull();
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'A', 'Z')).toBeNull();
+  });
+
+  it('should find minimum paths in directed graph with negative edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true, true);
+    graph
+      .addVertex(vertexA)
+      .addVertex(vertexB)
+      .addVertex(vertexC)
+      .addVertex(vertexD)
+      .addEdge(new GraphEdge(vertexA, vertexC, -2))
+      .addEdge(new GraphEdge(vertexC, vertexD, 2))
+      .addEdge(new GraphEdge(vertexD, vertexB, -1))
+      .addEdge(new GraphEdge(vertexB, vertexA, 4))
+      .addEdge(new GraphEdge(vertexB, vertexC, 3))
+      .addEdge(new GraphEdge(vertexB, vertexC, 5))
+      .addEdge(new GraphEdge(vertexA, vertexA, 1));
+
+    const allPairsShortestPaths = floydWarshall(graph);
+
+    expect(allPairsShortestPaths.distances).toEqual([
+      [0, -1, -2, 0],
+      [4, 0, 2, 4],
+      [5, 1, 0, 2],
+      [3, -1, 1, 0],
+    ]);
+
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'D', 'C')).toEqual({
+      path: [vertexD, vertexB, vertexA, vertexC],
+      cost: 1,
+    });
+  });
+
+  it('should mark paths that go through negative cycle', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, -2))
+      .addEdge(new GraphEdge(vertexC, vertexB, 1))
+      .addEdge(new GraphEdge(vertexD, vertexA, 1));
+
+    const allPairsShortestPaths = floydWarshall(graph);
+
+    expect(allPairsShortestPaths.distances).toEqual([
+      [0, -Infinity, -Infinity, Infinity],
+      [Infinity, -Infinity, -Infinity, Infinity],
+      [Infinity, -Infinity, -Infinity, Infinity],
+      [1, -Infinity, -Infinity, 0],
+    ]);
+
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'A', 'C')).toBeNull();
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'D', 'A').cost).toBe(1);
+  });
+
+  it('should find the same distances as Bellman-Ford on random graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = erdosRenyiGraph(15, 0.2, {
+        seed,
+        minWeight: -2,
+        maxWeight: 10,
+        isDirected: true,
+      });
+      const allPairsShortestPaths = floydWarshall(graph);
+
+      graph.getAllVertices().forEach((startVertex, startIndex) => {
+        const { distances } = bellmanFord(graph, startVertex);
+
+        graph.getAllVertices().forEach((endVertex, endIndex) => {
+          expect(allPairsShortestPaths.distances[startIndex][endIndex])
+            .toBe(distances[endVertex.getKey()]);
+
+          const shortestPath = getAllPairsShortestPath(
+            allPairsShortestPaths,
+            startVertex.getKey(),
+            endVertex.getKey(),
+          );
+
+          if (shortestPath) {
+            const pathCost = shortestPath.path.slice(1).reduce((cost, vertex, index) => {
+              return cost + graph.findEdge(shortestPath.path[index], vertex).weight;
+            }, 0);
+
+            expect(pathCost).toBe(shortestPath.cost);
+          }
+        });
+      });
+    }
+  });
+});
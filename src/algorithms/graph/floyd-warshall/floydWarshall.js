@@ -0,0 +1,71 @@
+/**
+ * @param {Graph} graph
+ * @return {AllPairsShortestPaths} - Distances of the paths that go through negative
+ *  cycles are -Infinity.
+ */
+export default function floydWarshall(graph) {
+  const vertices = graph.getAllVertices();
+  const verticesIndices = graph.getVerticesIndices();
+
+  // Start with direct edges. Parallel edges are already resolved to the cheapest one.
+  const distances = graph.getAdjacencyMatrix();
+
+  // nextVertices[i][j] is the next vertex on the way from i-th vertex to j-th one.
+  const nextVertices = distances.map(row => row.map((distance, endIndex) => {
+    return distance === Infinity ? null : vertices[endIndex];
+  }));
+
+  // The path from vertex to itself costs nothing unless there is negative self loop.
+  vertices.forEach((vertex, index) => {
+    if (distances[index][index] > 0) {
+      distances[index][index] = 0;
+      nextVertices[index][index] = null;
+    }
+  });
+
+  // Try to improve every path by going through k-th vertex.
+  vertices.forEach((middleVertex, middleIndex) => {
+    vertices.forEach((startVertex, startIndex) => {
+      const distanceToMiddle = distances[startIndex][middleIndex];
+
+      if (distanceToMiddle === Infinity) {
+        return;
+      }
+
+      vertices.forEach((endVertex, endIndex) => {
+        const distanceViaMiddle = distanceToMiddle + distances[middleIndex][endIndex];
+
+        if (distanceViaMiddle < distances[startIndex][endIndex]) {
+          distances[startIndex][endIndex] = distanceViaMiddle;
+          nextVertices[startIndex][endIndex] = nextVertices[startIndex][middleIndex];
+        }
+      });
+    });
+  });
+
+  // Vertex is on negative cycle if the cheapest way back to itself is negative.
+  // Any path that may go through such vertex can be made infinitely cheap.
+  vertices.forEach((cycleVertex, cycleIndex) => {
+    if (distances[cycleIndex][cycleIndex] >= 0) {
+      return;
+    }
+
+    vertices.forEach((startVertex, startIndex) => {
+      vertices.forEach((endVertex, endIndex) => {
+        if (
+          distances[startIndex][cycleIndex] !== Infinity &&
+          distances[cycleIndex][endIndex] !== Infinity
+        ) {
+          distances[startIndex][endIndex] = -Infinity;
+        }
+      });
+    });
+  });
+
+  return {
+    vertices,
+    verticesIndices,
+    distances,
+    nextVertices,
+  };
+}
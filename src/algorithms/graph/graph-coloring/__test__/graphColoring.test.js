@@ -0,0 +1,354 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import greedyColoring, {
+  NATURAL_ORDERING,
+  LARGEST_FIRST_ORDERING,
+  SMALLEST_LAST_ORDERING,
+} from '../greedyColoring';
+import dsatur from '../dsatur';
+import chromaticNumber from '../chromaticNumber';
+import {
+  completeGraph,
+  cycleGraph,
+  erdosRenyiGraph,
+  gridGraph,
+} from '../../graph-generators/graphGenerators';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+const colorings = {
+  natural: graph => greedyColoring(graph, { ordering: NATURAL_ORDERING }),
+  largestFirst: graph => greedyColoring(graph, { ordering: LARGEST_FIRST_ORDERING }),
+  smallestLast: graph => greedyColoring(graph, { ordering: SMALLEST_LAST_ORDERING }),
+  dsatur,
+  chromaticNumber,
+};
+
+/**
+ * @param {Graph} graph
+ * @param {{coloring: Object, colorsCount: number}} result
+ */
+function expectValidColoring(graph, { coloring, colorsCount }) {
+  expect(Object.keys(coloring).sort()).toEqual(graph.getAllVertices().map(v => v.getKey()).sort());
+
+  graph.getAllEdges().forEach((edge) => {
+    expect(coloring[edge.startVertex.getKey()]).not.toBe(coloring[edge.endVertex.getKey()]);
+  });
+
+  const usedColors = new Set(Object.values(coloring));
+  expect(usedColors.size).toBe(colorsCount);
+  usedColors.forEach((color) => {
+    expect(color).toBeGreaterThanOrEqual(0);
+    expect(color).toBeLessThan(colorsCount);
+  });
+}
+
+/**
+ * Finds the chromatic number by checking all the colorings.
+ *
+ * @param {Graph} graph
+ * @return {number}
+ */
+function bruteForceChromaticNumber(graph) {
+  const vertices = graph.getAllVertices();
+  const edges = graph.getAllEdges();
+  const indices = graph.getVerticesIndices();
+
+  for (let colorsCount = 0; colorsCount <= vertices.length; colorsCount += 1) {
+    const colors = Array(vertices.length).fill(0);
+    let combinationsCount = colorsCount ** vertices.length;
+
+    // There is exactly one (empty) coloring of empty graph.
+    if (!vertices.length) {
+      combinationsCount = 1;
+    }
+
+    for (let combination = 0; combination < combinationsCount; combination += 1) {
+      let rest = combination;
+      for (let index = 0; index < vertices.length; index += 1) {
+        colors[index] = rest % colorsCount;
+        rest = Math.floor(rest / colorsCount);
+      }
+
+      const isValid = edges.every((edge) => {
+        return colors[indices[edge.startVertex.getKey()]] !==
+          colors[indices[edge.endVertex.getKey()]];
+      });
+
+      if (isValid) {
+        return colorsCount;
+      }
+    }
+  }
+
+  return vertices.length;
+}
+
+/**
+ * Crown graph: vertices u0...un-1 and v0...vn-1 where ui is connected with vj if i != j.
+ * Its vertices are added in the u0, v0, u1, v1, ... order that is the worst one
+ * for greedy coloring.
+ *
+ * @param {number} size
+ * @return {Graph}
+ */
+function crownGraph(size) {
+  const graph = new Graph();
+  const uVertices = [];
+  const vVertices = [];
+
+  for (let index = 0; index < size; index += 1) {
+    uVertices.push(new GraphVertex(`u${index}`));
+    vVertices.push(new GraphVertex(`v${index}`));
+    graph.addVertex(uVertices[index]).addVertex(vVertices[index]);
+  }
+
+  for (let i = 0; i < size; i += 1) {
+    for (let j = 0; j < size; j += 1) {
+      if (i !== j) {
+        graph.addEdge(new GraphEdge(uVertices[i], vVertices[j]));
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Grötzsch graph: triangle free graph with 11 vertices and chromatic number 4.
+ *
+ * @return {Graph}
+ */
+function grotzschGraph() {
+  const graph = new Graph();
+  const uVertices = [];
+  const wVertices = [];
+  const vertexZ = new GraphVertex('z');
+
+  for (let index = 0; index < 5; index += 1) {
+    uVertices.push(new GraphVertex(`u${index}`));
+    wVertices.push(new GraphVertex(`w${index}`));
+  }
+
+  for (let index = 0; index < 5; index += 1) {
+    const nextIndex = (index + 1) % 5;
+    graph
+      .addEdge(new GraphEdge(uVertices[index], uVertices[nextIndex]))
+      .addEdge(new GraphEdge(wVertices[index], uVertices[nextIndex]))
+      .addEdge(new GraphEdge(uVertices[index], wVertices[nextIndex]))
+      .addEdge(new GraphEdge(wVertices[index], vertexZ));
+  }
+
+  return graph;
+}
+
+/**
+ * Random tree with vertices added in random order.
+ *
+ * @param {number} verticesCount
+ * @param {SeededRandom} seededRandom
+ * @return {Graph}
+ */
+function randomTree(verticesCount, seededRandom) {
+  const graph = new Graph();
+  const vertices = [];
+
+  for (let index = 0; index < verticesCount; index += 1) {
+    vertices.push(new GraphVertex(`${index}`));
+  }
+
+  for (let index = verticesCount - 1; index > 0; index -= 1) {
+    const randomIndex = seededRandom.randomInt(0, index);
+    [vertices[index], vertices[randomIndex]] = [vertices[randomIndex], vertices[index]];
+  }
+
+  vertices.forEach((vertex, index) => {
+    graph.addVertex(vertex);
+
+    if (index > 0) {
+      const parent = vertices[seededRandom.randomInt(0, index - 1)];
+      graph.addEdge(new GraphEdge(parent, vertex));
+    }
+  });
+
+  return graph;
+}
+
+describe('graphColoring', () => {
+  it('should color empty graph and graph without edges', () => {
+    const isolatedGraph = new Graph()
+      .addVertex(new GraphVertex('A'))
+      .addVertex(new GraphVertex('B'));
+
+    Object.values(colorings).forEach((colorGraph) => {
+      expect(colorGraph(new Graph())).toEqual({ coloring: {}, colorsCount: 0 });
+      expect(colorGraph(isolatedGraph)).toEqual({ coloring: { A: 0, B: 0 }, colorsCount: 1 });
+    });
+  });
+
+  it('should color graphs with known chromatic numbers', () => {
+    [
+      { graph: cycleGraph(8), expected: 2 },
+      { graph: cycleGraph(9), expected: 3 },
+      { graph: completeGraph(6), expected: 6 },
+      { graph: gridGraph(5, 7), expected: 2 },
+      { graph: crownGraph(5), expected: 2 },
+      { graph: grotzschGraph(), expected: 4 },
+    ].forEach(({ graph, expected }) => {
+      Object.values(colorings).forEach((colorGraph) => {
+        const result = colorGraph(graph);
+
+        expectValidColoring(graph, result);
+        expect(result.colorsCount).toBeGreaterThanOrEqual(expected);
+      });
+
+      expect(chromaticNumber(graph).colorsCount).toBe(expected);
+    });
+  });
+
+  it('should depend on vertex ordering in greedy coloring', () => {
+    const graph = crownGraph(5);
+
+    // Every u vertex gets the same color as its v pair.
+    expect(greedyColoring(graph).colorsCount).toBe(5);
+    expect(greedyColoring(graph).coloring).toEqual({
+      u0: 0,
+      v0: 0,
+      u1: 1,
+      v1: 1,
+      u2: 2,
+      v2: 2,
+      u3: 3,
+      v3: 3,
+      u4: 4,
+      v4: 4,
+    });
+
+    // Degrees are all equal so the order doesn't change.
+    expect(greedyColoring(graph, { ordering: LARGEST_FIRST_ORDERING }).colorsCount).toBe(5);
+
+    expect(dsatur(graph).colorsCount).toBe(2);
+  });
+
+  it('should color vertices of larger degree first in largest first ordering', () => {
+    // Path A - B - C - D with vertices added in A, D, B, C order.
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph();
+    graph
+      .addVertex(vertexA)
+      .addVertex(vertexD)
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexD));
+
+    expect(greedyColoring(graph).colorsCount).toBe(3);
+    expect(greedyColoring(graph, { ordering: LARGEST_FIRST_ORDERING })).toEqual({
+      coloring: {
+        A: 1,
+        B: 0,
+        C: 1,
+        D: 0,
+      },
+      colorsCount: 2,
+    });
+  });
+
+  it('should use at most degeneracy + 1 colors in smallest last ordering', () => {
+    const seededRandom = new SeededRandom(21);
+
+    for (let round = 0; round < 10; round += 1) {
+      // Trees are 1-degenerate.
+      const tree = randomTree(50, seededRandom);
+      const result = greedyColoring(tree, { ordering: SMALLEST_LAST_ORDERING });
+
+      expectValidColoring(tree, result);
+      expect(result.colorsCount).toBeLessThanOrEqual(2);
+    }
+
+    // Grid is 2-degenerate.
+    const grid = gridGraph(6, 6);
+    const gridResult = greedyColoring(grid, { ordering: SMALLEST_LAST_ORDERING });
+    expectValidColoring(grid, gridResult);
+    expect(gridResult.colorsCount).toBeLessThanOrEqual(3);
+  });
+
+  it('should use at most maximal degree + 1 colors', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = erdosRenyiGraph(40, 0.2, { seed });
+      const maxDegree = Math.max(...graph.getAllVertices().map(vertex => vertex.getDegree()));
+
+      Object.keys(colorings)
+        .filter(name => name !== 'chromaticNumber')
+        .forEach((name) => {
+          const result = colorings[name](graph);
+
+          expectValidColoring(graph, result);
+          expect(result.colorsCount).toBeLessThanOrEqual(maxDegree + 1);
+        });
+    }
+  });
+
+  it('should color bipartite graphs with two colors using DSatur', () => {
+    const seededRandom = new SeededRandom(2);
+
+    for (let round = 0; round < 10; round += 1) {
+      const graph = randomTree(30, seededRandom);
+      const vertices = graph.getAllVertices();
+
+      // Add more edges between vertices of different depth parity.
+      const { coloring } = greedyColoring(graph, { ordering: SMALLEST_LAST_ORDERING });
+      for (let edgeIndex = 0; edgeIndex < 30; edgeIndex += 1) {
+        const startVertex = vertices[seededRandom.randomInt(0, vertices.length - 1)];
+        const endVertex = vertices[seededRandom.randomInt(0, vertices.length - 1)];
+
+        if (
+          coloring[startVertex.getKey()] !== coloring[endVertex.getKey()] &&
+          !graph.findEdge(startVertex, endVertex)
+        ) {
+          graph.addEdge(new GraphEdge(startVertex, endVertex));
+        }
+      }
+
+      const result = dsatur(graph);
+      expectValidColoring(graph, result);
+      expect(result.colorsCount).toBe(2);
+    }
+  });
+
+  it('should find the same chromatic number as brute force', () => {
+    for (let seed = 1; seed <= 30; seed += 1) {
+      const graph = erdosRenyiGraph(7, 0.55, { seed });
+      const result = chromaticNumber(graph);
+
+      expectValidColoring(graph, result);
+      expect(result.colorsCount).toBe(bruteForceChromaticNumber(graph));
+      expect(result.colorsCount).toBeLessThanOrEqual(dsatur(graph).colorsCount);
+    }
+  });
+
+  it('should ignore edge directions', () => {
+    const graph = cycleGraph(5, { isDirected: true });
+
+    Object.values(colorings).forEach((colorGraph) => {
+      expectValidColoring(graph, colorGraph(graph));
+    });
+
+    expect(chromaticNumber(graph).colorsCount).toBe(3);
+  });
+
+  it('should throw for graphs with self loops and unknown orderings', () => {
+    const vertexA = new GraphVertex('A');
+    const graph = new Graph().addEdge(new GraphEdge(vertexA, vertexA));
+
+    Object.values(colorings).forEach((colorGraph) => {
+      expect(() => colorGraph(graph)).toThrow('Graph with self loop can not be colored');
+    });
+
+    expect(() => greedyColoring(cycleGraph(3), { ordering: 'random' }))
+      .toThrow('Unknown vertex ordering "random"');
+  });
+});
@@ -0,0 +1,101 @@
+import getColoringNeighbors from './getColoringNeighbors';
+import dsatur from './dsatur';
+
+/**
+ * Tries to color the graph with the given number of colors using backtracking.
+ *
+ * @param {string[]} vertexKeys
+ * @param {Object<string, Set<string>>} neighbors
+ * @param {number} colorsCount
+ * @return {(Object<string, number>|null)} - Coloring or null if there is no such coloring.
+ */
+function findColoring(vertexKeys, neighbors, colorsCount) {
+  const coloring = {};
+
+  /**
+   * @param {string} vertexKey
+   * @return {Set<number>}
+   */
+  const getNeighborColors = (vertexKey) => {
+    const neighborColors = new Set();
+    neighbors[vertexKey].forEach((neighborKey) => {
+      if (coloring[neighborKey] !== undefined) {
+        neighborColors.add(coloring[neighborKey]);
+      }
+    });
+
+    return neighborColors;
+  };
+
+  /**
+   * @param {number} coloredCount
+   * @param {number} usedColorsCount
+   * @return {boolean}
+   */
+  const colorVertices = (coloredCount, usedColorsCount) => {
+    if (coloredCount === vertexKeys.length) {
+      return true;
+    }
+
+    // Color the most constrained vertex first, like DSatur does.
+    let vertexKey = null;
+    let vertexNeighborColors = null;
+    vertexKeys.forEach((candidateKey) => {
+      if (coloring[candidateKey] === undefined) {
+        const candidateNeighborColors = getNeighborColors(candidateKey);
+
+        if (!vertexNeighborColors || candidateNeighborColors.size > vertexNeighborColors.size) {
+          vertexKey = candidateKey;
+          vertexNeighborColors = candidateNeighborColors;
+        }
+      }
+    });
+
+    // All unused colors are interchangeable so it is enough to try only one of them.
+    const maxColor = Math.min(usedColorsCount + 1, colorsCount);
+
+    for (let color = 0; color < maxColor; color += 1) {
+      if (!vertexNeighborColors.has(color)) {
+        coloring[vertexKey] = color;
+
+        if (colorVertices(coloredCount + 1, Math.max(usedColorsCount, color + 1))) {
+          return true;
+        }
+
+        delete coloring[vertexKey];
+      }
+    }
+
+    return false;
+  };
+
+  return colorVertices(0, 0) ? coloring : null;
+}
+
+/**
+ * Finds the chromatic number of the graph (the smallest number of colors
+ * that is enough to color the graph) together with optimal coloring.
+ *
+ * Graph coloring is NP-hard, so it takes exponential time and is suitable
+ * for small graphs only.
+ *
+ * @param {Graph} graph
+ * @return {Coloring}
+ */
+export default function chromaticNumber(graph) {
+  const neighbors = getColoringNeighbors(graph);
+  const vertexKeys = graph.getAllVertices().map(vertex => vertex.getKey());
+
+  // DSatur gives the upper bound. It is optimal for graphs that need at most two colors.
+  const upperBound = dsatur(graph);
+
+  for (let colorsCount = 3; colorsCount < upperBound.colorsCount; colorsCount += 1) {
+    const coloring = findColoring(vertexKeys, neighbors, colorsCount);
+
+    if (coloring) {
+      return { coloring, colorsCount };
+    }
+  }
+
+  return upperBound;
+}
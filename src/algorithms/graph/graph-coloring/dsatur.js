@@ -0,0 +1,67 @@
+import getColoringNeighbors from './getColoringNeighbors';
+
+/**
+ * DSatur (degree of saturation) graph coloring. On every step it colors the
+ * vertex with the largest number of distinct colors among its neighbors (the
+ * most constrained one) with the smallest possible color. Ties are broken by
+ * the number of not yet colored neighbors. It colors bipartite graphs with
+ * two colors and usually uses fewer colors than plain greedy coloring.
+ *
+ * @param {Graph} graph
+ * @return {Coloring}
+ */
+export default function dsatur(graph) {
+  const neighbors = getColoringNeighbors(graph);
+  const vertexKeys = graph.getAllVertices().map(vertex => vertex.getKey());
+
+  const coloring = {};
+  let colorsCount = 0;
+
+  // Distinct colors of the neighbors and number of not colored neighbors of every vertex.
+  const neighborColors = {};
+  const uncoloredDegrees = {};
+  vertexKeys.forEach((vertexKey) => {
+    neighborColors[vertexKey] = new Set();
+    uncoloredDegrees[vertexKey] = neighbors[vertexKey].size;
+  });
+
+  for (let step = 0; step < vertexKeys.length; step += 1) {
+    let vertexKey = null;
+
+    vertexKeys.forEach((candidateKey) => {
+      if (coloring[candidateKey] !== undefined) {
+        return;
+      }
+
+      if (vertexKey === null) {
+        vertexKey = candidateKey;
+        return;
+      }
+
+      const saturationDifference = neighborColors[candidateKey].size -
+        neighborColors[vertexKey].size;
+
+      if (
+        saturationDifference > 0 ||
+        (saturationDifference === 0 && uncoloredDegrees[candidateKey] > uncoloredDegrees[vertexKey])
+      ) {
+        vertexKey = candidateKey;
+      }
+    });
+
+    let color = 0;
+    while (neighborColors[vertexKey].has(color)) {
+      color += 1;
+    }
+
+    coloring[vertexKey] = color;
+    colorsCount = Math.max(colorsCount, color + 1);
+
+    neighbors[vertexKey].forEach((neighborKey) => {
+      neighborColors[neighborKey].add(color);
+      uncoloredDegrees[neighborKey] -= 1;
+    });
+  }
+
+  return { coloring, colorsCount };
+}
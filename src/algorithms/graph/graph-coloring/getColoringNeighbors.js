@@ -0,0 +1,29 @@
+import getUndirectedNeighbors from '../../../utils/graph/getUndirectedNeighbors';
+
+/**
+ * @typedef {Object} Coloring
+ *
+ * @property {Object<string, number>} coloring - Color (0, 1, 2, ...) by vertex key.
+ *
+ * @property {number} colorsCount - Number of colors used.
+ */
+
+/**
+ * Neighbors that must get colors different from the vertex color.
+ * Edge directions don't matter for coloring.
+ *
+ * @param {Graph} graph
+ * @return {Object<string, Set<string>>}
+ * @throws {Error} - If the graph has a self loop.
+ */
+export default function getColoringNeighbors(graph) {
+  const neighbors = getUndirectedNeighbors(graph);
+
+  Object.keys(neighbors).forEach((vertexKey) => {
+    if (neighbors[vertexKey].has(vertexKey)) {
+      throw new Error('Graph with self loop can not be colored');
+    }
+  });
+
+  return neighbors;
+}
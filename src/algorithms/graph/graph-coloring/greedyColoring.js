@@ -0,0 +1,134 @@
+import getColoringNeighbors from './getColoringNeighbors';
+
+export const NATURAL_ORDERING = 'natural';
+export const LARGEST_FIRST_ORDERING = 'largest-first';
+export const SMALLEST_LAST_ORDERING = 'smallest-last';
+
+/**
+ * Orders vertices so that every vertex has the smallest degree in the subgraph
+ * of the vertices that go before it (including itself). Vertices of minimal
+ * degree are removed from the graph one by one and then taken in reverse order.
+ *
+ * @param {string[]} vertexKeys
+ * @param {Object<string, Set<string>>} neighbors
+ * @return {string[]}
+ */
+function getSmallestLastOrder(vertexKeys, neighbors) {
+  const degrees = {};
+  // Buckets of not removed vertices by their current degree.
+  const buckets = [];
+
+  vertexKeys.forEach((vertexKey) => {
+    const degree = neighbors[vertexKey].size;
+    degrees[vertexKey] = degree;
+
+    if (!buckets[degree]) {
+      buckets[degree] = new Set();
+    }
+
+    buckets[degree].add(vertexKey);
+  });
+
+  const removed = {};
+  const removalOrder = [];
+  let minDegree = 0;
+
+  while (removalOrder.length < vertexKeys.length) {
+    while (!buckets[minDegree] || !buckets[minDegree].size) {
+      minDegree += 1;
+    }
+
+    const vertexKey = buckets[minDegree].values().next().value;
+    buckets[minDegree].delete(vertexKey);
+    removed[vertexKey] = true;
+    removalOrder.push(vertexKey);
+
+    neighbors[vertexKey].forEach((neighborKey) => {
+      if (!removed[neighborKey]) {
+        const degree = degrees[neighborKey];
+        buckets[degree].delete(neighborKey);
+
+        if (!buckets[degree - 1]) {
+          buckets[degree - 1] = new Set();
+        }
+
+        buckets[degree - 1].add(neighborKey);
+        degrees[neighborKey] = degree - 1;
+      }
+    });
+
+    // Degrees of the neighbors have decreased by one at most.
+    minDegree = Math.max(minDegree - 1, 0);
+  }
+
+  return removalOrder.reverse();
+}
+
+/**
+ * @param {string[]} vertexKeys
+ * @param {Object<string, Set<string>>} neighbors
+ * @param {string} ordering
+ * @return {string[]}
+ */
+function getVertexOrder(vertexKeys, neighbors, ordering) {
+  switch (ordering) {
+    case NATURAL_ORDERING:
+      return vertexKeys;
+
+    case LARGEST_FIRST_ORDERING:
+      // Sorting is stable for equal degrees since the index is compared then.
+      return vertexKeys
+        .map((vertexKey, index) => ({ vertexKey, index }))
+        .sort((a, b) => {
+          const degreeDifference = neighbors[b.vertexKey].size - neighbors[a.vertexKey].size;
+          return degreeDifference || a.index - b.index;
+        })
+        .map(({ vertexKey }) => vertexKey);
+
+    case SMALLEST_LAST_ORDERING:
+      return getSmallestLastOrder(vertexKeys, neighbors);
+
+    default:
+      throw new Error(`Unknown vertex ordering "${ordering}"`);
+  }
+}
+
+/**
+ * Greedy graph coloring. Vertices are colored one by one in the given order and
+ * every vertex gets the smallest color that none of its neighbors has. It uses
+ * at most (maximal degree + 1) colors but may use many more colors than needed.
+ *
+ * @param {Graph} graph
+ * @param {{ordering: string}} [options] - NATURAL_ORDERING takes vertices in the
+ *  order of graph.getAllVertices(), LARGEST_FIRST_ORDERING takes vertices with higher
+ *  degrees first, SMALLEST_LAST_ORDERING uses at most (degeneracy + 1) colors.
+ * @return {Coloring}
+ */
+export default function greedyColoring(graph, options = {}) {
+  const { ordering = NATURAL_ORDERING } = options;
+
+  const neighbors = getColoringNeighbors(graph);
+  const vertexKeys = graph.getAllVertices().map(vertex => vertex.getKey());
+
+  const coloring = {};
+  let colorsCount = 0;
+
+  getVertexOrder(vertexKeys, neighbors, ordering).forEach((vertexKey) => {
+    const neighborColors = new Set();
+    neighbors[vertexKey].forEach((neighborKey) => {
+      if (coloring[neighborKey] !== undefined) {
+        neighborColors.add(coloring[neighborKey]);
+      }
+    });
+
+    let color = 0;
+    while (neighborColors.has(color)) {
+      color += 1;
+    }
+
+    coloring[vertexKey] = color;
+    colorsCount = Math.max(colorsCount, color + 1);
+  });
+
+  return { coloring, colorsCount };
+}
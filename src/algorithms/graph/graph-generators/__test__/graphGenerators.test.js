@@ -0,0 +1,143 @@
+import {
+  completeGraph,
+  pathGraph,
+  cycleGraph,
+  gridGraph,
+  erdosRenyiGraph,
+  barabasiAlbertGraph,
+  randomDag,
+} from '../graphGenerators';
+import detectDirectedCycle from '../../detect-cycle/detectDirectedCycle';
+
+describe('graphGenerators', () => {
+  it('should generate complete graphs', () => {
+    const graph = completeGraph(5);
+
+    expect(graph.isDirected).toBe(false);
+    expect(graph.toString()).toBe('0,1,2,3,4');
+    expect(graph.getAllEdges().length).toBe(10);
+    graph.getAllVertices().forEach((vertex) => {
+      expect(vertex.getDegree()).toBe(4);
+    });
+    expect(graph.getWeight()).toBe(10);
+
+    const directedGraph = completeGraph(4, { isDirected: true });
+
+    expect(directedGraph.isDirected).toBe(true);
+    expect(directedGraph.getAllEdges().length).toBe(12);
+    expect(completeGraph(0).getAllVertices().length).toBe(0);
+  });
+
+  it('should generate paths and cycles', () => {
+    const path = pathGraph(4);
+
+    expect(path.getAllEdges().map(edge => edge.getKey())).toEqual(['0_1', '1_2', '2_3']);
+
+    const cycle = cycleGraph(4, { isDirected: true });
+
+    expect(cycle.getAllEdges().map(edge => edge.getKey())).toEqual(['0_1', '1_2', '2_3', '3_0']);
+    expect(cycle.getNeighbors(cycle.getVertexByKey('3'))[0].getKey()).toBe('0');
+
+    expect(() => cycleGraph(2)).toThrow();
+    expect(() => pathGraph(-1)).toThrow();
+    expect(() => pathGraph(1.5)).toThrow();
+  });
+
+  it('should generate grids', () => {
+    const grid = gridGraph(2, 3);
+
+    expect(grid.toString()).toBe('0,0,0,1,0,2,1,0,1,1,1,2');
+    expect(grid.getAllEdges().length).toBe(7);
+    expect(grid.getNeighbors(grid.getVertexByKey('1,1')).map(vertex => vertex.getKey()))
+      .toEqual(['0,1', '1,0', '1,2']);
+  });
+
+  it('should generate weights within configured range', () => {
+    const graph = completeGraph(20, { minWeight: -3, maxWeight: 7, seed: 5 });
+    const weights = graph.getAllEdges().map(edge => edge.weight);
+
+    weights.forEach((weight) => {
+      expect(Number.isInteger(weight)).toBe(true);
+      expect(weight).toBeGreaterThanOrEqual(-3);
+      expect(weight).toBeLessThanOrEqual(7);
+    });
+
+    expect(Math.min(...weights)).toBe(-3);
+    expect(Math.max(...weights)).toBe(7);
+
+    expect(() => completeGraph(3, { minWeight: 2, maxWeight: 1 })).toThrow();
+    expect(() => completeGraph(3, { maxWeight: Infinity }))
+      .toThrow('Edge weights range must consist of finite numbers');
+    expect(() => completeGraph(3, { minWeight: NaN }))
+      .toThrow('Edge weights range must consist of finite numbers');
+  });
+
+  it('should generate real weights if range bounds are not integers', () => {
+    const weights = completeGraph(20, { seed: 3, minWeight: 0.5, maxWeight: 2.5 })
+      .getAllEdges()
+      .map(edge => edge.weight);
+
+    weights.forEach((weight) => {
+      expect(weight).toBeGreaterThanOrEqual(0.5);
+      expect(weight).toBeLessThan(2.5);
+    });
+
+    expect(weights.some(weight => !Number.isInteger(weight))).toBe(true);
+    expect(Math.min(...weights)).toBeLessThan(1);
+    expect(Math.max(...weights)).toBeGreaterThan(2);
+
+    const constantWeights = pathGraph(5, { minWeight: 0.5, maxWeight: 0.5 })
+      .getAllEdges()
+      .map(edge => edge.weight);
+    expect(constantWeights).toEqual([0.5, 0.5, 0.5, 0.5]);
+  });
+
+  it('should generate Erdős–Rényi graphs reproducibly', () => {
+    const graphA = erdosRenyiGraph(30, 0.2, { seed: 10, maxWeight: 10 });
+    const graphB = erdosRenyiGraph(30, 0.2, { seed: 10, maxWeight: 10 });
+    const graphC = erdosRenyiGraph(30, 0.2, { seed: 11, maxWeight: 10 });
+
+    expect(graphA.toJSON()).toEqual(graphB.toJSON());
+    expect(graphA.toJSON()).not.toEqual(graphC.toJSON());
+
+    // Around 435 * 0.2 = 87 edges are expected.
+    expect(graphA.getAllEdges().length).toBeGreaterThan(60);
+    expect(graphA.getAllEdges().length).toBeLessThan(120);
+
+    expect(erdosRenyiGraph(10, 0).getAllEdges().length).toBe(0);
+    expect(erdosRenyiGraph(10, 1).getAllEdges().length).toBe(45);
+    expect(erdosRenyiGraph(10, 1, { isDirected: true }).getAllEdges().length).toBe(90);
+
+    expect(() => erdosRenyiGraph(10, 1.5)).toThrow();
+  });
+
+  it('should generate Barabási–Albert graphs', () => {
+    const graph = barabasiAlbertGraph(50, 2, { seed: 3 });
+
+    expect(graph.getAllVertices().length).toBe(50);
+    // 3 edges of initial triangle and 2 edges for every next vertex.
+    expect(graph.getAllEdges().length).toBe(3 + (47 * 2));
+    graph.getAllVertices().forEach((vertex) => {
+      expect(vertex.getDegree()).toBeGreaterThanOrEqual(2);
+    });
+
+    expect(barabasiAlbertGraph(50, 2, { seed: 3 }).toJSON()).toEqual(graph.toJSON());
+
+    expect(() => barabasiAlbertGraph(2, 2)).toThrow();
+    expect(() => barabasiAlbertGraph(5, 0)).toThrow();
+    expect(() => barabasiAlbertGraph(5, 2, { isDirected: true })).toThrow();
+  });
+
+  it('should generate random directed acyclic graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = randomDag(15, 0.4, { seed });
+
+      expect(graph.isDirected).toBe(true);
+      expect(graph.getAllVertices().length).toBe(15);
+      expect(detectDirectedCycle(graph)).toBeNull();
+    }
+
+    expect(randomDag(6, 1).getAllEdges().length).toBe(15);
+    expect(randomDag(6, 1, { isDirected: false }).isDirected).toBe(true);
+  });
+});
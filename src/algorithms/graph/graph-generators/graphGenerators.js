@@ -0,0 +1,310 @@
+import Graph from '../../../data-structures/graph/Graph';
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import SeededRandom from '../../../utils/random/SeededRandom';
+
+/**
+ * @typedef {Object} GeneratorOptions
+ *
+ * @property {number} [seed] - Seed of pseudo random generator. The same seed
+ *  always gives the same graph.
+ *
+ * @property {number} [minWeight] - Minimal (inclusive) weight of generated edges.
+ *
+ * @property {number} [maxWeight] - Maximal weight of generated edges. If both bounds are
+ *  integers then weights are integers in [minWeight, maxWeight] range, otherwise they are
+ *  real numbers in [minWeight, maxWeight) range.
+ *
+ * @property {boolean} [isDirected] - Whether generated graph should be directed.
+ */
+
+/**
+ * @param {GeneratorOptions} [options]
+ * @return {{seededRandom: SeededRandom, addEdge: function, graph: Graph}}
+ */
+function initGenerator(options = {}) {
+  const {
+    seed = 1,
+    minWeight = 1,
+    maxWeight = 1,
+    isDirected = false,
+  } = options;
+
+  if (!Number.isFinite(minWeight) || !Number.isFinite(maxWeight)) {
+    throw new Error('Edge weights range must consist of finite numbers');
+  }
+
+  if (minWeight > maxWeight) {
+    throw new Error('Minimal edge weight must not be greater than maximal one');
+  }
+
+  const isIntegerRange = Number.isInteger(minWeight) && Number.isInteger(maxWeight);
+
+  const seededRandom = new SeededRandom(seed);
+  const graph = new Graph(isDirected);
+
+  /**
+   * @param {GraphVertex} startVertex
+   * @param {GraphVertex} endVertex
+   */
+  const addEdge = (startVertex, endVertex) => {
+    const weight = isIntegerRange
+      ? seededRandom.randomInt(minWeight, maxWeight)
+      : minWeight + (seededRandom.random() * (maxWeight - minWeight));
+    graph.addEdge(new GraphEdge(startVertex, endVertex, weight));
+  };
+
+  return { seededRandom, addEdge, graph };
+}
+
+/**
+ * @param {Graph} graph
+ * @param {number} verticesCount
+ * @return {GraphVertex[]}
+ */
+function addVertices(graph, verticesCount) {
+  if (!Number.isInteger(verticesCount) || verticesCount < 0) {
+    throw new Error('Vertices count must be a non-negative integer');
+  }
+
+  const vertices = [];
+  for (let vertexIndex = 0; vertexIndex < verticesCount; vertexIndex += 1) {
+    const vertex = new GraphVertex(`${vertexIndex}`);
+    graph.addVertex(vertex);
+    vertices.push(vertex);
+  }
+
+  return vertices;
+}
+
+/**
+ * @param {number} probability
+ */
+function validateProbability(probability) {
+  if (!(probability >= 0 && probability <= 1)) {
+    throw new Error('Edge probability must be in [0, 1] range');
+  }
+}
+
+/**
+ * Graph where every pair of distinct vertices is connected
+ * (in both directions for directed graph).
+ *
+ * @param {number} verticesCount
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function completeGraph(verticesCount, options) {
+  const { graph, addEdge } = initGenerator(options);
+  const vertices = addVertices(graph, verticesCount);
+
+  for (let startIndex = 0; startIndex < verticesCount; startIndex += 1) {
+    for (let endIndex = startIndex + 1; endIndex < verticesCount; endIndex += 1) {
+      addEdge(vertices[startIndex], vertices[endIndex]);
+
+      if (graph.isDirected) {
+        addEdge(vertices[endIndex], vertices[startIndex]);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Path 0 - 1 - 2 - ... - (n - 1).
+ *
+ * @param {number} verticesCount
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function pathGraph(verticesCount, options) {
+  const { graph, addEdge } = initGenerator(options);
+  const vertices = addVertices(graph, verticesCount);
+
+  for (let vertexIndex = 1; vertexIndex < verticesCount; vertexIndex += 1) {
+    addEdge(vertices[vertexIndex - 1], vertices[vertexIndex]);
+  }
+
+  return graph;
+}
+
+/**
+ * Path 0 - 1 - 2 - ... - (n - 1) - 0.
+ *
+ * @param {number} verticesCount
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function cycleGraph(verticesCount, options) {
+  if (verticesCount < 3) {
+    throw new Error('Cycle must contain at least three vertices');
+  }
+
+  const { graph, addEdge } = initGenerator(options);
+  const vertices = addVertices(graph, verticesCount);
+
+  for (let vertexIndex = 1; vertexIndex < verticesCount; vertexIndex += 1) {
+    addEdge(vertices[vertexIndex - 1], vertices[vertexIndex]);
+  }
+
+  addEdge(vertices[verticesCount - 1], vertices[0]);
+
+  return graph;
+}
+
+/**
+ * Rectangular grid where every cell is connected with its right and bottom
+ * neighbors. Vertices have "row,column" keys.
+ *
+ * @param {number} rowsCount
+ * @param {number} columnsCount
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function gridGraph(rowsCount, columnsCount, options) {
+  const { graph, addEdge } = initGenerator(options);
+
+  const grid = [];
+  for (let row = 0; row < rowsCount; row += 1) {
+    grid.push([]);
+    for (let column = 0; column < columnsCount; column += 1) {
+      const vertex = new GraphVertex(`${row},${column}`);
+      graph.addVertex(vertex);
+      grid[row].push(vertex);
+    }
+  }
+
+  for (let row = 0; row < rowsCount; row += 1) {
+    for (let column = 0; column < columnsCount; column += 1) {
+      if (column + 1 < columnsCount) {
+        addEdge(grid[row][column], grid[row][column + 1]);
+      }
+
+      if (row + 1 < rowsCount) {
+        addEdge(grid[row][column], grid[row + 1][column]);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Erdős–Rényi G(n, p) random graph: every pair of distinct vertices is
+ * connected independently with probability p (every ordered pair for directed graph).
+ *
+ * @param {number} verticesCount
+ * @param {number} edgeProbability
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function erdosRenyiGraph(verticesCount, edgeProbability, options) {
+  validateProbability(edgeProbability);
+
+  const { graph, addEdge, seededRandom } = initGenerator(options);
+  const vertices = addVertices(graph, verticesCount);
+
+  for (let startIndex = 0; startIndex < verticesCount; startIndex += 1) {
+    // Directed graph may have an edge for every ordered pair.
+    const firstEndIndex = graph.isDirected ? 0 : startIndex + 1;
+
+    for (let endIndex = firstEndIndex; endIndex < verticesCount; endIndex += 1) {
+      if (endIndex !== startIndex && seededRandom.random() < edgeProbability) {
+        addEdge(vertices[startIndex], vertices[endIndex]);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Barabási–Albert scale-free undirected graph. It starts from complete graph of
+ * (m + 1) vertices and then every new vertex gets connected to m distinct existing
+ * vertices. The probability to pick existing vertex is proportional to its degree.
+ *
+ * @param {number} verticesCount
+ * @param {number} edgesPerVertex - m parameter.
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function barabasiAlbertGraph(verticesCount, edgesPerVertex, options = {}) {
+  if (!Number.isInteger(edgesPerVertex) || edgesPerVertex < 1) {
+    throw new Error('Number of edges per vertex must be a positive integer');
+  }
+
+  if (verticesCount <= edgesPerVertex) {
+    throw new Error('Vertices count must be greater than number of edges per vertex');
+  }
+
+  if (options.isDirected) {
+    throw new Error('Barabási–Albert graph can only be undirected');
+  }
+
+  const { graph, addEdge, seededRandom } = initGenerator(options);
+  const vertices = addVertices(graph, verticesCount);
+
+  // Every vertex appears in this list as many times as its degree so that picking
+  // a random list item gives preferential attachment.
+  const degreeWeightedVertices = [];
+
+  const initialVerticesCount = edgesPerVertex + 1;
+  for (let startIndex = 0; startIndex < initialVerticesCount; startIndex += 1) {
+    for (let endIndex = startIndex + 1; endIndex < initialVerticesCount; endIndex += 1) {
+      addEdge(vertices[startIndex], vertices[endIndex]);
+      degreeWeightedVertices.push(vertices[startIndex], vertices[endIndex]);
+    }
+  }
+
+  for (let vertexIndex = initialVerticesCount; vertexIndex < verticesCount; vertexIndex += 1) {
+    const targets = {};
+    const targetsList = [];
+
+    while (targetsList.length < edgesPerVertex) {
+      const randomIndex = Math.floor(seededRandom.random() * degreeWeightedVertices.length);
+      const target = degreeWeightedVertices[randomIndex];
+
+      if (!targets[target.getKey()]) {
+        targets[target.getKey()] = true;
+        targetsList.push(target);
+      }
+    }
+
+    targetsList.forEach((target) => {
+      addEdge(vertices[vertexIndex], target);
+      degreeWeightedVertices.push(vertices[vertexIndex], target);
+    });
+  }
+
+  return graph;
+}
+
+/**
+ * Random directed acyclic graph. Vertices are randomly ordered and then every pair
+ * is connected with probability p by an edge that goes from earlier vertex to later one.
+ *
+ * @param {number} verticesCount
+ * @param {number} edgeProbability
+ * @param {GeneratorOptions} [options]
+ * @return {Graph}
+ */
+export function randomDag(verticesCount, edgeProbability, options = {}) {
+  validateProbability(edgeProbability);
+
+  const { graph, addEdge, seededRandom } = initGenerator({ ...options, isDirected: true });
+  const vertices = addVertices(graph, verticesCount);
+
+  // Shuffle vertices to get random topological order.
+  const order = seededRandom.shuffle(vertices);
+
+  for (let startIndex = 0; startIndex < verticesCount; startIndex += 1) {
+    for (let endIndex = startIndex + 1; endIndex < verticesCount; endIndex += 1) {
+      if (seededRandom.random() < edgeProbability) {
+        addEdge(order[startIndex], order[endIndex]);
+      }
+    }
+  }
+
+  return graph;
+}
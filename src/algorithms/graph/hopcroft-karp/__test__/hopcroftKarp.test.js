@@ -0,0 +1,195 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import hopcroftKarp from '../hopcroftKarp';
+import edmondsKarp from '../../max-flow/edmondsKarp';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+/**
+ * @param {Graph} graph
+ * @param {GraphEdge[]} matching
+ */
+function expectValidMatching(graph, matching) {
+  const matchedVertices = {};
+
+  matching.forEach((edge) => {
+    expect(graph.getAllEdges()).toContain(edge);
+
+    [edge.startVertex, edge.endVertex].forEach((vertex) => {
+      expect(matchedVertices[vertex.getKey()]).toBeUndefined();
+      matchedVertices[vertex.getKey()] = true;
+    });
+  });
+}
+
+/**
+ * Finds the size of maximum matching as maximum flow of the unit capacity network.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex[]} leftVertices
+ * @return {number}
+ */
+function findMaximumMatchingSize(graph, leftVertices) {
+  const network = new Graph(true);
+  const source = new GraphVertex('source');
+  const sink = new GraphVertex('sink');
+  const isLeft = {};
+
+  leftVertices.forEach((vertex) => {
+    isLeft[vertex.getKey()] = true;
+    network.addEdge(new GraphEdge(source, new GraphVertex(vertex.getKey()), 1));
+  });
+
+  graph.getAllVertices().forEach((vertex) => {
+    if (!isLeft[vertex.getKey()]) {
+      network.addEdge(new GraphEdge(new GraphVertex(vertex.getKey()), sink, 1));
+    }
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const [left, right] = isLeft[edge.startVertex.getKey()]
+      ? [edge.startVertex, edge.endVertex]
+      : [edge.endVertex, edge.startVertex];
+
+    network.addEdge(new GraphEdge(
+      network.getVertexByKey(left.getKey()),
+      network.getVertexByKey(right.getKey()),
+      1,
+    ));
+  });
+
+  return edmondsKarp(network, source, sink).maxFlow;
+}
+
+describe('hopcroftKarp', () => {
+  it('should find maximum matching', () => {
+    const workers = ['Ann', 'Bob', 'Cid', 'Dan'].map(key => new GraphVertex(key));
+    const [ann, bob, cid, dan] = workers;
+    const [t1, t2, t3, t4] = ['T1', 'T2', 'T3', 'T4'].map(key => new GraphVertex(key));
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(ann, t1))
+      .addEdge(new GraphEdge(ann, t2))
+      .addEdge(new GraphEdge(bob, t1))
+      .addEdge(new GraphEdge(cid, t2))
+      .addEdge(new GraphEdge(cid, t3))
+      .addEdge(new GraphEdge(dan, t3))
+      .addEdge(new GraphEdge(dan, t4));
+
+    const matching = hopcroftKarp(graph);
+
+    expect(matching.length).toBe(4);
+    expectValidMatching(graph, matching);
+    expect(matching.map(edge => edge.getKey()).sort())
+      .toEqual(['Ann_T2', 'Bob_T1', 'Cid_T3', 'Dan_T4']);
+  });
+
+  it('should find maximum matching when perfect one does not exist', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertex1 = new GraphVertex('1');
+    const vertex2 = new GraphVertex('2');
+    const vertex3 = new GraphVertex('3');
+    const vertexZ = new GraphVertex('Z');
+
+    const graph = new Graph(false, true);
+    graph
+      .addVertex(vertexZ)
+      .addEdge(new GraphEdge(vertexA, vertex1))
+      .addEdge(new GraphEdge(vertexA, vertex1))
+      .addEdge(new GraphEdge(vertexB, vertex1))
+      .addEdge(new GraphEdge(vertexC, vertex1))
+      .addEdge(new GraphEdge(vertexC, vertex2))
+      .addEdge(new GraphEdge(vertexC, vertex3));
+
+    const matching = hopcroftKarp(graph);
+
+    expect(matching.length).toBe(2);
+    expectValidMatching(graph, matching);
+  });
+
+  it('should handle empty and non-bipartite graphs', () => {
+    expect(hopcroftKarp(new Graph())).toEqual([]);
+
+    const triangle = new Graph();
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    triangle
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexA));
+
+    expect(() => hopcroftKarp(triangle)).toThrow('Graph is not bipartite');
+  });
+
+  it('should find matching of the same size as maximum flow on random graphs', () => {
+    const seededRandom = new SeededRandom(5);
+
+    for (let round = 0; round < 20; round += 1) {
+      const leftCount = seededRandom.randomInt(1, 12);
+      const rightCount = seededRandom.randomInt(1, 12);
+      const leftVertices = [];
+      const graph = new Graph();
+
+      for (let i = 0; i < leftCount; i += 1) {
+        leftVertices.push(new GraphVertex(`L${i}`));
+        graph.addVertex(leftVertices[i]);
+      }
+
+      for (let i = 0; i < rightCount; i += 1) {
+        const rightVertex = new GraphVertex(`R${i}`);
+        graph.addVertex(rightVertex);
+
+        leftVertices.forEach((leftVertex) => {
+          if (seededRandom.random() < 0.2) {
+            graph.addEdge(new GraphEdge(leftVertex, rightVertex));
+          }
+        });
+      }
+
+      const matching = hopcroftKarp(graph);
+
+      expectValidMatching(graph, matching);
+      expect(matching.length).toBe(findMaximumMatchingSize(graph, leftVertices));
+    }
+  });
+
+  it('should not end augmenting paths at matched right vertices', () => {
+    // Dense graphs make the shortest augmenting paths pass matched right vertices
+    // that are on the same BFS level as free ones.
+    for (let seed = 1; seed <= 300; seed += 1) {
+      const seededRandom = new SeededRandom(seed);
+      const leftCount = seededRandom.randomInt(1, 8);
+      const rightCount = seededRandom.randomInt(1, 8);
+      const edgeProbability = seededRandom.random();
+      const rightVertices = [];
+      const leftVertices = [];
+      const graph = new Graph();
+
+      for (let i = 0; i < rightCount; i += 1) {
+        rightVertices.push(new GraphVertex(`r${i}`));
+        graph.addVertex(rightVertices[i]);
+      }
+
+      for (let i = 0; i < leftCount; i += 1) {
+        const leftVertex = new GraphVertex(`l${i}`);
+        leftVertices.push(leftVertex);
+        graph.addVertex(leftVertex);
+
+        rightVertices.forEach((rightVertex) => {
+          if (seededRandom.random() < edgeProbability) {
+            graph.addEdge(new GraphEdge(leftVertex, rightVertex));
+          }
+        });
+      }
+
+      const matching = hopcroftKarp(graph);
+
+      expectValidMatching(graph, matching);
+      expect(matching.length).toBe(findMaximumMatchingSize(graph, leftVertices));
+    }
+  });
+});
@@ -0,0 +1,158 @@
+import Graph from '../../../data-structures/graph/Graph';
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import breadthFirstSearch from '../breadth-first-search/breadthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
+import bipartiteCheck from '../bipartite-check/bipartiteCheck';
+
+/**
+ * Hopcroft–Karp algorithm of finding maximum cardinality matching in bipartite graph.
+ *
+ * @param {Graph} graph - Undirected bipartite graph.
+ * @return {GraphEdge[]} - Edges of maximum matching.
+ */
+export default function hopcroftKarp(graph) {
+  const { isBipartite, parts } = bipartiteCheck(graph);
+
+  if (!isBipartite) {
+    throw new Error('Graph is not bipartite');
+  }
+
+  const [leftVertices] = parts;
+  const isLeftVertex = {};
+  leftVertices.forEach((vertex) => {
+    isLeftVertex[vertex.getKey()] = true;
+  });
+
+  // Matched edge of every matched vertex by vertex key.
+  const matchedEdges = {};
+
+  // Virtual vertex connected to all free left vertices. Its key must not clash with others.
+  let sourceKey = 'hopcroft-karp-source';
+  while (graph.getVertexByKey(sourceKey)) {
+    sourceKey = `${sourceKey}'`;
+  }
+
+  /**
+   * Builds directed graph where augmenting paths go from the virtual source
+   * to free left vertices, from left vertices to right ones along unmatched
+   * edges and from right vertices to left ones along matched edges.
+   *
+   * @return {Graph}
+   */
+  const buildAlternatingGraph = () => {
+    const alternatingGraph = new Graph(true, true);
+    graph.getAllVertices().forEach((vertex) => {
+      alternatingGraph.addVertex(new GraphVertex(vertex.getKey()));
+    });
+
+    const sourceVertex = new GraphVertex(sourceKey);
+    alternatingGraph.addVertex(sourceVertex);
+
+    leftVertices.forEach((leftVertex) => {
+      const alternatingLeftVertex = alternatingGraph.getVertexByKey(leftVertex.getKey());
+
+      if (!matchedEdges[leftVertex.getKey()]) {
+        alternatingGraph.addEdge(new GraphEdge(sourceVertex, alternatingLeftVertex));
+      }
+
+      leftVertex.getEdges().forEach((edge) => {
+        const rightVertex = edge.startVertex === leftVertex ? edge.endVertex : edge.startVertex;
+        const alternatingRightVertex = alternatingGraph.getVertexByKey(rightVertex.getKey());
+
+        if (matchedEdges[leftVertex.getKey()] === edge) {
+          alternatingGraph.addEdge(new GraphEdge(alternatingRightVertex, alternatingLeftVertex));
+        } else {
+          alternatingGraph.addEdge(new GraphEdge(alternatingLeftVertex, alternatingRightVertex));
+        }
+      });
+    });
+
+    return alternatingGraph;
+  };
+
+  let isMatchingAugmented = true;
+  while (isMatchingAugmented) {
+    const alternatingGraph = buildAlternatingGraph();
+    const sourceVertex = alternatingGraph.getVertexByKey(sourceKey);
+
+    // Breadth first search splits vertices into layers by their distance from the source
+    // and finds the length of the shortest augmenting path, that ends at free right vertex.
+    const levels = { [sourceKey]: 0 };
+    let augmentingPathLength = Infinity;
+
+    breadthFirstSearch(alternatingGraph, sourceVertex, {
+      allowTraversal: ({ currentVertex, nextVertex }) => {
+        const nextLevel = levels[currentVertex.getKey()] + 1;
+
+        if (levels[nextVertex.getKey()] !== undefined || nextLevel > augmentingPathLength) {
+          return false;
+        }
+
+        levels[nextVertex.getKey()] = nextLevel;
+
+        const nextKey = nextVertex.getKey();
+        if (!isLeftVertex[nextKey] && !matchedEdges[nextKey]) {
+          augmentingPathLength = nextLevel;
+        }
+
+        return true;
+      },
+    });
+
+    // Depth first search finds maximal set of vertex-disjoint shortest augmenting paths.
+    const augmentingPaths = [];
+    const visitedVertices = {};
+    const currentPath = [];
+    let isPathFound = false;
+
+    depthFirstSearchIterative(alternatingGraph, sourceVertex, {
+      allowTraversal: ({ currentVertex, nextVertex }) => {
+        // Once the path is found go back to the source to start from another free vertex.
+        if (isPathFound || visitedVertices[nextVertex.getKey()]) {
+          return false;
+        }
+
+        return levels[nextVertex.getKey()] === levels[currentVertex.getKey()] + 1;
+      },
+      enterVertex: ({ currentVertex }) => {
+        const currentKey = currentVertex.getKey();
+        visitedVertices[currentKey] = true;
+        currentPath.push(currentVertex);
+
+        // Matched right vertices may share the last level with free ones but the
+        // path can't end there: flipping it would leave their old partners matched.
+        const isFreeRightVertex = !isLeftVertex[currentKey] && !matchedEdges[currentKey];
+        if (levels[currentKey] === augmentingPathLength && isFreeRightVertex) {
+          augmentingPaths.push([...currentPath]);
+          isPathFound = true;
+        }
+      },
+      leaveVertex: ({ previousVertex }) => {
+        currentPath.pop();
+
+        if (previousVertex === sourceVertex) {
+          isPathFound = false;
+        }
+      },
+    });
+
+    // Flip matched and unmatched edges along every augmenting path.
+    augmentingPaths.forEach((path) => {
+      for (let i = 1; i < path.length; i += 2) {
+        const leftVertex = graph.getVertexByKey(path[i].getKey());
+        const rightVertex = graph.getVertexByKey(path[i + 1].getKey());
+        const edge = graph.findEdge(leftVertex, rightVertex);
+
+        matchedEdges[leftVertex.getKey()] = edge;
+        matchedEdges[rightVertex.getKey()] = edge;
+      }
+    });
+
+    isMatchingAugmented = augmentingPaths.length > 0;
+  }
+
+  return leftVertices
+    .filter(leftVertex => matchedEdges[leftVertex.getKey()])
+    .map(leftVertex => matchedEdges[leftVertex.getKey()]);
+}
@@ -0,0 +1,280 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import hungarian from '../hungarian';
+import permutateWithoutRepetitions from '../../../sets/permutations/permutateWithoutRepetitions';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+/**
+ * Finds the best assignment cost by checking all the permutations of columns.
+ *
+ * @param {number[][]} costMatrix
+ * @param {boolean} maximize
+ * @return {number}
+ */
+function bruteForceAssignmentCost(costMatrix, maximize) {
+  const rowsCount = costMatrix.length;
+  const columnsCount = costMatrix[0].length;
+  const size = Math.max(rowsCount, columnsCount);
+
+  const columns = [];
+  for (let column = 0; column < size; column += 1) {
+    columns.push(column);
+  }
+
+  const costs = permutateWithoutRepetitions(columns).map((permutation) => {
+    let cost = 0;
+    for (let row = 0; row < rowsCount; row += 1) {
+      if (permutation[row] < columnsCount) {
+        cost += costMatrix[row][permutation[row]];
+      }
+    }
+
+    return cost;
+  });
+
+  return maximize ? Math.max(...costs) : Math.min(...costs);
+}
+
+/**
+ * @param {number[][]} costMatrix
+ * @param {number[]} assignment
+ * @return {number}
+ */
+function getAssignmentCost(costMatrix, assignment) {
+  const assignedColumns = assignment.filter(column => column !== -1);
+  expect(new Set(assignedColumns).size).toBe(assignedColumns.length);
+
+  return assignment.reduce((cost, column, row) => {
+    return column === -1 ? cost : cost + costMatrix[row][column];
+  }, 0);
+}
+
+describe('hungarian', () => {
+  const costMatrix = [
+    [4, 1, 3],
+    [2, 0, 5],
+    [3, 2, 2],
+  ];
+
+  it('should find assignment of minimal cost', () => {
+    expect(hungarian(costMatrix)).toEqual({
+      assignment: [1, 0, 2],
+      cost: 5,
+    });
+  });
+
+  it('should find assignment of maximal cost', () => {
+    expect(hungarian(costMatrix, { maximize: true })).toEqual({
+      assignment: [0, 2, 1],
+      cost: 11,
+    });
+  });
+
+  it('should handle empty matrices', () => {
+    expect(hungarian([])).toEqual({ assignment: [], cost: 0 });
+    expect(hungarian([[], []])).toEqual({ assignment: [-1, -1], cost: 0 });
+  });
+
+  it('should handle rectangular matrices', () => {
+    // More workers than tasks.
+    expect(hungarian([
+      [7, 3],
+      [2, 9],
+      [1, 8],
+    ])).toEqual({
+      assignment: [1, -1, 0],
+      cost: 4,
+    });
+
+    // More tasks than workers.
+    expect(hungarian([
+      [7, 2, 1],
+      [3, 9, 8],
+    ])).toEqual({
+      assignment: [2, 0],
+      cost: 4,
+    });
+  });
+
+  it('should handle negative and fractional costs', () => {
+    expect(hungarian([
+      [-1.5, 2],
+      [0.25, -3],
+    ])).toEqual({
+      assignment: [0, 1],
+      cost: -4.5,
+    });
+  });
+
+  it('should not assign forbidden cells', () => {
+    expect(hungarian([
+      [1, Infinity],
+      [1, Infinity],
+    ])).toEqual({
+      assignment: [0, -1],
+      cost: 1,
+    });
+
+    // Assign as many rows as possible even if it is more expensive.
+    expect(hungarian([
+      [1, 100],
+      [1, Infinity],
+    ])).toEqual({
+      assignment: [1, 0],
+      cost: 101,
+    });
+
+    expect(hungarian([
+      [-Infinity, 5],
+      [3, 4],
+    ], { maximize: true })).toEqual({
+      assignment: [1, 0],
+      cost: 8,
+    });
+  });
+
+  it('should throw on invalid matrices', () => {
+    expect(() => hungarian([[1, 2], [3]]))
+      .toThrow('All rows of cost matrix must have the same length');
+    expect(() => hungarian([[1, 2], 3])).toThrow('Cost matrix must be an array of rows');
+    expect(() => hungarian([[1, NaN]])).toThrow('Cost matrix must contain only numbers');
+    expect(() => hungarian([[1, -Infinity]])).toThrow('Cost matrix must contain only numbers');
+  });
+
+  it('should find the same cost as brute force on random matrices', () => {
+    const seededRandom = new SeededRandom(19);
+
+    for (let round = 0; round < 40; round += 1) {
+      const rowsCount = seededRandom.randomInt(1, 6);
+      const columnsCount = seededRandom.randomInt(1, 6);
+
+      const matrix = [];
+      for (let row = 0; row < rowsCount; row += 1) {
+        matrix.push([]);
+        for (let column = 0; column < columnsCount; column += 1) {
+          matrix[row].push(seededRandom.randomInt(-20, 50));
+        }
+      }
+
+      [false, true].forEach((maximize) => {
+        const { assignment, cost } = hungarian(matrix, { maximize });
+
+        expect(assignment.length).toBe(rowsCount);
+        expect(assignment.filter(column => column !== -1).length)
+          .toBe(Math.min(rowsCount, columnsCount));
+        expect(getAssignmentCost(matrix, assignment)).toBe(cost);
+        expect(cost).toBe(bruteForceAssignmentCost(matrix, maximize));
+      });
+    }
+  });
+
+  it('should solve large assignment problem', () => {
+    const seededRandom = new SeededRandom(1);
+    const size = 150;
+
+    const matrix = [];
+    for (let row = 0; row < size; row += 1) {
+      matrix.push([]);
+      for (let column = 0; column < size; column += 1) {
+        matrix[row].push(seededRandom.randomInt(1, 1000));
+      }
+    }
+
+    // Make the shifted diagonal the obviously cheapest assignment.
+    for (let index = 0; index < size; index += 1) {
+      matrix[index][(index + 1) % size] = 0;
+    }
+
+    const { assignment, cost } = hungarian(matrix);
+
+    expect(cost).toBe(0);
+    expect(assignment[size - 1]).toBe(0);
+    expect(assignment[0]).toBe(1);
+  });
+
+  it('should assign vertices of bipartite graph', () => {
+    const workerA = new GraphVertex('A');
+    const workerB = new GraphVertex('B');
+    const workerC = new GraphVertex('C');
+    const task1 = new GraphVertex('1');
+    const task2 = new GraphVertex('2');
+
+    const edgeA1 = new GraphEdge(workerA, task1, 4);
+    const edgeA2 = new GraphEdge(workerA, task2, 2);
+    const edgeB1 = new GraphEdge(workerB, task1, 3);
+    const edgeC2 = new GraphEdge(workerC, task2, 6);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeA1)
+      .addEdge(edgeA2)
+      .addEdge(edgeB1)
+      .addEdge(edgeC2);
+
+    const minimal = hungarian(graph);
+    expect(minimal.cost).toBe(5);
+    expect(minimal.assignment).toHaveLength(2);
+    expect(minimal.assignment).toContain(edgeA2);
+    expect(minimal.assignment).toContain(edgeB1);
+
+    const maximal = hungarian(graph, { maximize: true });
+    expect(maximal.cost).toBe(10);
+    expect(maximal.assignment).toHaveLength(2);
+    expect(maximal.assignment).toContain(edgeA1);
+    expect(maximal.assignment).toContain(edgeC2);
+  });
+
+  it('should use custom edge weight and the best of parallel edges', () => {
+    const workerA = new GraphVertex('A');
+    const workerB = new GraphVertex('B');
+    const task1 = new GraphVertex('1');
+    const task2 = new GraphVertex('2');
+
+    const edgeA1 = new GraphEdge(workerA, task1, 1);
+    const cheapEdgeA1 = new GraphEdge(workerA, task1, 1);
+    const edgeA2 = new GraphEdge(workerA, task2, 1);
+    const edgeB1 = new GraphEdge(workerB, task1, 1);
+
+    edgeA1.setAttribute('cost', 5);
+    cheapEdgeA1.setAttribute('cost', 1);
+    edgeA2.setAttribute('cost', 4);
+    edgeB1.setAttribute('cost', 2);
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(edgeA1)
+      .addEdge(cheapEdgeA1)
+      .addEdge(edgeA2)
+      .addEdge(edgeB1);
+
+    const { assignment, cost } = hungarian(graph, {
+      getEdgeWeight: edge => edge.getAttribute('cost'),
+    });
+
+    expect(cost).toBe(6);
+    expect(assignment).toHaveLength(2);
+    expect(assignment).toContain(edgeA2);
+    expect(assignment).toContain(edgeB1);
+
+    const cheapest = hungarian(new Graph(false, true).addEdge(edgeA1).addEdge(cheapEdgeA1), {
+      getEdgeWeight: edge => edge.getAttribute('cost'),
+    });
+
+    expect(cheapest).toEqual({ assignment: [cheapEdgeA1], cost: 1 });
+  });
+
+  it('should throw for not bipartite graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexC))
+      .addEdge(new GraphEdge(vertexC, vertexA));
+
+    expect(() => hungarian(graph)).toThrow('Graph is not bipartite');
+  });
+});
@@ -0,0 +1,257 @@
+import bipartiteCheck from '../bipartite-check/bipartiteCheck';
+
+/**
+ * @typedef {Object} HungarianOptions
+ *
+ * @property {boolean} [maximize] - Find assignment of maximal total cost instead of minimal one.
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Cost of the graph edge.
+ *  Edge weight is used by default.
+ */
+
+/**
+ * Solves square assignment problem of minimal cost in O(n^3) time.
+ *
+ * @param {number[][]} costMatrix - Square matrix of finite costs.
+ * @return {number[]} - Column of every row.
+ */
+function solveSquareAssignment(costMatrix) {
+  const size = costMatrix.length;
+
+  // Potentials of rows and columns. Column 0 is fictitious and is used to
+  // hold the row that is being added to the assignment.
+  const rowPotentials = Array(size + 1).fill(0);
+  const columnPotentials = Array(size + 1).fill(0);
+
+  // Row that is assigned to every column (1-based, 0 means "none").
+  const columnRows = Array(size + 1).fill(0);
+
+  // Previous column on the alternating path to every column.
+  const previousColumns = Array(size + 1).fill(0);
+
+  for (let row = 1; row <= size; row += 1) {
+    columnRows[0] = row;
+    let currentColumn = 0;
+
+    const minReducedCosts = Array(size + 1).fill(Infinity);
+    const visitedColumns = Array(size + 1).fill(false);
+
+    // Grow the tree of alternating paths until it reaches a free column.
+    do {
+      visitedColumns[currentColumn] = true;
+      const currentRow = columnRows[currentColumn];
+      let delta = Infinity;
+      let nextColumn = 0;
+
+      for (let column = 1; column <= size; column += 1) {
+        if (!visitedColumns[column]) {
+          const reducedCost = costMatrix[currentRow - 1][column - 1] -
+            rowPotentials[currentRow] -
+            columnPotentials[column];
+
+          if (reducedCost < minReducedCosts[column]) {
+            minReducedCosts[column] = reducedCost;
+            previousColumns[column] = currentColumn;
+          }
+
+          if (minReducedCosts[column] < delta) {
+            delta = minReducedCosts[column];
+            nextColumn = column;
+          }
+        }
+      }
+
+      // Update potentials so that one more column gets zero reduced cost.
+      for (let column = 0; column <= size; column += 1) {
+        if (visitedColumns[column]) {
+          rowPotentials[columnRows[column]] += delta;
+          columnPotentials[column] -= delta;
+        } else {
+          minReducedCosts[column] -= delta;
+        }
+      }
+
+      currentColumn = nextColumn;
+    } while (columnRows[currentColumn] !== 0);
+
+    // Flip the assignment along the found augmenting path.
+    do {
+      const previousColumn = previousColumns[currentColumn];
+      columnRows[currentColumn] = columnRows[previousColumn];
+      currentColumn = previousColumn;
+    } while (currentColumn !== 0);
+  }
+
+  const rowColumns = Array(size).fill(-1);
+  for (let column = 1; column <= size; column += 1) {
+    rowColumns[columnRows[column] - 1] = column - 1;
+  }
+
+  return rowColumns;
+}
+
+/**
+ * @param {number[][]} costMatrix
+ * @param {boolean} maximize
+ * @return {{assignment: number[], cost: number}}
+ */
+function hungarianMatrix(costMatrix, maximize) {
+  if (costMatrix.some(row => !Array.isArray(row))) {
+    throw new Error('Cost matrix must be an array of rows');
+  }
+
+  const rowsCount = costMatrix.length;
+  const columnsCount = rowsCount ? costMatrix[0].length : 0;
+
+  if (costMatrix.some(row => row.length !== columnsCount)) {
+    throw new Error('All rows of cost matrix must have the same length');
+  }
+
+  if (!rowsCount || !columnsCount) {
+    return { assignment: Array(rowsCount).fill(-1), cost: 0 };
+  }
+
+  // Infinite cost (or minus infinite one while maximizing) forbids the cell.
+  const isForbidden = cost => cost === (maximize ? -Infinity : Infinity);
+
+  let absoluteCostsSum = 0;
+  costMatrix.forEach((row) => {
+    row.forEach((cost) => {
+      if (!isForbidden(cost)) {
+        if (typeof cost !== 'number' || !Number.isFinite(cost)) {
+          throw new Error('Cost matrix must contain only numbers');
+        }
+
+        absoluteCostsSum += Math.abs(cost);
+      }
+    });
+  });
+
+  // Forbidden cells get the cost that is greater than the cost of any assignment
+  // without them. So the algorithm uses as few forbidden cells as possible.
+  const forbiddenCost = absoluteCostsSum + 1;
+
+  // Pad rectangular matrix with zero cost dummy rows or columns to make it square.
+  const size = Math.max(rowsCount, columnsCount);
+  const squareMatrix = [];
+  for (let row = 0; row < size; row += 1) {
+    squareMatrix.push([]);
+    for (let column = 0; column < size; column += 1) {
+      let cost = 0;
+
+      if (row < rowsCount && column < columnsCount) {
+        const originalCost = costMatrix[row][column];
+
+        if (isForbidden(originalCost)) {
+          cost = forbiddenCost;
+        } else {
+          cost = maximize ? -originalCost : originalCost;
+        }
+      }
+
+      squareMatrix[row].push(cost);
+    }
+  }
+
+  const rowColumns = solveSquareAssignment(squareMatrix);
+
+  const assignment = [];
+  let cost = 0;
+  for (let row = 0; row < rowsCount; row += 1) {
+    const column = rowColumns[row];
+
+    if (column < columnsCount && !isForbidden(costMatrix[row][column])) {
+      assignment.push(column);
+      cost += costMatrix[row][column];
+    } else {
+      assignment.push(-1);
+    }
+  }
+
+  return { assignment, cost };
+}
+
+/**
+ * @param {Graph} graph
+ * @param {boolean} maximize
+ * @param {function(edge: GraphEdge): number} getEdgeWeight
+ * @return {{assignment: GraphEdge[], cost: number}}
+ */
+function hungarianGraph(graph, maximize, getEdgeWeight) {
+  const { isBipartite, parts } = bipartiteCheck(graph);
+
+  if (!isBipartite) {
+    throw new Error('Graph is not bipartite');
+  }
+
+  const [leftVertices, rightVertices] = parts;
+  const rightIndices = {};
+  rightVertices.forEach((vertex, index) => {
+    rightIndices[vertex.getKey()] = index;
+  });
+
+  // Missing edges are forbidden cells of the matrix.
+  const forbiddenCost = maximize ? -Infinity : Infinity;
+  const costMatrix = [];
+  const edgesMatrix = [];
+
+  leftVertices.forEach((leftVertex, leftIndex) => {
+    costMatrix.push(Array(rightVertices.length).fill(forbiddenCost));
+    edgesMatrix.push(Array(rightVertices.length).fill(null));
+
+    leftVertex.getEdges().forEach((edge) => {
+      const rightVertex = edge.startVertex === leftVertex ? edge.endVertex : edge.startVertex;
+      const rightIndex = rightIndices[rightVertex.getKey()];
+      const weight = getEdgeWeight(edge);
+      const currentWeight = costMatrix[leftIndex][rightIndex];
+
+      // Take the best of parallel edges.
+      const isBetter = maximize ? weight > currentWeight : weight < currentWeight;
+      if (!edgesMatrix[leftIndex][rightIndex] || isBetter) {
+        costMatrix[leftIndex][rightIndex] = weight;
+        edgesMatrix[leftIndex][rightIndex] = edge;
+      }
+    });
+  });
+
+  const { assignment, cost } = hungarianMatrix(costMatrix, maximize);
+
+  const assignedEdges = [];
+  assignment.forEach((rightIndex, leftIndex) => {
+    if (rightIndex !== -1) {
+      assignedEdges.push(edgesMatrix[leftIndex][rightIndex]);
+    }
+  });
+
+  return { assignment: assignedEdges, cost };
+}
+
+/**
+ * Hungarian (Kuhn–Munkres) algorithm of solving weighted assignment problem.
+ *
+ * Cost matrix may be rectangular: costMatrix[row][column] is the cost of assigning
+ * the row (worker) to the column (task). Every row gets at most one column and every
+ * column gets at most one row. Infinite cost (minus infinite one when maximizing)
+ * means that the row can't be assigned to the column.
+ *
+ * For undirected bipartite graph the vertices of one part are assigned to the
+ * vertices of another one along the graph edges.
+ *
+ * @param {(number[][]|Graph)} costMatrixOrGraph
+ * @param {HungarianOptions} [options]
+ * @return {{assignment: (number[]|GraphEdge[]), cost: number}} - For cost matrix
+ *  the assignment contains the column of every row (or -1 if the row is not assigned).
+ *  For graph it contains the edges of the assignment.
+ */
+export default function hungarian(costMatrixOrGraph, options = {}) {
+  const {
+    maximize = false,
+    getEdgeWeight = edge => edge.weight,
+  } = options;
+
+  if (Array.isArray(costMatrixOrGraph)) {
+    return hungarianMatrix(costMatrixOrGraph, maximize);
+  }
+
+  return hungarianGraph(costMatrixOrGraph, maximize, getEdgeWeight);
+}
@@ -0,0 +1,126 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import johnson from '../johnson';
+import floydWarshall from '../../floyd-warshall/floydWarshall';
+import getAllPairsShortestPath from '../../../../utils/graph/getAllPairsShortestPath';
+import { erdosRenyiGraph, randomDag } from '../../graph-generators/graphGenerators';
+
+describe('johnson', () => {
+  it('should find minimum paths in directed graph with negative edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    const graph = new Graph(true, true);
+    graph
+      .addVertex(vertexA)
+      .addVertex(vertexB)
+      .addVertex(vertexC)
+      .addVertex(vertexD)
+      .addVertex(vertexE)
+      .addEdge(new GraphEdge(vertexA, vertexC, -2))
+      .addEdge(new GraphEdge(vertexC, vertexD, 2))
+      .addEdge(new GraphEdge(vertexD, vertexB, -1))
+      .addEdge(new GraphEdge(vertexB, vertexA, 4))
+      .addEdge(new GraphEdge(vertexB, vertexC, 3))
+      .addEdge(new GraphEdge(vertexB, vertexC, 5))
+      .addEdge(new GraphEdge(vertexA, vertexA, 1));
+
+    const allPairsShortestPaths = johnson(graph);
+    const { distances, nextVertices, verticesIndices } = allPairsShortestPaths;
+
+    expect(distances).toEqual([
+      [0, -1, -2, 0, Infinity],
+      [4, 0, 2, 4, Infinity],
+      [5, 1, 0, 2, Infinity],
+      [3, -1, 1, 0, Infinity],
+      [Infinity, Infinity, Infinity, Infinity, 0],
+    ]);
+
+    expect(nextVertices[verticesIndices.A][verticesIndices.B]).toBe(vertexC);
+    expect(nextVertices[verticesIndices.B][verticesIndices.D]).toBe(vertexA);
+    expect(nextVertices[verticesIndices.A][verticesIndices.E]).toBeNull();
+
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'D', 'C')).toEqual({
+      path: [vertexD, vertexB, vertexA, vertexC],
+      cost: 1,
+    });
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'B', 'D')).toEqual({
+      path: [vertexB, vertexA, vertexC, vertexD],
+      cost: 4,
+    });
+    expect(getAllPairsShortestPath(allPairsShortestPaths, 'E', 'A')).toBeNull();
+  });
+
+  it('should not be confused by vertex with the key of virtual source vertex', () => {
+    const vertexA = new GraphVertex('johnson-source');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph(true);
+    graph.addEdge(new GraphEdge(vertexA, vertexB, -3));
+
+    const allPairsShortestPaths = johnson(graph);
+
+    expect(allPairsShortestPaths.distances).toEqual([
+      [0, -3],
+      [Infinity, 0],
+    ]);
+    expect(graph.getAllVertices().length).toBe(2);
+  });
+
+  it('should throw an error for graph with negative cycle', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, -2))
+      .addEdge(new GraphEdge(vertexC, vertexB, 1));
+
+    expect(() => johnson(graph)).toThrow('Graph contains negative cycle');
+
+    const undirectedGraph = new Graph();
+    undirectedGraph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), -1));
+
+    expect(() => johnson(undirectedGraph)).toThrow();
+  });
+
+  it('should find the same paths as Floyd-Warshall on random graphs', () => {
+    const graphs = [];
+    for (let seed = 1; seed <= 5; seed += 1) {
+      graphs.push(randomDag(15, 0.3, { seed, minWeight: -10, maxWeight: 10 }));
+      graphs.push(erdosRenyiGraph(15, 0.2, { seed, maxWeight: 10 }));
+      graphs.push(erdosRenyiGraph(15, 0.15, { seed, maxWeight: 10, isDirected: true }));
+    }
+
+    graphs.forEach((graph) => {
+      const johnsonPaths = johnson(graph);
+      const floydWarshallPaths = floydWarshall(graph);
+
+      expect(johnsonPaths.distances).toEqual(floydWarshallPaths.distances);
+
+      graph.getAllVertices().forEach((startVertex) => {
+        graph.getAllVertices().forEach((endVertex) => {
+          const shortestPath = getAllPairsShortestPath(
+            johnsonPaths,
+            startVertex.getKey(),
+            endVertex.getKey(),
+          );
+
+          if (shortestPath) {
+            const pathCost = shortestPath.path.slice(1).reduce((cost, vertex, index) => {
+              return cost + graph.findEdge(shortestPath.path[index], vertex).weight;
+            }, 0);
+
+            expect(pathCost).toBe(shortestPath.cost);
+          }
+        });
+      });
+    });
+  });
+});
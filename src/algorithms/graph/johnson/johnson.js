@@ -0,0 +1,110 @@
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import bellmanFord from '../bellman-ford/bellmanFord';
+import dijkstra from '../dijkstra/dijkstra';
+
+/**
+ * @param {Graph} graph
+ * @return {AllPairsShortestPaths}
+ * @throws {Error} - If the graph contains negative cycle.
+ */
+export default function johnson(graph) {
+  const vertices = graph.getAllVertices();
+  const verticesIndices = graph.getVerticesIndices();
+
+  // Add new vertex that is connected to every other vertex by zero weight edge.
+  // The key of new vertex must not clash with existing ones.
+  let sourceVertexKey = 'johnson-source';
+  while (verticesIndices[sourceVertexKey] !== undefined) {
+    sourceVertexKey = `${sourceVertexKey}'`;
+  }
+
+  const extendedGraph = graph.clone();
+  const sourceVertex = new GraphVertex(sourceVertexKey);
+  extendedGraph.addVertex(sourceVertex);
+  vertices.forEach((vertex) => {
+    const extendedGraphVertex = extendedGraph.getVertexByKey(vertex.getKey());
+    extendedGraph.addEdge(new GraphEdge(sourceVertex, extendedGraphVertex, 0));
+  });
+
+  // Distances from new vertex give the potentials of the vertices.
+  const { distances: potentials, negativeCycle } = bellmanFord(extendedGraph, sourceVertex);
+
+  if (negativeCycle) {
+    throw new Error('Graph contains negative cycle');
+  }
+
+  // Reweighted edges are non-negative so Dijkstra's algorithm may be used with them.
+  // Every path between two vertices changes its weight by the same amount, so the
+  // shortest paths stay the same.
+  const getEdgeWeight = (edge) => {
+    const potentialsDifference = potentials[edge.startVertex.getKey()] -
+      potentials[edge.endVertex.getKey()];
+
+    return edge.weight + potentialsDifference;
+  };
+
+  const distances = [];
+  const nextVertices = [];
+
+  vertices.forEach((startVertex) => {
+    const startKey = startVertex.getKey();
+    const shortestPaths = dijkstra(graph, startVertex, { getEdgeWeight });
+
+    // Next vertex on the path to the end vertex is the same as on the path to the
+    // previous vertex of the end one. Remember found next vertices to reuse them.
+    const nextVerticesByKey = {};
+    const getNextVertex = (endVertex) => {
+      const verticesToResolve = [];
+      let currentVertex = endVertex;
+
+      while (
+        nextVerticesByKey[currentVertex.getKey()] === undefined &&
+        shortestPaths.previousVertices[currentVertex.getKey()].getKey() !== startKey
+      ) {
+        verticesToResolve.push(currentVertex);
+        currentVertex = shortestPaths.previousVertices[currentVertex.getKey()];
+      }
+
+      if (nextVerticesByKey[currentVertex.getKey()] === undefined) {
+        nextVerticesByKey[currentVertex.getKey()] = currentVertex;
+      }
+
+      verticesToResolve.forEach((vertex) => {
+        nextVerticesByKey[vertex.getKey()] = nextVerticesByKey[currentVertex.getKey()];
+      });
+
+      return nextVerticesByKey[endVertex.getKey()];
+    };
+
+    const distancesRow = [];
+    const nextVerticesRow = [];
+
+    vertices.forEach((endVertex) => {
+      const endKey = endVertex.getKey();
+      const distance = shortestPaths.distances[endKey];
+
+      if (distance === Infinity) {
+        distancesRow.push(Infinity);
+        nextVerticesRow.push(null);
+      } else if (endKey === startKey) {
+        distancesRow.push(0);
+        nextVerticesRow.push(null);
+      } else {
+        // Restore the original weight of the path.
+        distancesRow.push(distance + (potentials[endKey] - potentials[startKey]));
+        nextVerticesRow.push(getNextVertex(endVertex));
+      }
+    });
+
+    distances.push(distancesRow);
+    nextVertices.push(nextVerticesRow);
+  });
+
+  return {
+    vertices,
+    verticesIndices,
+    distances,
+    nextVertices,
+  };
+}
@@ -0,0 +1,174 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import yenKShortestPaths from '../yenKShortestPaths';
+import { erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * @param {{path: GraphVertex[]}[]} paths
+ * @return {string[]}
+ */
+function getPathsKeys(paths) {
+  return paths.map(({ path }) => path.map(vertex => vertex.getKey()).join(''));
+}
+
+/**
+ * Finds the costs of all simple paths between two vertices by brute force.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {GraphVertex} endVertex
+ * @return {number[]}
+ */
+function findAllSimplePathsCosts(graph, startVertex, endVertex) {
+  const costs = [];
+  const visited = {};
+
+  const visit = (vertex, cost) => {
+    if (vertex === endVertex) {
+      costs.push(cost);
+      return;
+    }
+
+    visited[vertex.getKey()] = true;
+    vertex.getNeighbors().forEach((neighbor) => {
+      if (!visited[neighbor.getKey()]) {
+        visit(neighbor, cost + graph.findEdge(vertex, neighbor).weight);
+      }
+    });
+    visited[vertex.getKey()] = false;
+  };
+
+  visit(startVertex, 0);
+
+  return costs.sort((a, b) => a - b);
+}
+
+describe('yenKShortestPaths', () => {
+  it('should find k shortest paths in directed graph', () => {
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+    const vertexF = new GraphVertex('F');
+    const vertexG = new GraphVertex('G');
+    const vertexH = new GraphVertex('H');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexC, vertexD, 3))
+      .addEdge(new GraphEdge(vertexC, vertexE, 2))
+      .addEdge(new GraphEdge(vertexD, vertexF, 4))
+      .addEdge(new GraphEdge(vertexE, vertexD, 1))
+      .addEdge(new GraphEdge(vertexE, vertexF, 2))
+      .addEdge(new GraphEdge(vertexE, vertexG, 3))
+      .addEdge(new GraphEdge(vertexF, vertexG, 2))
+      .addEdge(new GraphEdge(vertexF, vertexH, 1))
+      .addEdge(new GraphEdge(vertexG, vertexH, 2));
+
+    const paths = yenKShortestPaths(graph, vertexC, vertexH, 3);
+
+    expect(paths.length).toBe(3);
+    expect(paths[0]).toEqual({ path: [vertexC, vertexE, vertexF, vertexH], cost: 5 });
+    expect(paths[1]).toEqual({ path: [vertexC, vertexE, vertexG, vertexH], cost: 7 });
+    expect(paths[2].cost).toBe(8);
+
+    const allPaths = yenKShortestPaths(graph, vertexC, vertexH, 100);
+
+    expect(getPathsKeys(allPaths).sort()).toEqual([
+      'CDFGH',
+      'CDFH',
+      'CEDFGH',
+      'CEDFH',
+      'CEFGH',
+      'CEFH',
+      'CEGH',
+    ]);
+    expect(allPaths.map(({ cost }) => cost)).toEqual([5, 7, 8, 8, 8, 11, 11]);
+  });
+
+  it('should find k shortest paths in undirected multigraph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 5))
+      .addEdge(new GraphEdge(vertexB, vertexA, 1))
+      .addEdge(new GraphEdge(vertexB, vertexD, 1))
+      .addEdge(new GraphEdge(vertexA, vertexC, 1))
+      .addEdge(new GraphEdge(vertexD, vertexC, 3))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1));
+
+    const paths = yenKShortestPaths(graph, vertexA, vertexD, 10);
+
+    expect(getPathsKeys(paths)).toEqual(['ABD', 'ACBD', 'ACD', 'ABCD']);
+    expect(paths.map(({ cost }) => cost)).toEqual([2, 3, 4, 5]);
+  });
+
+  it('should use custom edge weights', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1, { time: 10 }))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1, { time: 10 }))
+      .addEdge(new GraphEdge(vertexA, vertexC, 5, { time: 5 }));
+
+    const paths = yenKShortestPaths(graph, vertexA, vertexC, 2, {
+      getEdgeWeight: edge => edge.getAttribute('time'),
+    });
+
+    expect(getPathsKeys(paths)).toEqual(['AC', 'ABC']);
+    expect(paths.map(({ cost }) => cost)).toEqual([5, 20]);
+  });
+
+  it('should handle trivial cases', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addVertex(vertexC)
+      .addEdge(new GraphEdge(vertexA, vertexB, 2));
+
+    expect(yenKShortestPaths(graph, vertexA, vertexB, 0)).toEqual([]);
+    expect(yenKShortestPaths(graph, vertexA, vertexC, 3)).toEqual([]);
+    expect(yenKShortestPaths(graph, vertexB, vertexA, 3)).toEqual([]);
+    expect(yenKShortestPaths(graph, vertexA, vertexB, 3)).toEqual([
+      { path: [vertexA, vertexB], cost: 2 },
+    ]);
+    expect(yenKShortestPaths(graph, vertexA, vertexA, 3)).toEqual([
+      { path: [vertexA], cost: 0 },
+    ]);
+  });
+
+  it('should find the same costs as brute force on random graphs', () => {
+    const k = 8;
+
+    for (let seed = 1; seed <= 8; seed += 1) {
+      [false, true].forEach((isDirected) => {
+        const graph = erdosRenyiGraph(8, 0.4, { seed, maxWeight: 9, isDirected });
+        const vertices = graph.getAllVertices();
+        const startVertex = vertices[0];
+        const endVertex = vertices[vertices.length - 1];
+
+        const paths = yenKShortestPaths(graph, startVertex, endVertex, k);
+        const expectedCosts = findAllSimplePathsCosts(graph, startVertex, endVertex).slice(0, k);
+
+        expect(paths.map(({ cost }) => cost)).toEqual(expectedCosts);
+
+        // All the paths must be distinct and loopless.
+        const pathsKeys = getPathsKeys(paths);
+        expect(new Set(pathsKeys).size).toBe(paths.length);
+        paths.forEach(({ path }) => {
+          expect(new Set(path).size).toBe(path.length);
+        });
+      });
+    }
+  });
+});
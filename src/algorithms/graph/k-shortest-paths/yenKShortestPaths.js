@@ -0,0 +1,136 @@
+import dijkstra from '../dijkstra/dijkstra';
+import getShortestPath from '../../../utils/graph/getShortestPath';
+
+/**
+ * @typedef {Object} KShortestPathsOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of going along the edge. By default the edge weight is used.
+ */
+
+/**
+ * Yen's algorithm of finding k shortest loopless paths.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} startVertex
+ * @param {GraphVertex} endVertex
+ * @param {number} k - Maximal number of paths to find.
+ * @param {KShortestPathsOptions} [options]
+ * @return {{path: GraphVertex[], cost: number}[]} - Paths in increasing order of their costs.
+ */
+export default function yenKShortestPaths(graph, startVertex, endVertex, k, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
+  /**
+   * @param {GraphVertex} fromVertex
+   * @param {GraphVertex} toVertex
+   * @return {number} - Cost of the cheapest of parallel edges.
+   */
+  const getStepCost = (fromVertex, toVertex) => {
+    return Math.min(...graph.findEdges(fromVertex, toVertex).map(getEdgeWeight));
+  };
+
+  /**
+   * @param {GraphVertex[]} path
+   * @return {string}
+   */
+  const getPathKey = path => JSON.stringify(path.map(vertex => vertex.getKey()));
+
+  const shortestPaths = [];
+  const candidates = [];
+  const knownPaths = {};
+
+  if (k < 1) {
+    return shortestPaths;
+  }
+
+  const firstPath = getShortestPath(
+    dijkstra(graph, startVertex, { getEdgeWeight, targetVertex: endVertex }),
+    endVertex,
+  );
+
+  if (!firstPath) {
+    return shortestPaths;
+  }
+
+  shortestPaths.push(firstPath);
+  knownPaths[getPathKey(firstPath.path)] = true;
+
+  while (shortestPaths.length < k) {
+    const { path: previousPath } = shortestPaths[shortestPaths.length - 1];
+    let rootCost = 0;
+
+    // Every vertex of previous path except the last one may be the spur vertex where
+    // new path deviates from the previous one.
+    for (let spurIndex = 0; spurIndex < previousPath.length - 1; spurIndex += 1) {
+      const spurVertex = previousPath[spurIndex];
+      const rootPath = previousPath.slice(0, spurIndex + 1);
+      const rootPathKey = getPathKey(rootPath);
+
+      // Forbid the edges that continue already found paths with the same root.
+      const removedEdges = {};
+      shortestPaths.forEach(({ path }) => {
+        const hasSameRoot = getPathKey(path.slice(0, spurIndex + 1)) === rootPathKey;
+
+        if (hasSameRoot && path.length > spurIndex + 1) {
+          removedEdges[path[spurIndex + 1].getKey()] = true;
+        }
+      });
+
+      // Forbid root path vertices to keep new path loopless.
+      const removedVertices = {};
+      rootPath.slice(0, -1).forEach((vertex) => {
+        removedVertices[vertex.getKey()] = true;
+      });
+
+      const isEdgeRemoved = (edge) => {
+        const startKey = edge.startVertex.getKey();
+        const endKey = edge.endVertex.getKey();
+
+        if (removedVertices[startKey] || removedVertices[endKey]) {
+          return true;
+        }
+
+        // Edge of undirected graph may be stored with spur vertex at any end.
+        return (startKey === spurVertex.getKey() && removedEdges[endKey]) ||
+          (endKey === spurVertex.getKey() && removedEdges[startKey]);
+      };
+
+      const spurPath = getShortestPath(
+        dijkstra(graph, spurVertex, {
+          getEdgeWeight: edge => (isEdgeRemoved(edge) ? Infinity : getEdgeWeight(edge)),
+          targetVertex: endVertex,
+        }),
+        endVertex,
+      );
+
+      if (spurPath) {
+        const path = [...rootPath.slice(0, -1), ...spurPath.path];
+        const pathKey = getPathKey(path);
+
+        if (!knownPaths[pathKey]) {
+          knownPaths[pathKey] = true;
+          candidates.push({ path, cost: rootCost + spurPath.cost });
+        }
+      }
+
+      rootCost += getStepCost(spurVertex, previousPath[spurIndex + 1]);
+    }
+
+    if (!candidates.length) {
+      break;
+    }
+
+    // Move the cheapest candidate to the found paths.
+    let cheapestIndex = 0;
+    candidates.forEach((candidate, candidateIndex) => {
+      if (candidate.cost < candidates[cheapestIndex].cost) {
+        cheapestIndex = candidateIndex;
+      }
+    });
+
+    shortestPaths.push(candidates.splice(cheapestIndex, 1)[0]);
+  }
+
+  return shortestPaths;
+}
@@ -2,6 +2,54 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import kruskal from '../kruskal';
+import DisjointSet from '../../../../data-structures/disjoint-set/DisjointSet';
+import { barabasiAlbertGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * Finds the weight of minimum spanning tree by checking all the sets of (|V| - 1) edges.
+ *
+ * @param {Graph} graph - Connected undirected graph.
+ * @return {number}
+ */
+function bruteForceSpanningTreeWeight(graph) {
+  const verticesCount = graph.getAllVertices().length;
+  const edges = graph.getAllEdges();
+  let minWeight = Infinity;
+
+  /**
+   * @param {number} nextEdgeIndex
+   * @param {GraphEdge[]} treeEdges
+   */
+  const chooseEdges = (nextEdgeIndex, treeEdges) => {
+    if (treeEdges.length === verticesCount - 1) {
+      const disjointSet = new DisjointSet(vertex => vertex.getKey());
+      graph.getAllVertices().forEach(vertex => disjointSet.makeSet(vertex));
+
+      const isTree = treeEdges.every((edge) => {
+        if (disjointSet.inSameSet(edge.startVertex, edge.endVertex)) {
+          return false;
+        }
+
+        disjointSet.union(edge.startVertex, edge.endVertex);
+        return true;
+      });
+
+      if (isTree) {
+        minWeight = Math.min(minWeight, treeEdges.reduce((sum, edge) => sum + edge.weight, 0));
+      }
+
+      return;
+    }
+
+    for (let edgeIndex = nextEdgeIndex; edgeIndex < edges.length; edgeIndex += 1) {
+      chooseEdges(edgeIndex + 1, [...treeEdges, edges[edgeIndex]]);
+    }
+  };
+
+  chooseEdges(0, []);
+
+  return minWeight;
+}
 
 describe('kruskal', () => {
   it('should fire an error for directed graph', () => {
@@ -88,4 +136,75 @@ describe('kruskal', () => {
     expect(minimumSpanningTree.getAllEdges().length).toBe(graph.getAllVertices().length - 1);
     expect(minimumSpanningTree.toString()).toBe('A,B,C,D');
   });
+
+  it('should find minimum spanning tree for multigraph with parallel edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB1 = new GraphEdge(vertexA, vertexB, 5);
+    const edgeAB2 = new GraphEdge(vertexA, vertexB, 1);
+    const edgeBC1 = new GraphEdge(vertexB, vertexC, 2);
+    const edgeBC2 = new GraphEdge(vertexB, vertexC, 8);
+    const edgeAC = new GraphEdge(vertexA, vertexC, 4);
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(edgeAB1)
+      .addEdge(edgeAB2)
+      .addEdge(edgeBC1)
+      .addEdge(edgeBC2)
+      .addEdge(edgeAC);
+
+    expect(graph.getWeight()).toBe(20);
+
+    const minimumSpanningTree = kruskal(graph);
+
+    expect(minimumSpanningTree.getWeight()).toBe(3);
+    expect(minimumSpanningTree.getAllEdges().length).toBe(2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeAB2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeBC1);
+  });
+
+  it('should find minimum spanning tree using custom edge weight accessor', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 1, { cost: 5 });
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1, { cost: 1 });
+    const edgeAC = new GraphEdge(vertexA, vertexC, 3, { cost: 2 });
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeAC);
+
+    expect(kruskal(graph).getAllEdges()).not.toContain(edgeAC);
+
+    const minimumSpanningTree = kruskal(graph, {
+      getEdgeWeight: edge => edge.getAttribute('cost'),
+    });
+
+    expect(minimumSpanningTree.getAllEdges().length).toBe(2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeBC);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeAC);
+  });
+
+  it('should find minimum spanning tree of random graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const generatorOptions = { seed, minWeight: 0.5, maxWeight: 9.5 };
+
+      // Algorithm attaches tree edges to the original vertices so the brute force
+      // gets its own copy of the graph generated with the same seed.
+      const graph = barabasiAlbertGraph(7, 2, generatorOptions);
+      const minimumSpanningTree = kruskal(graph);
+
+      expect(minimumSpanningTree.getAllVertices().length).toBe(7);
+      expect(minimumSpanningTree.getAllEdges().length).toBe(6);
+      expect(minimumSpanningTree.getWeight())
+        .toBeCloseTo(bruteForceSpanningTreeWeight(barabasiAlbertGraph(7, 2, generatorOptions)), 8);
+    }
+  });
 });
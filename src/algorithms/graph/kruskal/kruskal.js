@@ -2,11 +2,21 @@ import Graph from '../../../data-structures/graph/Graph';
 import QuickSort from '../../sorting/quick-sort/QuickSort';
 import DisjointSet from '../../../data-structures/disjoint-set/DisjointSet';
 
+/**
+ * @typedef {Object} KruskalOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of the edge. By default the edge weight is used.
+ */
+
 /**
  * @param {Graph} graph
+ * @param {KruskalOptions} [options]
  * @return {Graph}
  */
-export default function kruskal(graph) {
+export default function kruskal(graph, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
   // It should fire error if graph is directed since the algorithm works only
   // for undirected graphs.
   if (graph.isDirected) {
@@ -23,11 +33,14 @@ export default function kruskal(graph) {
      * @param {GraphEdge} graphEdgeB
      */
     compareCallback: (graphEdgeA, graphEdgeB) => {
-      if (graphEdgeA.weight === graphEdgeB.weight) {
+      const weightA = getEdgeWeight(graphEdgeA);
+      const weightB = getEdgeWeight(graphEdgeB);
+
+      if (weightA === weightB) {
         return 1;
       }
 
-      return graphEdgeA.weight <= graphEdgeB.weight ? -1 : 1;
+      return weightA <= weightB ? -1 : 1;
     },
   };
   const sortedEdges = new QuickSort(sortingCallbacks).sort(graph.getAllEdges());
@@ -0,0 +1,237 @@
+import Graph from '../../../data-structures/graph/Graph';
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import breadthFirstSearch from '../breadth-first-search/breadthFirstSearch';
+
+/**
+ * @typedef {Object} MinCut
+ *
+ * @property {GraphVertex[]} sourceVertices - Vertices on the source side of the cut.
+ * @property {GraphVertex[]} sinkVertices - Vertices on the sink side of the cut.
+ * @property {GraphEdge[]} edges - Saturated edges that go from source side to sink side.
+ */
+
+/**
+ * Residual network of the directed graph that keeps track of the flow going
+ * through it. Parallel edges are merged into one residual edge with total capacity.
+ */
+export default class FlowNetwork {
+  /**
+   * @param {Graph} graph - Directed graph.
+   * @param {GraphVertex} sourceVertex
+   * @param {GraphVertex} sinkVertex
+   * @param {function(edge: GraphEdge): number} getEdgeCapacity
+   */
+  constructor(graph, sourceVertex, sinkVertex, getEdgeCapacity) {
+    if (!graph.isDirected) {
+      throw new Error('Flow network must be a directed graph');
+    }
+
+    if (sourceVertex.getKey() === sinkVertex.getKey()) {
+      throw new Error('Source and sink must be different vertices');
+    }
+
+    this.graph = graph;
+    this.getEdgeCapacity = getEdgeCapacity;
+    this.residualGraph = new Graph(true);
+
+    // Capacities and net flows between vertices by their keys. Net flow is
+    // antisymmetric: flow of 3 from u to v is the flow of -3 from v to u.
+    this.capacities = {};
+    this.flows = {};
+
+    graph.getAllVertices().forEach((vertex) => {
+      this.residualGraph.addVertex(new GraphVertex(vertex.getKey()));
+      this.capacities[vertex.getKey()] = {};
+      this.flows[vertex.getKey()] = {};
+    });
+
+    graph.getAllEdges().forEach((edge) => {
+      const capacity = getEdgeCapacity(edge);
+
+      if (capacity < 0) {
+        throw new Error('Edge capacity must not be negative');
+      }
+
+      const startKey = edge.startVertex.getKey();
+      const endKey = edge.endVertex.getKey();
+
+      if (startKey === endKey) {
+        // Self loops never carry useful flow.
+        return;
+      }
+
+      this.addResidualEdge(startKey, endKey);
+      this.addResidualEdge(endKey, startKey);
+      this.capacities[startKey][endKey] += capacity;
+    });
+
+    this.sourceVertex = this.residualGraph.getVertexByKey(sourceVertex.getKey());
+    this.sinkVertex = this.residualGraph.getVertexByKey(sinkVertex.getKey());
+  }
+
+  /**
+   * @param {string} startKey
+   * @param {string} endKey
+   */
+  addResidualEdge(startKey, endKey) {
+    if (this.capacities[startKey][endKey] === undefined) {
+      this.capacities[startKey][endKey] = 0;
+      this.flows[startKey][endKey] = 0;
+      this.residualGraph.addEdge(new GraphEdge(
+        this.residualGraph.getVertexByKey(startKey),
+        this.residualGraph.getVertexByKey(endKey),
+      ));
+    }
+  }
+
+  /**
+   * @param {GraphVertex} startVertex - Vertex of residual graph.
+   * @param {GraphVertex} endVertex - Vertex of residual graph.
+   * @return {number}
+   */
+  getResidualCapacity(startVertex, endVertex) {
+    const startKey = startVertex.getKey();
+    const endKey = endVertex.getKey();
+
+    return this.capacities[startKey][endKey] - this.flows[startKey][endKey];
+  }
+
+  /**
+   * @param {GraphVertex} startVertex - Vertex of residual graph.
+   * @param {GraphVertex} endVertex - Vertex of residual graph.
+   * @param {number} flow
+   */
+  addFlow(startVertex, endVertex, flow) {
+    const startKey = startVertex.getKey();
+    const endKey = endVertex.getKey();
+
+    this.flows[startKey][endKey] += flow;
+    this.flows[endKey][startKey] -= flow;
+  }
+
+  /**
+   * Pushes the flow along the path of residual graph vertices.
+   *
+   * @param {GraphVertex[]} path
+   * @return {number} - Pushed flow that is limited by the smallest residual capacity.
+   */
+  augmentPath(path) {
+    let pathFlow = Infinity;
+    for (let i = 1; i < path.length; i += 1) {
+      pathFlow = Math.min(pathFlow, this.getResidualCapacity(path[i - 1], path[i]));
+    }
+
+    if (pathFlow === Infinity) {
+      throw new Error('Flow is unbounded: there is a path of infinite capacity');
+    }
+
+    for (let i = 1; i < path.length; i += 1) {
+      this.addFlow(path[i - 1], path[i], pathFlow);
+    }
+
+    return pathFlow;
+  }
+
+  /**
+   * Finds the vertices that are reachable from the source in residual graph.
+   *
+   * @param {function(vertex: GraphVertex, parentVertex: GraphVertex)} [enterVertex] -
+   *  Called once for every reached vertex except the source.
+   * @return {Object} - Keys of reached vertices.
+   */
+  traverseResidualGraph(enterVertex = () => {}) {
+    const reachedVertices = { [this.sourceVertex.getKey()]: true };
+
+    breadthFirstSearch(this.residualGraph, this.sourceVertex, {
+      allowTraversal: ({ currentVertex, nextVertex }) => {
+        if (
+          reachedVertices[nextVertex.getKey()] ||
+          this.getResidualCapacity(currentVertex, nextVertex) <= 0
+        ) {
+          return false;
+        }
+
+        reachedVertices[nextVertex.getKey()] = true;
+        enterVertex(nextVertex, currentVertex);
+
+        return true;
+      },
+    });
+
+    return reachedVertices;
+  }
+
+  /**
+   * @return {number}
+   */
+  getFlowValue() {
+    const sourceFlows = this.flows[this.sourceVertex.getKey()];
+
+    return Object.keys(sourceFlows).reduce((flow, vertexKey) => flow + sourceFlows[vertexKey], 0);
+  }
+
+  /**
+   * Splits the flow between every pair of vertices among the original edges.
+   *
+   * @return {Object} - Flow of every edge of original graph by edge key.
+   */
+  getEdgesFlows() {
+    const edgesFlows = {};
+    const remainingFlows = {};
+
+    this.graph.getAllEdges().forEach((edge) => {
+      const startKey = edge.startVertex.getKey();
+      const endKey = edge.endVertex.getKey();
+      const pairKey = `${startKey}_${endKey}`;
+
+      if (remainingFlows[pairKey] === undefined) {
+        const pairFlow = startKey === endKey ? 0 : this.flows[startKey][endKey];
+        remainingFlows[pairKey] = Math.max(pairFlow, 0);
+      }
+
+      const edgeFlow = Math.min(remainingFlows[pairKey], this.getEdgeCapacity(edge));
+      remainingFlows[pairKey] -= edgeFlow;
+      edgesFlows[edge.getKey()] = edgeFlow;
+    });
+
+    return edgesFlows;
+  }
+
+  /**
+   * @return {{maxFlow: number, flows: Object, minCut: MinCut}}
+   */
+  getResult() {
+    const sourceSideKeys = this.traverseResidualGraph();
+
+    const minCut = {
+      sourceVertices: [],
+      sinkVertices: [],
+      edges: [],
+    };
+
+    this.graph.getAllVertices().forEach((vertex) => {
+      if (sourceSideKeys[vertex.getKey()]) {
+        minCut.sourceVertices.push(vertex);
+      } else {
+        minCut.sinkVertices.push(vertex);
+      }
+    });
+
+    this.graph.getAllEdges().forEach((edge) => {
+      if (
+        sourceSideKeys[edge.startVertex.getKey()] &&
+        !sourceSideKeys[edge.endVertex.getKey()] &&
+        this.getEdgeCapacity(edge) > 0
+      ) {
+        minCut.edges.push(edge);
+      }
+    });
+
+    return {
+      maxFlow: this.getFlowValue(),
+      flows: this.getEdgesFlows(),
+      minCut,
+    };
+  }
+}
@@ -0,0 +1,196 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import edmondsKarp from '../edmondsKarp';
+import dinic from '../dinic';
+import { erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+
+/**
+ * Checks capacity and conservation constraints of the flow.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex} sourceVertex
+ * @param {GraphVertex} sinkVertex
+ * @param {{maxFlow: number, flows: Object, minCut: Object}} result
+ */
+function expectValidMaxFlow(graph, sourceVertex, sinkVertex, result) {
+  const { maxFlow, flows, minCut } = result;
+  const balances = {};
+  graph.getAllVertices().forEach((vertex) => {
+    balances[vertex.getKey()] = 0;
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const flow = flows[edge.getKey()];
+
+    expect(flow).toBeGreaterThanOrEqual(0);
+    expect(flow).toBeLessThanOrEqual(edge.weight);
+
+    balances[edge.startVertex.getKey()] -= flow;
+    balances[edge.endVertex.getKey()] += flow;
+  });
+
+  graph.getAllVertices().forEach((vertex) => {
+    if (vertex === sourceVertex) {
+      expect(balances[vertex.getKey()] + maxFlow).toBe(0);
+    } else if (vertex === sinkVertex) {
+      expect(balances[vertex.getKey()]).toBe(maxFlow);
+    } else {
+      expect(balances[vertex.getKey()]).toBe(0);
+    }
+  });
+
+  // Capacity of minimum cut is equal to maximum flow.
+  const cutCapacity = minCut.edges.reduce((capacity, edge) => capacity + edge.weight, 0);
+  expect(cutCapacity).toBe(maxFlow);
+  expect(minCut.sourceVertices).toContain(sourceVertex);
+  expect(minCut.sinkVertices).toContain(sinkVertex);
+  expect(minCut.sourceVertices.length + minCut.sinkVertices.length)
+    .toBe(graph.getAllVertices().length);
+}
+
+describe('maxFlow', () => {
+  [edmondsKarp, dinic].forEach((maxFlow) => {
+    describe(maxFlow.name, () => {
+      it('should find maximum flow and minimum cut', () => {
+        const vertexS = new GraphVertex('S');
+        const vertexA = new GraphVertex('A');
+        const vertexB = new GraphVertex('B');
+        const vertexC = new GraphVertex('C');
+        const vertexD = new GraphVertex('D');
+        const vertexT = new GraphVertex('T');
+
+        const edgeSA = new GraphEdge(vertexS, vertexA, 16);
+        const edgeSC = new GraphEdge(vertexS, vertexC, 13);
+        const edgeAB = new GraphEdge(vertexA, vertexB, 12);
+        const edgeCA = new GraphEdge(vertexC, vertexA, 4);
+        const edgeBC = new GraphEdge(vertexB, vertexC, 9);
+        const edgeCD = new GraphEdge(vertexC, vertexD, 14);
+        const edgeDB = new GraphEdge(vertexD, vertexB, 7);
+        const edgeBT = new GraphEdge(vertexB, vertexT, 20);
+        const edgeDT = new GraphEdge(vertexD, vertexT, 4);
+
+        const graph = new Graph(true);
+        graph
+          .addEdge(edgeSA)
+          .addEdge(edgeSC)
+          .addEdge(edgeAB)
+          .addEdge(edgeCA)
+          .addEdge(edgeBC)
+          .addEdge(edgeCD)
+          .addEdge(edgeDB)
+          .addEdge(edgeBT)
+          .addEdge(edgeDT);
+
+        const result = maxFlow(graph, vertexS, vertexT);
+
+        expect(result.maxFlow).toBe(23);
+        expect(result.flows[edgeBT.getKey()]).toBe(19);
+        expect(result.flows[edgeDT.getKey()]).toBe(4);
+
+        expect(result.minCut.sourceVertices.map(vertex => vertex.getKey()).sort())
+          .toEqual(['A', 'C', 'D', 'S']);
+        expect(result.minCut.edges).toEqual([edgeAB, edgeDB, edgeDT]);
+
+        expectValidMaxFlow(graph, vertexS, vertexT, result);
+      });
+
+      it('should handle parallel, antiparallel edges and self loops', () => {
+        const vertexS = new GraphVertex('S');
+        const vertexA = new GraphVertex('A');
+        const vertexT = new GraphVertex('T');
+
+        const graph = new Graph(true, true);
+        graph
+          .addEdge(new GraphEdge(vertexS, vertexA, 3))
+          .addEdge(new GraphEdge(vertexS, vertexA, 4))
+          .addEdge(new GraphEdge(vertexA, vertexS, 10))
+          .addEdge(new GraphEdge(vertexA, vertexA, 10))
+          .addEdge(new GraphEdge(vertexA, vertexT, 5))
+          .addEdge(new GraphEdge(vertexS, vertexT, 1));
+
+        const result = maxFlow(graph, vertexS, vertexT);
+
+        expect(result.maxFlow).toBe(6);
+        expectValidMaxFlow(graph, vertexS, vertexT, result);
+      });
+
+      it('should return zero flow when sink is unreachable', () => {
+        const vertexS = new GraphVertex('S');
+        const vertexA = new GraphVertex('A');
+        const vertexT = new GraphVertex('T');
+
+        const graph = new Graph(true);
+        graph
+          .addEdge(new GraphEdge(vertexS, vertexA, 3))
+          .addEdge(new GraphEdge(vertexT, vertexA, 3));
+
+        const result = maxFlow(graph, vertexS, vertexT);
+
+        expect(result.maxFlow).toBe(0);
+        expect(result.minCut.edges).toEqual([]);
+        expect(result.minCut.sinkVertices).toEqual([vertexT]);
+        expectValidMaxFlow(graph, vertexS, vertexT, result);
+      });
+
+      it('should use custom edge capacities', () => {
+        const vertexS = new GraphVertex('S');
+        const vertexA = new GraphVertex('A');
+        const vertexT = new GraphVertex('T');
+
+        const graph = new Graph(true);
+        graph
+          .addEdge(new GraphEdge(vertexS, vertexA, 1, { bandwidth: 100 }))
+          .addEdge(new GraphEdge(vertexA, vertexT, 1, { bandwidth: 40 }));
+
+        const result = maxFlow(graph, vertexS, vertexT, {
+          getEdgeCapacity: edge => edge.getAttribute('bandwidth'),
+        });
+
+        expect(result.maxFlow).toBe(40);
+        expect(result.minCut.edges.map(edge => edge.getKey())).toEqual(['A_T']);
+      });
+
+      it('should validate the network', () => {
+        const vertexA = new GraphVertex('A');
+        const vertexB = new GraphVertex('B');
+
+        const undirectedGraph = new Graph();
+        undirectedGraph.addEdge(new GraphEdge(vertexA, vertexB, 1));
+        expect(() => maxFlow(undirectedGraph, vertexA, vertexB)).toThrow();
+
+        const graph = new Graph(true);
+        graph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), -1));
+        const [directedA, directedB] = graph.getAllVertices();
+        expect(() => maxFlow(graph, directedA, directedB)).toThrow();
+        expect(() => maxFlow(graph, directedA, directedA)).toThrow();
+
+        const infiniteGraph = new Graph(true);
+        infiniteGraph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), Infinity));
+        const [infiniteA, infiniteB] = infiniteGraph.getAllVertices();
+        expect(() => maxFlow(infiniteGraph, infiniteA, infiniteB)).toThrow();
+      });
+    });
+  });
+
+  it('should find the same maximum flow with both algorithms on random graphs', () => {
+    for (let seed = 1; seed <= 15; seed += 1) {
+      const graph = erdosRenyiGraph(25, 0.15, {
+        seed,
+        minWeight: 0,
+        maxWeight: 20,
+        isDirected: true,
+      });
+      const vertices = graph.getAllVertices();
+      const sourceVertex = vertices[0];
+      const sinkVertex = vertices[vertices.length - 1];
+
+      const edmondsKarpResult = edmondsKarp(graph, sourceVertex, sinkVertex);
+      const dinicResult = dinic(graph, sourceVertex, sinkVertex);
+
+      expect(dinicResult.maxFlow).toBe(edmondsKarpResult.maxFlow);
+      expectValidMaxFlow(graph, sourceVertex, sinkVertex, edmondsKarpResult);
+      expectValidMaxFlow(graph, sourceVertex, sinkVertex, dinicResult);
+    }
+  });
+});
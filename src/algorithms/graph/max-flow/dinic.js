@@ -0,0 +1,101 @@
+import FlowNetwork from './FlowNetwork';
+
+/**
+ * Dinic's algorithm: augments the flow by blocking flows of the level graph
+ * where every edge goes one level further from the source.
+ *
+ * @param {Graph} graph - Directed graph.
+ * @param {GraphVertex} sourceVertex
+ * @param {GraphVertex} sinkVertex
+ * @param {MaxFlowOptions} [options]
+ * @return {{maxFlow: number, flows: Object, minCut: MinCut}}
+ */
+export default function dinic(graph, sourceVertex, sinkVertex, options = {}) {
+  const { getEdgeCapacity = edge => edge.weight } = options;
+
+  const network = new FlowNetwork(graph, sourceVertex, sinkVertex, getEdgeCapacity);
+  const { sourceVertex: source, sinkVertex: sink } = network;
+
+  // The residual graph doesn't change its structure so neighbors may be listed once.
+  const neighborsByKey = {};
+  network.residualGraph.getAllVertices().forEach((vertex) => {
+    neighborsByKey[vertex.getKey()] = vertex.getNeighbors();
+  });
+
+  /**
+   * Breadth first search assigns every reachable vertex its distance from the source.
+   *
+   * @return {Object} - Levels of vertices by their keys.
+   */
+  const buildLevels = () => {
+    const levels = { [source.getKey()]: 0 };
+    network.traverseResidualGraph((vertex, parentVertex) => {
+      levels[vertex.getKey()] = levels[parentVertex.getKey()] + 1;
+    });
+
+    return levels;
+  };
+
+  let levels = buildLevels();
+  while (levels[sink.getKey()] !== undefined) {
+    // Index of the next neighbor to try for every vertex. Neighbors that lead
+    // to dead ends are skipped forever during current phase.
+    const nextNeighborIndices = {};
+
+    /**
+     * @param {GraphVertex} vertex
+     * @return {(GraphVertex|null)} - Neighbor on the next level that may accept more flow.
+     */
+    const findNextNeighbor = (vertex) => {
+      const neighbors = neighborsByKey[vertex.getKey()];
+      let neighborIndex = nextNeighborIndices[vertex.getKey()] || 0;
+
+      while (neighborIndex < neighbors.length) {
+        const neighbor = neighbors[neighborIndex];
+
+        if (
+          levels[neighbor.getKey()] === levels[vertex.getKey()] + 1 &&
+          network.getResidualCapacity(vertex, neighbor) > 0
+        ) {
+          break;
+        }
+
+        neighborIndex += 1;
+      }
+
+      nextNeighborIndices[vertex.getKey()] = neighborIndex;
+
+      return neighborIndex < neighbors.length ? neighbors[neighborIndex] : null;
+    };
+
+    // Find augmenting paths in the level graph with depth first search
+    // until the blocking flow is reached.
+    const path = [source];
+    while (path.length) {
+      const currentVertex = path[path.length - 1];
+
+      if (currentVertex === sink) {
+        network.augmentPath(path);
+        path.length = 1;
+      } else {
+        const nextVertex = findNextNeighbor(currentVertex);
+
+        if (nextVertex) {
+          path.push(nextVertex);
+        } else {
+          // Dead end: go back and make parent vertex skip current one.
+          path.pop();
+
+          if (path.length) {
+            const parentKey = path[path.length - 1].getKey();
+            nextNeighborIndices[parentKey] += 1;
+          }
+        }
+      }
+    }
+
+    levels = buildLevels();
+  }
+
+  return network.getResult();
+}
@@ -0,0 +1,54 @@
+import FlowNetwork from './FlowNetwork';
+
+/**
+ * @typedef {Object} MaxFlowOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeCapacity] - Returns the capacity
+ *  of the edge. By default the edge weight is used.
+ */
+
+/**
+ * Edmonds–Karp algorithm: Ford–Fulkerson method that always augments
+ * the flow along the shortest (in number of edges) path.
+ *
+ * @param {Graph} graph - Directed graph.
+ * @param {GraphVertex} sourceVertex
+ * @param {GraphVertex} sinkVertex
+ * @param {MaxFlowOptions} [options]
+ * @return {{maxFlow: number, flows: Object, minCut: MinCut}}
+ */
+export default function edmondsKarp(graph, sourceVertex, sinkVertex, options = {}) {
+  const { getEdgeCapacity = edge => edge.weight } = options;
+
+  const network = new FlowNetwork(graph, sourceVertex, sinkVertex, getEdgeCapacity);
+
+  /**
+   * Breadth first search finds the shortest path to every reachable vertex.
+   *
+   * @return {(Object|null)} - Parent of every reached vertex or null if sink is unreachable.
+   */
+  const findShortestPaths = () => {
+    const parentVertices = {};
+    const reachedVertices = network.traverseResidualGraph((vertex, parentVertex) => {
+      parentVertices[vertex.getKey()] = parentVertex;
+    });
+
+    return reachedVertices[network.sinkVertex.getKey()] ? parentVertices : null;
+  };
+
+  let parentVertices = findShortestPaths();
+  while (parentVertices) {
+    // Restore augmenting path going back from the sink.
+    const path = [];
+    let currentVertex = network.sinkVertex;
+    while (currentVertex) {
+      path.push(currentVertex);
+      currentVertex = parentVertices[currentVertex.getKey()];
+    }
+
+    network.augmentPath(path.reverse());
+    parentVertices = findShortestPaths();
+  }
+
+  return network.getResult();
+}
@@ -0,0 +1,244 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import minCostFlow from '../minCostFlow';
+import edmondsKarp from '../../max-flow/edmondsKarp';
+import floydWarshall from '../../floyd-warshall/floydWarshall';
+import { erdosRenyiGraph } from '../../graph-generators/graphGenerators';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+/**
+ * @param {GraphVertex} startVertex
+ * @param {GraphVertex} endVertex
+ * @param {number} capacity
+ * @param {number} cost
+ * @return {GraphEdge}
+ */
+function createEdge(startVertex, endVertex, capacity, cost) {
+  return new GraphEdge(startVertex, endVertex, cost, { capacity });
+}
+
+/**
+ * Flow has minimal cost if there is no negative cost cycle in residual network.
+ *
+ * @param {Graph} graph
+ * @param {Object} flows
+ * @return {boolean}
+ */
+function isCheapestFlow(graph, flows) {
+  const residualGraph = new Graph(true, true);
+  graph.getAllVertices().forEach((vertex) => {
+    residualGraph.addVertex(new GraphVertex(vertex.getKey()));
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const startVertex = residualGraph.getVertexByKey(edge.startVertex.getKey());
+    const endVertex = residualGraph.getVertexByKey(edge.endVertex.getKey());
+    const flow = flows[edge.getKey()];
+
+    if (flow < edge.getAttribute('capacity')) {
+      residualGraph.addEdge(new GraphEdge(startVertex, endVertex, edge.weight));
+    }
+
+    if (flow > 0) {
+      residualGraph.addEdge(new GraphEdge(endVertex, startVertex, -edge.weight));
+    }
+  });
+
+  const { distances } = floydWarshall(residualGraph);
+
+  return distances.every((row, index) => row[index] >= 0);
+}
+
+describe('minCostFlow', () => {
+  it('should find minimum cost maximum flow', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexT = new GraphVertex('T');
+
+    const edgeSA = createEdge(vertexS, vertexA, 4, 1);
+    const edgeSB = createEdge(vertexS, vertexB, 2, 5);
+    const edgeAB = createEdge(vertexA, vertexB, 2, 1);
+    const edgeAT = createEdge(vertexA, vertexT, 2, 6);
+    const edgeBT = createEdge(vertexB, vertexT, 4, 1);
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(edgeSA)
+      .addEdge(edgeSB)
+      .addEdge(edgeAB)
+      .addEdge(edgeAT)
+      .addEdge(edgeBT);
+
+    const { flow, cost, flows } = minCostFlow(graph, vertexS, vertexT);
+
+    expect(flow).toBe(6);
+    expect(cost).toBe(32);
+    expect(flows).toEqual({
+      [edgeSA.getKey()]: 4,
+      [edgeSB.getKey()]: 2,
+      [edgeAB.getKey()]: 2,
+      [edgeAT.getKey()]: 2,
+      [edgeBT.getKey()]: 4,
+    });
+
+    // Sending less flow takes the cheapest routes only.
+    const partial = minCostFlow(graph, vertexS, vertexT, { requiredFlow: 3 });
+
+    expect(partial.flow).toBe(3);
+    expect(partial.cost).toBe(12);
+    expect(partial.flows[edgeSA.getKey()]).toBe(2);
+    expect(partial.flows[edgeAB.getKey()]).toBe(2);
+    expect(partial.flows[edgeAT.getKey()]).toBe(0);
+    expect(partial.flows[edgeSB.getKey()]).toBe(1);
+
+    // Network can't carry more than its maximum flow.
+    expect(minCostFlow(graph, vertexS, vertexT, { requiredFlow: 10 }).flow).toBe(6);
+  });
+
+  it('should solve transportation problem', () => {
+    const supplies = { W1: 20, W2: 30 };
+    const demands = { C1: 10, C2: 25, C3: 15 };
+    const costs = {
+      W1: { C1: 2, C2: 4, C3: 5 },
+      W2: { C1: 3, C2: 1, C3: 7 },
+    };
+
+    const graph = new Graph(true);
+    const source = new GraphVertex('source');
+    const sink = new GraphVertex('sink');
+
+    Object.keys(supplies).forEach((warehouse) => {
+      const warehouseVertex = new GraphVertex(warehouse);
+      graph.addEdge(createEdge(source, warehouseVertex, supplies[warehouse], 0));
+    });
+
+    Object.keys(demands).forEach((customer) => {
+      const customerVertex = new GraphVertex(customer);
+      graph.addEdge(createEdge(customerVertex, sink, demands[customer], 0));
+
+      Object.keys(supplies).forEach((warehouse) => {
+        graph.addEdge(createEdge(
+          graph.getVertexByKey(warehouse),
+          customerVertex,
+          Infinity,
+          costs[warehouse][customer],
+        ));
+      });
+    });
+
+    const { flow, cost, flows } = minCostFlow(graph, source, sink);
+
+    expect(flow).toBe(50);
+    expect(cost).toBe(125);
+    expect(flows.W2_C2).toBe(25);
+    expect(flows.W1_C3).toBe(15);
+  });
+
+  it('should use the cheapest of parallel edges and handle negative costs', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexA = new GraphVertex('A');
+    const vertexT = new GraphVertex('T');
+
+    const cheapEdge = createEdge(vertexS, vertexA, 1, 2);
+    const expensiveEdge = createEdge(vertexS, vertexA, 5, 10);
+    const negativeEdge = createEdge(vertexA, vertexT, 2, -3);
+    const positiveEdge = createEdge(vertexA, vertexT, 5, 1);
+
+    const graph = new Graph(true, true);
+    graph
+      .addEdge(expensiveEdge)
+      .addEdge(cheapEdge)
+      .addEdge(positiveEdge)
+      .addEdge(negativeEdge);
+
+    const { flow, cost, flows } = minCostFlow(graph, vertexS, vertexT, { requiredFlow: 2 });
+
+    expect(flow).toBe(2);
+    expect(cost).toBe(6);
+    expect(flows[cheapEdge.getKey()]).toBe(1);
+    expect(flows[expensiveEdge.getKey()]).toBe(1);
+    expect(flows[negativeEdge.getKey()]).toBe(2);
+    expect(flows[positiveEdge.getKey()]).toBe(0);
+  });
+
+  it('should use custom capacities and costs', () => {
+    const vertexS = new GraphVertex('S');
+    const vertexT = new GraphVertex('T');
+
+    const graph = new Graph(true, true);
+    graph
+      .addEdge(new GraphEdge(vertexS, vertexT, 1, { bandwidth: 3, price: 7 }))
+      .addEdge(new GraphEdge(vertexS, vertexT, 1, { bandwidth: 2, price: 4 }));
+
+    const { flow, cost } = minCostFlow(graph, vertexS, vertexT, {
+      requiredFlow: 4,
+      getEdgeCapacity: edge => edge.getAttribute('bandwidth'),
+      getEdgeCost: edge => edge.getAttribute('price'),
+    });
+
+    expect(flow).toBe(4);
+    expect(cost).toBe(22);
+  });
+
+  it('should validate the network', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const undirectedGraph = new Graph();
+    undirectedGraph.addEdge(createEdge(vertexA, vertexB, 1, 1));
+    expect(() => minCostFlow(undirectedGraph, vertexA, vertexB)).toThrow();
+
+    const noCapacityGraph = new Graph(true);
+    noCapacityGraph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), 1));
+    const [noCapacityA, noCapacityB] = noCapacityGraph.getAllVertices();
+    expect(() => minCostFlow(noCapacityGraph, noCapacityA, noCapacityB))
+      .toThrow('Edge "A_B" has no capacity attribute');
+    expect(minCostFlow(noCapacityGraph, noCapacityA, noCapacityB, {
+      getEdgeCapacity: () => 2,
+    })).toEqual({ flow: 2, cost: 2, flows: { A_B: 2 } });
+    expect(() => minCostFlow(noCapacityGraph, noCapacityA, noCapacityA)).toThrow();
+
+    const negativeCycleGraph = new Graph(true);
+    negativeCycleGraph
+      .addEdge(createEdge(vertexA, vertexB, 1, 1))
+      .addEdge(createEdge(vertexB, vertexC, 1, -2))
+      .addEdge(createEdge(vertexC, vertexB, 1, 1));
+    expect(() => minCostFlow(negativeCycleGraph, vertexA, vertexC)).toThrow('negative cost cycle');
+  });
+
+  it('should find maximum flow of minimum cost on random networks', () => {
+    const seededRandom = new SeededRandom(17);
+
+    for (let seed = 1; seed <= 12; seed += 1) {
+      const graph = erdosRenyiGraph(12, 0.25, {
+        seed,
+        minWeight: 0,
+        maxWeight: 10,
+        isDirected: true,
+      });
+      graph.getAllEdges().forEach((edge) => {
+        edge.setAttribute('capacity', seededRandom.randomInt(0, 8));
+      });
+
+      const vertices = graph.getAllVertices();
+      const sourceVertex = vertices[0];
+      const sinkVertex = vertices[vertices.length - 1];
+
+      const { flow, cost, flows } = minCostFlow(graph, sourceVertex, sinkVertex);
+      const { maxFlow } = edmondsKarp(graph, sourceVertex, sinkVertex, {
+        getEdgeCapacity: edge => edge.getAttribute('capacity'),
+      });
+
+      expect(flow).toBe(maxFlow);
+      expect(isCheapestFlow(graph, flows)).toBe(true);
+
+      const flowsCost = graph.getAllEdges().reduce((totalCost, edge) => {
+        return totalCost + (flows[edge.getKey()] * edge.weight);
+      }, 0);
+      expect(flowsCost).toBe(cost);
+    }
+  });
+});
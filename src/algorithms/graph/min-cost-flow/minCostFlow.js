@@ -0,0 +1,187 @@
+import Graph from '../../../data-structures/graph/Graph';
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import bellmanFord from '../bellman-ford/bellmanFord';
+import dijkstra from '../dijkstra/dijkstra';
+
+/**
+ * @typedef {Object} MinCostFlowOptions
+ *
+ * @property {number} [requiredFlow] - Amount of flow to send from the source to the sink.
+ *  By default the maximum flow is sent.
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeCapacity] - Returns the capacity
+ *  of the edge. By default "capacity" attribute of the edge is used, since the edge weight
+ *  is the cost by default (unlike in max-flow algorithms where the weight is the capacity).
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeCost] - Returns the cost of sending
+ *  one unit of flow along the edge. By default the edge weight is used.
+ */
+
+/**
+ * @param {GraphEdge} edge
+ * @return {number}
+ */
+function getCapacityAttribute(edge) {
+  if (!edge.hasAttribute('capacity')) {
+    throw new Error(`Edge "${edge.getKey()}" has no capacity attribute`);
+  }
+
+  return edge.getAttribute('capacity');
+}
+
+/**
+ * Successive shortest paths algorithm with potentials.
+ *
+ * @param {Graph} graph - Directed graph.
+ * @param {GraphVertex} sourceVertex
+ * @param {GraphVertex} sinkVertex
+ * @param {MinCostFlowOptions} [options]
+ * @return {{flow: number, cost: number, flows: Object}} - The flow may be less than
+ *  required one if the network can't carry it. Flows of edges are keyed by edge keys.
+ */
+export default function minCostFlow(graph, sourceVertex, sinkVertex, options = {}) {
+  const {
+    requiredFlow = Infinity,
+    getEdgeCapacity = getCapacityAttribute,
+    getEdgeCost = edge => edge.weight,
+  } = options;
+
+  if (!graph.isDirected) {
+    throw new Error('Flow network must be a directed graph');
+  }
+
+  if (sourceVertex.getKey() === sinkVertex.getKey()) {
+    throw new Error('Source and sink must be different vertices');
+  }
+
+  // Residual network keeps every edge separately since parallel edges may have
+  // different costs. Every edge gets reverse one with negative cost that allows
+  // to cancel the flow.
+  const residualGraph = new Graph(true, true);
+  const residualEdgesInfo = {};
+
+  graph.getAllVertices().forEach((vertex) => {
+    residualGraph.addVertex(new GraphVertex(vertex.getKey()));
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const capacity = getEdgeCapacity(edge);
+    const cost = getEdgeCost(edge);
+
+    if (!(capacity >= 0)) {
+      throw new Error('Edge capacity must be a non-negative number');
+    }
+
+    const startVertex = residualGraph.getVertexByKey(edge.startVertex.getKey());
+    const endVertex = residualGraph.getVertexByKey(edge.endVertex.getKey());
+
+    const forwardEdge = new GraphEdge(startVertex, endVertex, cost);
+    const backwardEdge = new GraphEdge(endVertex, startVertex, -cost);
+    residualGraph.addEdge(forwardEdge).addEdge(backwardEdge);
+
+    residualEdgesInfo[forwardEdge.getKey()] = {
+      residualCapacity: capacity,
+      reverseEdge: backwardEdge,
+      originalEdge: edge,
+    };
+    residualEdgesInfo[backwardEdge.getKey()] = {
+      residualCapacity: 0,
+      reverseEdge: forwardEdge,
+      originalEdge: null,
+    };
+  });
+
+  const residualSource = residualGraph.getVertexByKey(sourceVertex.getKey());
+  const residualSink = residualGraph.getVertexByKey(sinkVertex.getKey());
+  const hasResidualCapacity = edge => residualEdgesInfo[edge.getKey()].residualCapacity > 0;
+
+  // Initial potentials are the shortest distances from the source. Bellman-Ford
+  // is used since original costs may be negative.
+  const initialPaths = bellmanFord(residualGraph, residualSource, {
+    getEdgeWeight: edge => (hasResidualCapacity(edge) ? edge.weight : Infinity),
+  });
+
+  if (initialPaths.negativeCycle) {
+    throw new Error('Flow network contains negative cost cycle');
+  }
+
+  const potentials = initialPaths.distances;
+
+  // Reduced costs are non-negative for the edges with residual capacity,
+  // so Dijkstra's algorithm may be used to find the cheapest augmenting paths.
+  const getReducedCost = (edge) => {
+    const startPotential = potentials[edge.startVertex.getKey()];
+    const endPotential = potentials[edge.endVertex.getKey()];
+
+    if (!hasResidualCapacity(edge) || startPotential === Infinity || endPotential === Infinity) {
+      return Infinity;
+    }
+
+    return edge.weight + (startPotential - endPotential);
+  };
+
+  let flow = 0;
+  let cost = 0;
+
+  while (flow < requiredFlow) {
+    const { distances, previousVertices } = dijkstra(residualGraph, residualSource, {
+      getEdgeWeight: getReducedCost,
+    });
+
+    if (distances[residualSink.getKey()] === Infinity) {
+      break;
+    }
+
+    // Collect the edges of the cheapest path going back from the sink.
+    const pathEdges = [];
+    let currentVertex = residualSink;
+    while (currentVertex !== residualSource) {
+      const previousVertex = previousVertices[currentVertex.getKey()];
+      const cheapestEdge = residualGraph
+        .findEdges(previousVertex, currentVertex)
+        .reduce((cheapest, edge) => {
+          return getReducedCost(edge) < getReducedCost(cheapest) ? edge : cheapest;
+        });
+
+      pathEdges.push(cheapestEdge);
+      currentVertex = previousVertex;
+    }
+
+    // Update potentials for the next iteration.
+    Object.keys(distances).forEach((vertexKey) => {
+      if (distances[vertexKey] !== Infinity) {
+        potentials[vertexKey] += distances[vertexKey];
+      }
+    });
+
+    const pathFlow = pathEdges.reduce((minFlow, edge) => {
+      return Math.min(minFlow, residualEdgesInfo[edge.getKey()].residualCapacity);
+    }, requiredFlow - flow);
+
+    if (pathFlow === Infinity) {
+      throw new Error('Flow is unbounded: there is a path of infinite capacity');
+    }
+
+    pathEdges.forEach((edge) => {
+      const edgeInfo = residualEdgesInfo[edge.getKey()];
+      edgeInfo.residualCapacity -= pathFlow;
+      residualEdgesInfo[edgeInfo.reverseEdge.getKey()].residualCapacity += pathFlow;
+      cost += pathFlow * edge.weight;
+    });
+
+    flow += pathFlow;
+  }
+
+  // The flow of original edge is the residual capacity of its reverse edge.
+  const flows = {};
+  Object.keys(residualEdgesInfo).forEach((edgeKey) => {
+    const { originalEdge, reverseEdge } = residualEdgesInfo[edgeKey];
+
+    if (originalEdge) {
+      flows[originalEdge.getKey()] = residualEdgesInfo[reverseEdge.getKey()].residualCapacity;
+    }
+  });
+
+  return { flow, cost, flows };
+}
@@ -2,6 +2,8 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import prim from '../prim';
+import kruskal from '../../kruskal/kruskal';
+import { barabasiAlbertGraph } from '../../graph-generators/graphGenerators';
 
 describe('prim', () => {
   it('should fire an error for directed graph', () => {
@@ -88,4 +90,73 @@ describe('prim', () => {
     expect(minimumSpanningTree.getAllEdges().length).toBe(graph.getAllVertices().length - 1);
     expect(minimumSpanningTree.toString()).toBe('A,B,C,D');
   });
+
+  it('should find minimum spanning tree for multigraph with parallel edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB1 = new GraphEdge(vertexA, vertexB, 5);
+    const edgeAB2 = new GraphEdge(vertexA, vertexB, 1);
+    const edgeBC1 = new GraphEdge(vertexB, vertexC, 2);
+    const edgeBC2 = new GraphEdge(vertexB, vertexC, 8);
+    const edgeAC = new GraphEdge(vertexA, vertexC, 4);
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(edgeAB1)
+      .addEdge(edgeAB2)
+      .addEdge(edgeBC1)
+      .addEdge(edgeBC2)
+      .addEdge(edgeAC);
+
+    expect(graph.getWeight()).toBe(20);
+
+    const minimumSpanningTree = prim(graph);
+
+    expect(minimumSpanningTree.getWeight()).toBe(3);
+    expect(minimumSpanningTree.getAllEdges().length).toBe(2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeAB2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeBC1);
+  });
+
+  it('should find minimum spanning tree using custom edge weight accessor', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 1, { cost: 5 });
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1, { cost: 1 });
+    const edgeAC = new GraphEdge(vertexA, vertexC, 3, { cost: 2 });
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeAC);
+
+    expect(prim(graph).getAllEdges()).not.toContain(edgeAC);
+
+    const minimumSpanningTree = prim(graph, {
+      getEdgeWeight: edge => edge.getAttribute('cost'),
+    });
+
+    expect(minimumSpanningTree.getAllEdges().length).toBe(2);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeBC);
+    expect(minimumSpanningTree.getAllEdges()).toContain(edgeAC);
+  });
+
+  it('should find the same spanning tree weight as Kruskal on random graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const generatorOptions = { seed, minWeight: 1, maxWeight: 100 };
+
+      // Both algorithms attach tree edges to the original vertices so every one
+      // of them gets its own copy of the graph generated with the same seed.
+      const minimumSpanningTree = prim(barabasiAlbertGraph(100, 3, generatorOptions));
+      const kruskalTree = kruskal(barabasiAlbertGraph(100, 3, generatorOptions));
+
+      expect(minimumSpanningTree.getAllEdges().length).toBe(99);
+      expect(minimumSpanningTree.getWeight()).toBe(kruskalTree.getWeight());
+    }
+  });
 });
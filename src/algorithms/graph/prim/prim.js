@@ -1,11 +1,21 @@
 import Graph from '../../../data-structures/graph/Graph';
 import PriorityQueue from '../../../data-structures/priority-queue/PriorityQueue';
 
+/**
+ * @typedef {Object} PrimOptions
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Returns the cost
+ *  of the edge. By default the edge weight is used.
+ */
+
 /**
  * @param {Graph} graph
+ * @param {PrimOptions} [options]
  * @return {Graph}
  */
-export default function prim(graph) {
+export default function prim(graph, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
   // It should fire error if graph is directed since the algorithm works only
   // for undirected graphs.
   if (graph.isDirected) {
@@ -31,7 +41,7 @@ export default function prim(graph) {
 
   // Add all edges of start vertex to the queue.
   startVertex.getEdges().forEach((graphEdge) => {
-    edgesQueue.add(graphEdge, graphEdge.weight);
+    edgesQueue.add(graphEdge, getEdgeWeight(graphEdge));
   });
 
   // Now let's explore all queued edges.
@@ -63,7 +73,7 @@ export default function prim(graph) {
           !visitedVertices[graphEdge.startVertex.getKey()] ||
           !visitedVertices[graphEdge.endVertex.getKey()]
         ) {
-          edgesQueue.add(graphEdge, graphEdge.weight);
+          edgesQueue.add(graphEdge, getEdgeWeight(graphEdge));
         }
       });
     }
@@ -2,6 +2,7 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import stronglyConnectedComponents from '../stronglyConnectedComponents';
+import { cycleGraph, pathGraph, randomDag } from '../../graph-generators/graphGenerators';
 
 describe('stronglyConnectedComponents', () => {
   it('should detect strongly connected components in simple graph', () => {
@@ -99,4 +100,31 @@ describe('stronglyConnectedComponents', () => {
     expect(components[3][1].getKey()).toBe(vertexF.getKey());
     expect(components[3][2].getKey()).toBe(vertexE.getKey());
   });
+
+  it('should treat every vertex of random DAG as separate component', () => {
+    for (let seed = 1; seed <= 5; seed += 1) {
+      const graph = randomDag(20, 0.3, { seed });
+
+      const components = stronglyConnectedComponents(graph);
+
+      expect(components.length).toBe(20);
+      components.forEach((component) => {
+        expect(component.length).toBe(1);
+      });
+    }
+  });
+
+  it('should find single component in directed cycle', () => {
+    const components = stronglyConnectedComponents(cycleGraph(30, { isDirected: true }));
+
+    expect(components.length).toBe(1);
+    expect(components[0].length).toBe(30);
+  });
+
+  it('should find components of long chain without stack overflow', () => {
+    const verticesCount = 20000;
+    const components = stronglyConnectedComponents(pathGraph(verticesCount, { isDirected: true }));
+
+    expect(components.length).toBe(verticesCount);
+  });
 });
@@ -1,5 +1,5 @@
 import Stack from '../../../data-structures/stack/Stack';
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * @param {Graph} graph
@@ -48,7 +48,7 @@ function getVerticesSortedByDfsFinishTime(graph) {
     const startVertex = notVisitedVerticesSet[startVertexKey];
     delete notVisitedVerticesSet[startVertexKey];
 
-    depthFirstSearch(graph, startVertex, dfsCallbacks);
+    depthFirstSearchIterative(graph, startVertex, dfsCallbacks);
   }
 
   return verticesByDfsFinishTime;
@@ -103,7 +103,7 @@ function getSCCSets(graph, verticesByFinishTime) {
     // Don't do DFS on already visited vertices.
     if (!visitedVerticesSet[startVertex.getKey()]) {
       // Do DFS traversal.
-      depthFirstSearch(graph, startVertex, dfsCallbacks);
+      depthFirstSearchIterative(graph, startVertex, dfsCallbacks);
     }
   }
 
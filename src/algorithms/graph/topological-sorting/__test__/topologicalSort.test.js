@@ -2,6 +2,7 @@ import GraphVertex from '../../../../data-structures/graph/GraphVertex';
 import GraphEdge from '../../../../data-structures/graph/GraphEdge';
 import Graph from '../../../../data-structures/graph/Graph';
 import topologicalSort from '../topologicalSort';
+import { pathGraph, randomDag } from '../../graph-generators/graphGenerators';
 
 describe('topologicalSort', () => {
   it('should do topological sorting on graph', () => {
@@ -50,4 +51,33 @@ describe('topologicalSort', () => {
       vertexG,
     ]);
   });
+
+  it('should sort long chain without stack overflow', () => {
+    const verticesCount = 20000;
+    const sortedVertices = topologicalSort(pathGraph(verticesCount, { isDirected: true }));
+
+    expect(sortedVertices.length).toBe(verticesCount);
+    sortedVertices.forEach((vertex, index) => {
+      expect(vertex.getKey()).toBe(`${index}`);
+    });
+  });
+
+  it('should sort random directed acyclic graphs', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = randomDag(200, 0.05, { seed });
+      const sortedVertices = topologicalSort(graph);
+
+      const positions = {};
+      sortedVertices.forEach((vertex, position) => {
+        positions[vertex.getKey()] = position;
+      });
+
+      expect(sortedVertices.length).toBe(200);
+      expect(Object.keys(positions).length).toBe(200);
+      graph.getAllEdges().forEach((edge) => {
+        expect(positions[edge.startVertex.getKey()])
+          .toBeLessThan(positions[edge.endVertex.getKey()]);
+      });
+    }
+  });
 });
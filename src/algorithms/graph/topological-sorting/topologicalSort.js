@@ -1,5 +1,5 @@
 import Stack from '../../../data-structures/stack/Stack';
-import depthFirstSearch from '../depth-first-search/depthFirstSearch';
+import depthFirstSearchIterative from '../depth-first-search/depthFirstSearchIterative';
 
 /**
  * @param {Graph} graph
@@ -40,7 +40,7 @@ export default function topologicalSort(graph) {
     const currentVertex = unvisitedSet[currentVertexKey];
 
     // Do DFS for current node.
-    depthFirstSearch(graph, currentVertex, dfsCallbacks);
+    depthFirstSearchIterative(graph, currentVertex, dfsCallbacks);
   }
 
   return sortedStack.toArray();
@@ -0,0 +1,145 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import heldKarp from '../heldKarp';
+import bfTravellingSalesman from '../bfTravellingSalesman';
+import permutateWithoutRepetitions from '../../../sets/permutations/permutateWithoutRepetitions';
+import { completeGraph, pathGraph } from '../../graph-generators/graphGenerators';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+/**
+ * Finds the weight of the shortest tour by checking all the orders of vertices.
+ *
+ * @param {Graph} graph
+ * @return {number}
+ */
+function bruteForceTourWeight(graph) {
+  const [startVertex, ...otherVertices] = graph.getAllVertices();
+
+  return Math.min(...permutateWithoutRepetitions(otherVertices).map((permutation) => {
+    const tour = [startVertex, ...permutation];
+
+    return tour.reduce((weight, vertex, index) => {
+      const edge = graph.findEdge(vertex, tour[(index + 1) % tour.length]);
+      return edge ? weight + edge.weight : Infinity;
+    }, 0);
+  }));
+}
+
+/**
+ * @param {Graph} graph
+ * @param {{tour: GraphVertex[], weight: number}} result
+ */
+function expectValidTour(graph, { tour, weight }) {
+  expect(tour.map(vertex => vertex.getKey()).sort())
+    .toEqual(graph.getAllVertices().map(vertex => vertex.getKey()).sort());
+
+  const tourWeight = tour.reduce((sum, vertex, index) => {
+    return sum + graph.findEdge(vertex, tour[(index + 1) % tour.length]).weight;
+  }, 0);
+  expect(weight).toBeCloseTo(tourWeight, 8);
+}
+
+describe('heldKarp', () => {
+  it('should solve problem for simple directed graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexD, 1))
+      .addEdge(new GraphEdge(vertexD, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexA, 1))
+      .addEdge(new GraphEdge(vertexB, vertexA, 5))
+      .addEdge(new GraphEdge(vertexD, vertexB, 8))
+      .addEdge(new GraphEdge(vertexC, vertexD, 7))
+      .addEdge(new GraphEdge(vertexA, vertexC, 4))
+      .addEdge(new GraphEdge(vertexA, vertexD, 2))
+      .addEdge(new GraphEdge(vertexD, vertexA, 3))
+      .addEdge(new GraphEdge(vertexB, vertexC, 3))
+      .addEdge(new GraphEdge(vertexC, vertexB, 9));
+
+    expect(heldKarp(graph)).toEqual({
+      tour: [vertexA, vertexB, vertexD, vertexC],
+      weight: 4,
+    });
+
+    expect(heldKarp(graph).tour).toEqual(bfTravellingSalesman(graph));
+
+    expect(heldKarp(graph, { startVertex: vertexD })).toEqual({
+      tour: [vertexD, vertexC, vertexA, vertexB],
+      weight: 4,
+    });
+
+    expect(heldKarp(graph, { getEdgeWeight: edge => 10 - edge.weight }).weight).toBe(16);
+  });
+
+  it('should handle small graphs', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    expect(heldKarp(new Graph())).toEqual({ tour: [], weight: 0 });
+    expect(heldKarp(new Graph().addVertex(vertexA))).toEqual({ tour: [vertexA], weight: 0 });
+    expect(heldKarp(new Graph().addEdge(new GraphEdge(vertexA, vertexB, 3)))).toEqual({
+      tour: [vertexA, vertexB],
+      weight: 6,
+    });
+  });
+
+  it('should return null if there is no tour', () => {
+    expect(heldKarp(pathGraph(5))).toBeNull();
+    expect(heldKarp(pathGraph(3, { isDirected: true }))).toBeNull();
+  });
+
+  it('should find the same weight as brute force', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const isDirected = seed % 2 === 0;
+      const graph = completeGraph(7, {
+        seed,
+        isDirected,
+        minWeight: 1,
+        maxWeight: 50,
+      });
+
+      const result = heldKarp(graph);
+      expectValidTour(graph, result);
+      expect(result.weight).toBe(bruteForceTourWeight(graph));
+    }
+  });
+
+  it('should find the shortest tour through 18 points on a circle', () => {
+    const verticesCount = 18;
+    const seededRandom = new SeededRandom(25);
+
+    // Vertices are added in random order but the shortest tour goes around the circle.
+    const positions = seededRandom.shuffle(Array.from({ length: verticesCount }, (v, i) => i));
+    const vertices = positions.map(position => new GraphVertex(`${position}`));
+
+    const graph = new Graph();
+    vertices.forEach((vertex, index) => {
+      vertices.slice(index + 1).forEach((otherVertex) => {
+        const angle = (Math.PI * Math.abs(positions[index] - Number(otherVertex.getKey()))) /
+          verticesCount;
+        graph.addEdge(new GraphEdge(vertex, otherVertex, 2 * Math.sin(angle)));
+      });
+    });
+
+    const { tour, weight } = heldKarp(graph);
+
+    expect(weight).toBeCloseTo(2 * verticesCount * Math.sin(Math.PI / verticesCount), 8);
+    tour.forEach((vertex, index) => {
+      const nextVertex = tour[(index + 1) % verticesCount];
+      const step = Math.abs(Number(vertex.getKey()) - Number(nextVertex.getKey()));
+      expect([1, verticesCount - 1]).toContain(step);
+    });
+  });
+
+  it('should validate input', () => {
+    expect(() => heldKarp(completeGraph(21))).toThrow('Held–Karp algorithm supports at most 20 vertices');
+    expect(() => heldKarp(completeGraph(3), { startVertex: new GraphVertex('X') }))
+      .toThrow('Start vertex must belong to the graph');
+  });
+});
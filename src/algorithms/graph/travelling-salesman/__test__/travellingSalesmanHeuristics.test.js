@@ -0,0 +1,209 @@
+import GraphVertex from '../../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../../data-structures/graph/GraphEdge';
+import Graph from '../../../../data-structures/graph/Graph';
+import nearestNeighbor from '../nearestNeighbor';
+import twoOpt from '../twoOpt';
+import christofides from '../christofides';
+import heldKarp from '../heldKarp';
+import { completeGraph, pathGraph } from '../../graph-generators/graphGenerators';
+import SeededRandom from '../../../../utils/random/SeededRandom';
+
+/**
+ * Complete undirected graph of random points on the plane with Euclidean distances.
+ *
+ * @param {number} verticesCount
+ * @param {number} seed
+ * @return {Graph}
+ */
+function euclideanGraph(verticesCount, seed) {
+  const seededRandom = new SeededRandom(seed);
+  const points = Array.from({ length: verticesCount }, () => {
+    return { x: seededRandom.random() * 100, y: seededRandom.random() * 100 };
+  });
+  const vertices = points.map((point, index) => new GraphVertex(`${index}`));
+
+  const graph = new Graph();
+  vertices.forEach((vertex, index) => {
+    for (let otherIndex = index + 1; otherIndex < verticesCount; otherIndex += 1) {
+      const distance = Math.hypot(
+        points[index].x - points[otherIndex].x,
+        points[index].y - points[otherIndex].y,
+      );
+      graph.addEdge(new GraphEdge(vertex, vertices[otherIndex], distance));
+    }
+  });
+
+  return graph;
+}
+
+/**
+ * @param {Graph} graph
+ * @param {{tour: GraphVertex[], weight: number}} result
+ * @param {GraphVertex} [startVertex]
+ */
+function expectValidTour(graph, { tour, weight }, startVertex = graph.getAllVertices()[0]) {
+  expect(tour[0]).toBe(startVertex);
+  expect(tour.map(vertex => vertex.getKey()).sort())
+    .toEqual(graph.getAllVertices().map(vertex => vertex.getKey()).sort());
+
+  const tourWeight = tour.reduce((sum, vertex, index) => {
+    return sum + graph.findEdge(vertex, tour[(index + 1) % tour.length]).weight;
+  }, 0);
+  expect(weight).toBeCloseTo(tourWeight, 8);
+}
+
+describe('nearestNeighbor', () => {
+  it('should always go to the nearest unvisited vertex', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexA, vertexC, 2))
+      .addEdge(new GraphEdge(vertexA, vertexD, 10))
+      .addEdge(new GraphEdge(vertexB, vertexC, 3))
+      .addEdge(new GraphEdge(vertexB, vertexD, 4))
+      .addEdge(new GraphEdge(vertexC, vertexD, 5));
+
+    expect(nearestNeighbor(graph)).toEqual({
+      tour: [vertexA, vertexB, vertexC, vertexD],
+      weight: 19,
+    });
+
+    expect(nearestNeighbor(graph, { startVertex: vertexD })).toEqual({
+      tour: [vertexD, vertexB, vertexA, vertexC],
+      weight: 12,
+    });
+  });
+
+  it('should work with directed graphs', () => {
+    const graph = completeGraph(6, {
+      seed: 3,
+      isDirected: true,
+      minWeight: 1,
+      maxWeight: 20,
+    });
+
+    const result = nearestNeighbor(graph);
+    expectValidTour(graph, result);
+    expect(result.weight).toBeGreaterThanOrEqual(heldKarp(graph).weight);
+  });
+
+  it('should return null if salesman gets stuck', () => {
+    expect(nearestNeighbor(pathGraph(4))).toBeNull();
+    expect(nearestNeighbor(new Graph())).toEqual({ tour: [], weight: 0 });
+  });
+});
+
+describe('twoOpt', () => {
+  it('should improve nearest neighbor tour', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = euclideanGraph(10, seed);
+
+      const initialTour = nearestNeighbor(graph);
+      const result = twoOpt(graph);
+
+      expectValidTour(graph, result);
+      expect(result.weight).toBeLessThanOrEqual(initialTour.weight + 1e-9);
+      expect(result.weight).toBeGreaterThanOrEqual(heldKarp(graph).weight - 1e-9);
+    }
+  });
+
+  it('should untangle given tour', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    // Corners of the unit square: A(0, 0), B(1, 0), C(1, 1), D(0, 1).
+    const graph = new Graph();
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexD, 1))
+      .addEdge(new GraphEdge(vertexD, vertexA, 1))
+      .addEdge(new GraphEdge(vertexA, vertexC, Math.SQRT2))
+      .addEdge(new GraphEdge(vertexB, vertexD, Math.SQRT2));
+
+    const { tour, weight } = twoOpt(graph, { tour: [vertexA, vertexC, vertexB, vertexD] });
+
+    expect(weight).toBe(4);
+    expect(tour[0]).toBe(vertexA);
+    expect([[vertexA, vertexB, vertexC, vertexD], [vertexA, vertexD, vertexC, vertexB]])
+      .toContainEqual(tour);
+  });
+
+  it('should return null if there is no initial tour', () => {
+    expect(twoOpt(pathGraph(5))).toBeNull();
+  });
+
+  it('should validate input', () => {
+    const graph = completeGraph(4);
+    const vertices = graph.getAllVertices();
+
+    expect(() => twoOpt(completeGraph(4, { isDirected: true })))
+      .toThrow('2-opt works with undirected graphs only');
+
+    expect(() => twoOpt(graph, { tour: vertices.slice(1) }))
+      .toThrow('Tour must contain every vertex of the graph exactly once');
+
+    expect(() => twoOpt(graph, { tour: [vertices[0], ...vertices.slice(0, 3)] }))
+      .toThrow('Tour must contain every vertex of the graph exactly once');
+
+    expect(() => twoOpt(graph, { tour: [...vertices.slice(1), new GraphVertex('X')] }))
+      .toThrow('Tour must contain every vertex of the graph exactly once');
+  });
+});
+
+describe('christofides', () => {
+  it('should find tour not much longer than the shortest one', () => {
+    for (let seed = 1; seed <= 10; seed += 1) {
+      const graph = euclideanGraph(10, seed);
+      const startVertex = graph.getAllVertices()[seed % 10];
+
+      const result = christofides(graph, { startVertex });
+
+      expectValidTour(graph, result, startVertex);
+      expect(result.weight).toBeLessThanOrEqual(1.5 * heldKarp(graph).weight);
+    }
+  });
+
+  it('should handle small graphs', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    expect(christofides(new Graph())).toEqual({ tour: [], weight: 0 });
+    expect(christofides(new Graph().addEdge(new GraphEdge(vertexA, vertexB, 3)))).toEqual({
+      tour: [vertexA, vertexB],
+      weight: 6,
+    });
+  });
+
+  it('should return null if graph is not connected or shortcut edge is missing', () => {
+    const graph = completeGraph(3).addVertex(new GraphVertex('X'));
+
+    expect(christofides(graph)).toBeNull();
+    expect(christofides(pathGraph(4))).toBeNull();
+  });
+
+  it('should not change the input graph', () => {
+    const graph = completeGraph(5, { seed: 2, minWeight: 1, maxWeight: 9 });
+    const edgeKeys = graph.getAllEdges().map(edge => edge.getKey());
+    const degrees = graph.getAllVertices().map(vertex => vertex.getDegree());
+
+    christofides(graph);
+    christofides(graph);
+
+    expect(graph.getAllEdges().map(edge => edge.getKey())).toEqual(edgeKeys);
+    expect(graph.getAllVertices().map(vertex => vertex.getDegree())).toEqual(degrees);
+    expect(degrees).toEqual([4, 4, 4, 4, 4]);
+  });
+
+  it('should validate input', () => {
+    expect(() => christofides(completeGraph(4, { isDirected: true })))
+      .toThrow('Christofides algorithm works with undirected graphs only');
+  });
+});
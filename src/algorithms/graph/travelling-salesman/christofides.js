@@ -0,0 +1,188 @@
+import { getDistanceMatrix, createTour } from './distanceMatrix';
+
+/**
+ * Prim's algorithm over the distance matrix. It takes O(n^2) time, which is the best
+ * for complete graphs, and doesn't touch the vertices of the original graph.
+ *
+ * @param {number[][]} distances
+ * @return {(number[][]|null)} - Pairs of vertex indices or null if the graph is not connected.
+ */
+function getMinimumSpanningTreeEdges(distances) {
+  const verticesCount = distances.length;
+  const isInTree = distances.map(() => false);
+
+  // The cheapest known edge from the tree to every vertex that is not in the tree yet.
+  const cheapestDistances = distances.map(() => Infinity);
+  const cheapestNeighbors = distances.map(() => -1);
+  cheapestDistances[0] = 0;
+
+  const treeEdges = [];
+  for (let step = 0; step < verticesCount; step += 1) {
+    let nextIndex = -1;
+    cheapestDistances.forEach((distance, vertexIndex) => {
+      if (!isInTree[vertexIndex] && (nextIndex === -1 || distance < cheapestDistances[nextIndex])) {
+        nextIndex = vertexIndex;
+      }
+    });
+
+    if (cheapestDistances[nextIndex] === Infinity) {
+      return null;
+    }
+
+    isInTree[nextIndex] = true;
+    if (cheapestNeighbors[nextIndex] !== -1) {
+      treeEdges.push([cheapestNeighbors[nextIndex], nextIndex]);
+    }
+
+    distances[nextIndex].forEach((distance, vertexIndex) => {
+      if (!isInTree[vertexIndex] && distance < cheapestDistances[vertexIndex]) {
+        cheapestDistances[vertexIndex] = distance;
+        cheapestNeighbors[vertexIndex] = nextIndex;
+      }
+    });
+  }
+
+  return treeEdges;
+}
+
+/**
+ * Finds Eulerian circuit of connected multigraph where all vertices have even degree
+ * (Hierholzer's algorithm).
+ *
+ * @param {number} verticesCount
+ * @param {number[][]} edges - Pairs of vertex indices.
+ * @param {number} startIndex
+ * @return {number[]} - Vertex indices of the circuit.
+ */
+function getEulerianCircuit(verticesCount, edges, startIndex) {
+  const adjacency = [];
+  for (let vertexIndex = 0; vertexIndex < verticesCount; vertexIndex += 1) {
+    adjacency.push([]);
+  }
+
+  edges.forEach(([startVertexIndex, endVertexIndex], edgeIndex) => {
+    adjacency[startVertexIndex].push({ neighborIndex: endVertexIndex, edgeIndex });
+    adjacency[endVertexIndex].push({ neighborIndex: startVertexIndex, edgeIndex });
+  });
+
+  const usedEdges = edges.map(() => false);
+  const nextEdgePositions = adjacency.map(() => 0);
+  const stack = [startIndex];
+  const circuit = [];
+
+  while (stack.length) {
+    const vertexIndex = stack[stack.length - 1];
+    const vertexEdges = adjacency[vertexIndex];
+
+    // Skip the edges that have been already used from their other end.
+    while (
+      nextEdgePositions[vertexIndex] < vertexEdges.length &&
+      usedEdges[vertexEdges[nextEdgePositions[vertexIndex]].edgeIndex]
+    ) {
+      nextEdgePositions[vertexIndex] += 1;
+    }
+
+    if (nextEdgePositions[vertexIndex] < vertexEdges.length) {
+      const { neighborIndex, edgeIndex } = vertexEdges[nextEdgePositions[vertexIndex]];
+      usedEdges[edgeIndex] = true;
+      stack.push(neighborIndex);
+    } else {
+      circuit.push(stack.pop());
+    }
+  }
+
+  return circuit.reverse();
+}
+
+/**
+ * Christofides-style heuristic of Travelling Salesman Problem:
+ *
+ * 1. Find minimum spanning tree of the graph (using Prim's algorithm over the distances).
+ * 2. Match the vertices that have odd degree in the tree in pairs. Original
+ * Christofides algorithm uses minimum weight perfect matching here, this
+ * implementation uses greedy matching (the lightest pairs first) instead.
+ * 3. The tree together with the matching edges forms a multigraph where all the
+ * degrees are even, so it has Eulerian circuit.
+ * 4. Walk along the circuit skipping the vertices that have been already visited.
+ *
+ * For complete graphs that satisfy the triangle inequality shortcuts don't make the
+ * tour longer. With minimum weight matching the tour is at most 1.5 times as long as
+ * the shortest one. Greedy matching loses this guarantee but is much simpler and
+ * usually gives close results.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @param {TravellingSalesmanOptions} [options]
+ * @return {(Tour|null)} - null if the graph is not connected or the shortcuts use
+ *  edges that don't exist.
+ */
+export default function christofides(graph, options = {}) {
+  if (graph.isDirected) {
+    throw new Error('Christofides algorithm works with undirected graphs only');
+  }
+
+  const distanceMatrix = getDistanceMatrix(graph, options);
+  const { vertices, distances, startIndex } = distanceMatrix;
+
+  if (vertices.length <= 1) {
+    return { tour: vertices, weight: 0 };
+  }
+
+  const multigraphEdges = getMinimumSpanningTreeEdges(distances);
+
+  if (!multigraphEdges) {
+    return null;
+  }
+
+  const degrees = vertices.map(() => 0);
+  multigraphEdges.forEach(([startVertexIndex, endVertexIndex]) => {
+    degrees[startVertexIndex] += 1;
+    degrees[endVertexIndex] += 1;
+  });
+
+  // Greedy matching of the odd degree vertices: the lightest pairs go first.
+  const oddIndices = vertices
+    .map((vertex, vertexIndex) => vertexIndex)
+    .filter(vertexIndex => degrees[vertexIndex] % 2 === 1);
+
+  const pairs = [];
+  oddIndices.forEach((vertexIndex, position) => {
+    oddIndices.slice(position + 1).forEach((otherIndex) => {
+      pairs.push([vertexIndex, otherIndex]);
+    });
+  });
+
+  pairs.sort((pairA, pairB) => {
+    const distanceA = distances[pairA[0]][pairA[1]];
+    const distanceB = distances[pairB[0]][pairB[1]];
+
+    // Missing edges have infinite distance that can't be subtracted.
+    if (distanceA === distanceB) {
+      return 0;
+    }
+
+    return distanceA < distanceB ? -1 : 1;
+  });
+
+  const matched = {};
+  pairs.forEach(([vertexIndex, otherIndex]) => {
+    if (!matched[vertexIndex] && !matched[otherIndex]) {
+      matched[vertexIndex] = true;
+      matched[otherIndex] = true;
+      multigraphEdges.push([vertexIndex, otherIndex]);
+    }
+  });
+
+  // Shortcut the repeated vertices of Eulerian circuit.
+  const visited = {};
+  const order = getEulerianCircuit(vertices.length, multigraphEdges, startIndex)
+    .filter((vertexIndex) => {
+      if (visited[vertexIndex]) {
+        return false;
+      }
+
+      visited[vertexIndex] = true;
+      return true;
+    });
+
+  return createTour(distanceMatrix, order);
+}
@@ -0,0 +1,107 @@
+/**
+ * @typedef {Object} TravellingSalesmanOptions
+ *
+ * @property {GraphVertex} [startVertex] - Vertex the tour starts from. By default
+ *  the first vertex of the graph is used.
+ *
+ * @property {function(edge: GraphEdge): number} [getEdgeWeight] - Weight (length) of
+ *  the edge. By default the edge weight is used.
+ */
+
+/**
+ * @typedef {Object} Tour
+ *
+ * @property {GraphVertex[]} tour - Every vertex once in order of visiting. The tour
+ *  starts from the start vertex and then returns back to it from the last vertex.
+ *
+ * @property {number} weight - Total weight of the tour including the way back.
+ */
+
+/**
+ * @typedef {Object} DistanceMatrix
+ *
+ * @property {GraphVertex[]} vertices
+ *
+ * @property {number[][]} distances - Weight of the lightest edge between every pair of
+ *  vertices by their indices (Infinity if there is no edge).
+ *
+ * @property {number} startIndex - Index of the start vertex.
+ */
+
+/**
+ * @param {Graph} graph
+ * @param {TravellingSalesmanOptions} options
+ * @return {DistanceMatrix}
+ */
+export function getDistanceMatrix(graph, options = {}) {
+  const { getEdgeWeight = edge => edge.weight } = options;
+
+  const vertices = graph.getAllVertices();
+  const indices = graph.getVerticesIndices();
+  const startVertex = options.startVertex || vertices[0];
+
+  let startIndex = 0;
+  if (startVertex) {
+    startIndex = indices[startVertex.getKey()];
+
+    if (startIndex === undefined) {
+      throw new Error('Start vertex must belong to the graph');
+    }
+  }
+
+  const distances = vertices.map((vertex, rowIndex) => {
+    return vertices.map((otherVertex, columnIndex) => (rowIndex === columnIndex ? 0 : Infinity));
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const startEdgeIndex = indices[edge.startVertex.getKey()];
+    const endEdgeIndex = indices[edge.endVertex.getKey()];
+    const weight = getEdgeWeight(edge);
+
+    if (startEdgeIndex !== endEdgeIndex && weight < distances[startEdgeIndex][endEdgeIndex]) {
+      distances[startEdgeIndex][endEdgeIndex] = weight;
+
+      if (!graph.isDirected) {
+        distances[endEdgeIndex][startEdgeIndex] = weight;
+      }
+    }
+  });
+
+  return { vertices, distances, startIndex };
+}
+
+/**
+ * @param {number[][]} distances
+ * @param {number[]} order - Indices of the vertices in order of visiting.
+ * @return {number} - Total weight of the closed tour.
+ */
+export function getTourWeight(distances, order) {
+  return order.reduce((weight, vertexIndex, orderIndex) => {
+    const nextVertexIndex = order[(orderIndex + 1) % order.length];
+    return weight + distances[vertexIndex][nextVertexIndex];
+  }, 0);
+}
+
+/**
+ * Builds the tour that starts from the start vertex.
+ *
+ * @param {DistanceMatrix} distanceMatrix
+ * @param {number[]} order - Indices of the vertices in order of visiting.
+ * @return {(Tour|null)} - null if some of the tour edges don't exist.
+ */
+export function createTour({ vertices, distances, startIndex }, order) {
+  const weight = getTourWeight(distances, order);
+
+  if (!Number.isFinite(weight)) {
+    return null;
+  }
+
+  // Rotate the closed tour so that it starts from the start vertex.
+  const shift = Math.max(order.indexOf(startIndex), 0);
+  const rotatedOrder = [...order.slice(shift), ...order.slice(0, shift)];
+
+  return {
+    tour: rotatedOrder.map(vertexIndex => vertices[vertexIndex]),
+    weight,
+  };
+}
@@ -0,0 +1,98 @@
+import { getDistanceMatrix, createTour } from './distanceMatrix';
+
+// Dynamic programming tables keep (2^(n-1) * (n-1)) costs of 8 bytes and as many
+// 1 byte predecessors. It is about 90 MB for 20 vertices and grows more than twice
+// with every next vertex (about 1.7 GB for 24 vertices).
+const MAX_VERTICES_COUNT = 20;
+
+/**
+ * Held–Karp dynamic programming algorithm that solves Travelling Salesman Problem
+ * exactly in O(2^n * n^2) time. Works with directed (asymmetric) graphs too.
+ *
+ * @param {Graph} graph
+ * @param {TravellingSalesmanOptions} [options]
+ * @return {(Tour|null)} - The shortest tour or null if there is no tour through all the vertices.
+ */
+export default function heldKarp(graph, options = {}) {
+  const distanceMatrix = getDistanceMatrix(graph, options);
+  const { vertices, distances, startIndex } = distanceMatrix;
+
+  if (vertices.length > MAX_VERTICES_COUNT) {
+    throw new Error(`Held–Karp algorithm supports at most ${MAX_VERTICES_COUNT} vertices`);
+  }
+
+  if (vertices.length <= 1) {
+    return { tour: vertices, weight: 0 };
+  }
+
+  // Vertices except the start one. Subsets of them are encoded as bit masks.
+  const others = vertices
+    .map((vertex, vertexIndex) => vertexIndex)
+    .filter(vertexIndex => vertexIndex !== startIndex);
+  const othersCount = others.length;
+  const subsetsCount = 1 << othersCount;
+
+  // Weight of the shortest path that starts from the start vertex, goes through all the
+  // vertices of the subset and ends at its vertex "last": costs[subset * othersCount + last].
+  const costs = new Float64Array(subsetsCount * othersCount).fill(Infinity);
+  const previous = new Int8Array(subsetsCount * othersCount).fill(-1);
+
+  for (let last = 0; last < othersCount; last += 1) {
+    costs[((1 << last) * othersCount) + last] = distances[startIndex][others[last]];
+  }
+
+  // Every subset is processed after all of its own subsets since they are smaller numbers.
+  for (let subset = 1; subset < subsetsCount; subset += 1) {
+    for (let last = 0; last < othersCount; last += 1) {
+      const cost = costs[(subset * othersCount) + last];
+
+      if ((subset & (1 << last)) && cost < Infinity) {
+        for (let next = 0; next < othersCount; next += 1) {
+          const nextSubset = subset | (1 << next);
+
+          if (nextSubset !== subset) {
+            const nextCost = cost + distances[others[last]][others[next]];
+            const nextPosition = (nextSubset * othersCount) + next;
+
+            if (nextCost < costs[nextPosition]) {
+              costs[nextPosition] = nextCost;
+              previous[nextPosition] = last;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  // Close the cycle by returning to the start vertex.
+  const fullSubset = subsetsCount - 1;
+  let bestLast = -1;
+  let bestWeight = Infinity;
+  for (let last = 0; last < othersCount; last += 1) {
+    const weight = costs[(fullSubset * othersCount) + last] + distances[others[last]][startIndex];
+
+    if (weight < bestWeight) {
+      bestLast = last;
+      bestWeight = weight;
+    }
+  }
+
+  if (bestLast === -1) {
+    return null;
+  }
+
+  // Restore the tour going back from the last vertex.
+  const order = [];
+  let subset = fullSubset;
+  let last = bestLast;
+  while (last !== -1) {
+    order.push(others[last]);
+    const previousLast = previous[(subset * othersCount) + last];
+    subset ^= 1 << last;
+    last = previousLast;
+  }
+
+  order.push(startIndex);
+
+  return createTour(distanceMatrix, order.reverse());
+}
@@ -0,0 +1,49 @@
+import { getDistanceMatrix, createTour } from './distanceMatrix';
+
+/**
+ * Nearest neighbor heuristic of Travelling Salesman Problem: starting from the start
+ * vertex the salesman always goes to the nearest vertex that hasn't been visited yet.
+ * It takes O(n^2) time and usually gives a tour that is about 25% longer than the
+ * shortest one, but it may be much worse for specially constructed graphs.
+ *
+ * @param {Graph} graph
+ * @param {TravellingSalesmanOptions} [options]
+ * @return {(Tour|null)} - null if the salesman gets stuck in a vertex without edges to
+ *  unvisited vertices (or to the start vertex at the end).
+ */
+export default function nearestNeighbor(graph, options = {}) {
+  const distanceMatrix = getDistanceMatrix(graph, options);
+  const { vertices, distances, startIndex } = distanceMatrix;
+
+  if (!vertices.length) {
+    return { tour: [], weight: 0 };
+  }
+
+  const visited = vertices.map(() => false);
+  const order = [startIndex];
+  visited[startIndex] = true;
+
+  while (order.length < vertices.length) {
+    const currentIndex = order[order.length - 1];
+
+    let nearestIndex = -1;
+    distances[currentIndex].forEach((distance, vertexIndex) => {
+      if (
+        !visited[vertexIndex] &&
+        distance < Infinity &&
+        (nearestIndex === -1 || distance < distances[currentIndex][nearestIndex])
+      ) {
+        nearestIndex = vertexIndex;
+      }
+    });
+
+    if (nearestIndex === -1) {
+      return null;
+    }
+
+    visited[nearestIndex] = true;
+    order.push(nearestIndex);
+  }
+
+  return createTour(distanceMatrix, order);
+}
@@ -0,0 +1,71 @@
+import { getDistanceMatrix, createTour } from './distanceMatrix';
+import nearestNeighbor from './nearestNeighbor';
+
+// Improvements smaller than this are ignored to avoid endless loops caused by rounding errors.
+const MIN_IMPROVEMENT = 1e-9;
+
+/**
+ * 2-opt local search for Travelling Salesman Problem. It repeatedly removes two
+ * edges (a, b) and (c, d) of the tour and reconnects it with edges (a, c) and
+ * (b, d), reversing the path between them, while that makes the tour shorter.
+ * The result has no two crossing edges in the Euclidean plane.
+ *
+ * @param {Graph} graph - Undirected graph.
+ * @param {TravellingSalesmanOptions|{tour: GraphVertex[]}} [options] - The tour to
+ *  improve. Nearest neighbor tour is improved by default.
+ * @return {(Tour|null)} - null if there is no initial tour.
+ */
+export default function twoOpt(graph, options = {}) {
+  if (graph.isDirected) {
+    throw new Error('2-opt works with undirected graphs only');
+  }
+
+  const distanceMatrix = getDistanceMatrix(graph, options);
+  const { vertices, distances } = distanceMatrix;
+
+  const initialTour = options.tour ? { tour: options.tour } : nearestNeighbor(graph, options);
+  if (!initialTour) {
+    return null;
+  }
+
+  const indices = graph.getVerticesIndices();
+  const order = initialTour.tour.map(vertex => indices[vertex.getKey()]);
+
+  if (
+    order.length !== vertices.length ||
+    new Set(order).size !== order.length ||
+    order.some(vertexIndex => vertexIndex === undefined)
+  ) {
+    throw new Error('Tour must contain every vertex of the graph exactly once');
+  }
+
+  let hasImproved = true;
+  while (hasImproved) {
+    hasImproved = false;
+
+    for (let i = 0; i < order.length - 2; i += 1) {
+      // Edges that share a vertex can't be exchanged.
+      const lastJ = i === 0 ? order.length - 2 : order.length - 1;
+
+      for (let j = i + 2; j <= lastJ; j += 1) {
+        const a = order[i];
+        const b = order[i + 1];
+        const c = order[j];
+        const d = order[(j + 1) % order.length];
+
+        const change = (distances[a][c] + distances[b][d]) - (distances[a][b] + distances[c][d]);
+
+        if (change < -MIN_IMPROVEMENT) {
+          // Reverse the path from b to c.
+          for (let left = i + 1, right = j; left < right; left += 1, right -= 1) {
+            [order[left], order[right]] = [order[right], order[left]];
+          }
+
+          hasImproved = true;
+        }
+      }
+    }
+  }
+
+  return createTour(distanceMatrix, order);
+}
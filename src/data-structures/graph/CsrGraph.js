@@ -0,0 +1,312 @@
+import GraphEdge from './GraphEdge';
+
+/**
+ * Lightweight vertex of CsrGraph. It doesn't store its edges but reads them
+ * from the typed arrays of the graph on demand.
+ */
+class CsrGraphVertex {
+  /**
+   * @param {CsrGraph} graph
+   * @param {number} index
+   */
+  constructor(graph, index) {
+    this.graph = graph;
+    this.index = index;
+    this.value = graph.vertexKeys[index];
+    this.attrs = {};
+  }
+
+  /**
+   * @return {GraphEdge[]}
+   */
+  getEdges() {
+    const { offsets, targets, weights } = this.graph;
+    const edges = [];
+
+    for (let position = offsets[this.index]; position < offsets[this.index + 1]; position += 1) {
+      const neighbor = this.graph.getVertexByIndex(targets[position]);
+      edges.push(new GraphEdge(this, neighbor, weights[position]));
+    }
+
+    return edges;
+  }
+
+  /**
+   * @return {CsrGraphVertex[]}
+   */
+  getNeighbors() {
+    const { offsets, targets } = this.graph;
+    const neighbors = [];
+
+    for (let position = offsets[this.index]; position < offsets[this.index + 1]; position += 1) {
+      neighbors.push(this.graph.getVertexByIndex(targets[position]));
+    }
+
+    return neighbors;
+  }
+
+  /**
+   * @return {number}
+   */
+  getDegree() {
+    return this.graph.offsets[this.index + 1] - this.graph.offsets[this.index];
+  }
+
+  /**
+   * @param {CsrGraphVertex} vertex
+   * @return {boolean}
+   */
+  hasNeighbor(vertex) {
+    return this.findEdges(vertex).length > 0;
+  }
+
+  /**
+   * @param {CsrGraphVertex} vertex
+   * @return {(GraphEdge|null)}
+   */
+  findEdge(vertex) {
+    const edges = this.findEdges(vertex);
+
+    return edges.length ? edges[0] : null;
+  }
+
+  /**
+   * @param {CsrGraphVertex} vertex
+   * @return {GraphEdge[]}
+   */
+  findEdges(vertex) {
+    return this.getEdges().filter(edge => edge.endVertex === vertex);
+  }
+
+  /**
+   * @param {string} name
+   * @return {*}
+   */
+  getAttribute(name) {
+    return this.attrs[name];
+  }
+
+  /**
+   * @return {string}
+   */
+  getKey() {
+    return this.value;
+  }
+
+  /**
+   * @param {function} [callback]
+   * @returns {string}
+   */
+  toString(callback) {
+    return callback ? callback(this.value) : `${this.value}`;
+  }
+}
+
+/**
+ * Read-only graph that is backed by compressed sparse row (adjacency arrays)
+ * representation. It needs much less memory than Graph and may be passed to
+ * traversal and shortest path algorithms instead of Graph.
+ */
+export default class CsrGraph {
+  /**
+   * @param {{
+   *   isDirected: boolean,
+   *   vertexKeys: string[],
+   *   offsets: Int32Array,
+   *   targets: Int32Array,
+   *   weights: Float64Array,
+   * }} compressedSparseRow - Output of Graph.getCompressedSparseRow().
+   */
+  constructor({
+    isDirected = false,
+    vertexKeys,
+    offsets,
+    targets,
+    weights,
+  }) {
+    if (offsets.length !== vertexKeys.length + 1) {
+      throw new Error('Offsets array must contain one more item than there are vertices');
+    }
+
+    if (targets.length !== weights.length || targets.length !== offsets[vertexKeys.length]) {
+      throw new Error('Targets and weights arrays must contain all the edges');
+    }
+
+    this.isDirected = isDirected;
+    this.vertexKeys = vertexKeys;
+    this.offsets = offsets;
+    this.targets = targets;
+    this.weights = weights;
+
+    this.verticesIndices = {};
+    vertexKeys.forEach((vertexKey, vertexIndex) => {
+      this.verticesIndices[vertexKey] = vertexIndex;
+    });
+
+    // Vertices are created lazily when they are requested for the first time.
+    this.vertices = new Array(vertexKeys.length);
+  }
+
+  /**
+   * @param {Graph} graph
+   * @param {{getEdgeWeight: function(edge: GraphEdge): number}} [options]
+   * @return {CsrGraph}
+   */
+  static fromGraph(graph, options) {
+    return new CsrGraph(graph.getCompressedSparseRow(options));
+  }
+
+  /**
+   * @param {number} vertexIndex
+   * @return {CsrGraphVertex}
+   */
+  getVertexByIndex(vertexIndex) {
+    if (!this.vertices[vertexIndex]) {
+      this.vertices[vertexIndex] = new CsrGraphVertex(this, vertexIndex);
+    }
+
+    return this.vertices[vertexIndex];
+  }
+
+  /**
+   * @param {string} vertexKey
+   * @returns {CsrGraphVertex}
+   */
+  getVertexByKey(vertexKey) {
+    const vertexIndex = this.verticesIndices[vertexKey];
+
+    return vertexIndex === undefined ? undefined : this.getVertexByIndex(vertexIndex);
+  }
+
+  /**
+   * @param {string} vertexKey
+   * @returns {CsrGraphVertex}
+   */
+  findVertexByKey(vertexKey) {
+    return this.getVertexByKey(vertexKey) || null;
+  }
+
+  /**
+   * @param {CsrGraphVertex} vertex
+   * @returns {CsrGraphVertex[]}
+   */
+  getNeighbors(vertex) {
+    return vertex.getNeighbors();
+  }
+
+  /**
+   * @return {CsrGraphVertex[]}
+   */
+  getAllVertices() {
+    return this.vertexKeys.map((vertexKey, vertexIndex) => this.getVertexByIndex(vertexIndex));
+  }
+
+  /**
+   * @return {GraphEdge[]}
+   */
+  getAllEdges() {
+    const edges = [];
+
+    this.getAllVertices().forEach((vertex) => {
+      // Both copies of undirected self-loop are stored in the row of the same vertex.
+      let selfLoopCopiesCount = 0;
+
+      vertex.getEdges().forEach((edge) => {
+        // Every edge of undirected graph is stored twice so take only one of the copies.
+        if (this.isDirected || vertex.index < edge.endVertex.index) {
+          edges.push(edge);
+        } else if (vertex === edge.endVertex) {
+          if (selfLoopCopiesCount % 2 === 0) {
+            edges.push(edge);
+          }
+
+          selfLoopCopiesCount += 1;
+        }
+      });
+    });
+
+    return edges;
+  }
+
+  /**
+   * @param {CsrGraphVertex} startVertex
+   * @param {CsrGraphVertex} endVertex
+   * @return {(GraphEdge|null)}
+   */
+  findEdge(startVertex, endVertex) {
+    const edges = this.findEdges(startVertex, endVertex);
+
+    if (!edges.length) {
+      return null;
+    }
+
+    return edges.reduce((cheapestEdge, edge) => {
+      return edge.weight < cheapestEdge.weight ? edge : cheapestEdge;
+    });
+  }
+
+  /**
+   * @param {CsrGraphVertex} startVertex
+   * @param {CsrGraphVertex} endVertex
+   * @return {GraphEdge[]}
+   */
+  findEdges(startVertex, endVertex) {
+    return startVertex.findEdges(endVertex);
+  }
+
+  /**
+   * @return {number}
+   */
+  getWeight() {
+    return this.getAllEdges().reduce((weight, graphEdge) => weight + graphEdge.weight, 0);
+  }
+
+  /**
+   * @return {object}
+   */
+  getVerticesIndices() {
+    return { ...this.verticesIndices };
+  }
+
+  /**
+   * @throws {Error}
+   */
+  addVertex() {
+    throw new Error('CsrGraph is read-only');
+  }
+
+  /**
+   * @throws {Error}
+   */
+  addEdge() {
+    throw new Error('CsrGraph is read-only');
+  }
+
+  /**
+   * @throws {Error}
+   */
+  deleteEdge() {
+    throw new Error('CsrGraph is read-only');
+  }
+
+  /**
+   * @throws {Error}
+   */
+  deleteVertex() {
+    throw new Error('CsrGraph is read-only');
+  }
+
+  /**
+   * @throws {Error}
+   */
+  reverse() {
+    throw new Error('CsrGraph is read-only');
+  }
+
+  /**
+   * @return {string}
+   */
+  toString() {
+    return this.vertexKeys.toString();
+  }
+}
@@ -1,11 +1,132 @@
+import GraphVertex from './GraphVertex';
+import GraphEdge from './GraphEdge';
+
+/**
+ * Fill the graph with copies of submitted vertices and edges so that the
+ * copies share nothing with the original ones.
+ *
+ * @param {Graph} graph
+ * @param {GraphVertex[]} vertices
+ * @param {GraphEdge[]} edges
+ * @return {Graph}
+ */
+function fillWithCopies(graph, vertices, edges) {
+  vertices.forEach((vertex) => {
+    graph.addVertex(new GraphVertex(vertex.value, vertex.attrs));
+  });
+
+  edges.forEach((edge) => {
+    graph.addEdge(new GraphEdge(
+      graph.getVertexByKey(edge.startVertex.getKey()),
+      graph.getVertexByKey(edge.endVertex.getKey()),
+      edge.weight,
+      edge.attrs,
+    ));
+  });
+
+  return graph;
+}
+
+/**
+ * @typedef {Object} GraphChange
+ *
+ * @property {string} type - One of: "vertexAdded", "vertexRemoved", "edgeAdded",
+ *  "edgeRemoved", "reversed" or "batch".
+ *
+ * @property {GraphVertex} [vertex] - Added or removed vertex.
+ *
+ * @property {GraphEdge} [edge] - Added or removed edge.
+ *
+ * @property {GraphChange[]} [changes] - All changes that were made during the transaction
+ *  (for "batch" type only).
+ */
+
 export default class Graph {
   /**
    * @param {boolean} isDirected
+   * @param {boolean} isMultigraph - Allows several edges between the same pair of vertices.
    */
-  constructor(isDirected = false) {
+  constructor(isDirected = false, isMultigraph = false) {
     this.vertices = {};
     this.edges = {};
     this.isDirected = isDirected;
+    this.isMultigraph = isMultigraph;
+
+    // Counter that is used to generate unique edge ids for multigraph.
+    this.edgeIdCounter = 0;
+
+    // Functions that are notified about every graph change.
+    this.listeners = [];
+
+    // Changes that were made inside of transaction and haven't been emitted yet.
+    this.transactionDepth = 0;
+    this.pendingChanges = [];
+
+    // Changes are not emitted while the graph is being changed internally (i.e. reversed).
+    this.isMuted = false;
+  }
+
+  /**
+   * @param {function(change: GraphChange)} listener
+   * @return {function} - Function that unsubscribes the listener.
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+
+    return () => this.unsubscribe(listener);
+  }
+
+  /**
+   * @param {function(change: GraphChange)} listener
+   * @return {Graph}
+   */
+  unsubscribe(listener) {
+    this.listeners = this.listeners.filter(currentListener => currentListener !== listener);
+
+    return this;
+  }
+
+  /**
+   * Run the callback that changes the graph and notify the listeners only once
+   * with "batch" change that contains all the changes made by the callback.
+   *
+   * @param {function(graph: Graph)} callback
+   * @return {Graph}
+   */
+  transaction(callback) {
+    this.transactionDepth += 1;
+
+    try {
+      callback(this);
+    } finally {
+      this.transactionDepth -= 1;
+
+      // Only the outermost transaction emits the changes.
+      if (!this.transactionDepth && this.pendingChanges.length) {
+        const changes = this.pendingChanges;
+        this.pendingChanges = [];
+        this.emitChange({ type: 'batch', changes });
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * @param {GraphChange} change
+   */
+  emitChange(change) {
+    if (this.isMuted) {
+      return;
+    }
+
+    if (this.transactionDepth && change.type !== 'batch') {
+      this.pendingChanges.push(change);
+      return;
+    }
+
+    // Copy the listeners since they may unsubscribe while being notified.
+    [...this.listeners].forEach(listener => listener(change));
   }
 
   /**
@@ -15,6 +136,8 @@ export default class Graph {
   addVertex(newVertex) {
     this.vertices[newVertex.getKey()] = newVertex;
 
+    this.emitChange({ type: 'vertexAdded', vertex: newVertex });
+
     return this;
   }
 
@@ -34,6 +157,38 @@ export default class Graph {
     return vertex.getNeighbors();
   }
 
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {GraphVertex[]}
+   */
+  getPredecessors(vertex) {
+    return vertex.getPredecessors();
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {GraphEdge[]}
+   */
+  getIncomingEdges(vertex) {
+    return vertex.getIncomingEdges();
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {number}
+   */
+  getInDegree(vertex) {
+    return vertex.getInDegree();
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {number}
+   */
+  getOutDegree(vertex) {
+    return vertex.getOutDegree();
+  }
+
   /**
    * @return {GraphVertex[]}
    */
@@ -69,6 +224,17 @@ export default class Graph {
       endVertex = this.getVertexByKey(edge.endVertex.getKey());
     }
 
+    // Every edge of multigraph gets its own id so that parallel edges
+    // wouldn't be treated as duplicates.
+    if (this.isMultigraph && edge.id === null) {
+      const verticesKey = edge.getKey();
+
+      do {
+        edge.setId(`${verticesKey}_${this.edgeIdCounter}`);
+        this.edgeIdCounter += 1;
+      } while (this.edges[edge.getKey()]);
+    }
+
     // Check if edge has been already added.
     if (this.edges[edge.getKey()]) {
       throw new Error('Edge has already been added before');
@@ -80,12 +246,21 @@ export default class Graph {
     if (this.isDirected) {
       // If graph IS directed then add the edge only to start vertex.
       startVertex.addEdge(edge);
+
+      // End vertex only remembers the edge as incoming one.
+      endVertex.addIncomingEdge(edge);
     } else {
       // If graph ISN'T directed then add the edge to both vertices.
       startVertex.addEdge(edge);
       endVertex.addEdge(edge);
+
+      // Undirected edge leads to both of its vertices.
+      startVertex.addIncomingEdge(edge);
+      endVertex.addIncomingEdge(edge);
     }
 
+    this.emitChange({ type: 'edgeAdded', edge });
+
     return this;
   }
 
@@ -106,16 +281,122 @@ export default class Graph {
 
     startVertex.deleteEdge(edge);
     endVertex.deleteEdge(edge);
+
+    startVertex.deleteIncomingEdge(edge);
+    endVertex.deleteIncomingEdge(edge);
+
+    this.emitChange({ type: 'edgeRemoved', edge });
+  }
+
+  /**
+   * Delete the vertex together with all edges that are connected to it.
+   *
+   * @param {GraphVertex} vertex
+   * @return {Graph}
+   */
+  deleteVertex(vertex) {
+    const graphVertex = this.findVertexByKey(vertex.getKey());
+
+    if (!graphVertex) {
+      throw new Error('Vertex not found in graph');
+    }
+
+    // Collect both outgoing and incoming edges. In undirected graph they are
+    // the same edges so make sure every edge is deleted only once.
+    const incidentEdges = {};
+    [...graphVertex.getEdges(), ...graphVertex.getIncomingEdges()].forEach((edge) => {
+      incidentEdges[edge.getKey()] = edge;
+    });
+
+    Object.values(incidentEdges).forEach(edge => this.deleteEdge(edge));
+
+    delete this.vertices[graphVertex.getKey()];
+
+    this.emitChange({ type: 'vertexRemoved', vertex: graphVertex });
+
+    return this;
   }
 
   /**
+   * Subgraph that consists of specified vertices and all the edges between them.
+   * Vertices and edges of the subgraph are copies of the original ones.
+   *
+   * @param {string[]} vertexKeys
+   * @return {Graph}
+   */
+  getInducedSubgraph(vertexKeys) {
+    const vertexKeysSet = {};
+    vertexKeys.forEach((vertexKey) => {
+      vertexKeysSet[vertexKey] = true;
+    });
+
+    const vertices = this.getAllVertices().filter(vertex => vertexKeysSet[vertex.getKey()]);
+    const edges = this.getAllEdges().filter((edge) => {
+      return vertexKeysSet[edge.startVertex.getKey()] && vertexKeysSet[edge.endVertex.getKey()];
+    });
+
+    return fillWithCopies(new Graph(this.isDirected, this.isMultigraph), vertices, edges);
+  }
+
+  /**
+   * Subgraph that consists of the edges that satisfy the filter and of their end vertices.
+   * Vertices and edges of the subgraph are copies of the original ones.
+   *
+   * @param {function(edge: GraphEdge): boolean} edgeFilter
+   * @return {Graph}
+   */
+  getEdgeInducedSubgraph(edgeFilter) {
+    const edges = this.getAllEdges().filter(edgeFilter);
+
+    const vertexKeysSet = {};
+    edges.forEach((edge) => {
+      vertexKeysSet[edge.startVertex.getKey()] = true;
+      vertexKeysSet[edge.endVertex.getKey()] = true;
+    });
+
+    const vertices = this.getAllVertices().filter(vertex => vertexKeysSet[vertex.getKey()]);
+
+    return fillWithCopies(new Graph(this.isDirected, this.isMultigraph), vertices, edges);
+  }
+
+  /**
+   * @return {Graph}
+   */
+  clone() {
+    const graph = new Graph(this.isDirected, this.isMultigraph);
+    return fillWithCopies(graph, this.getAllVertices(), this.getAllEdges());
+  }
+
+  /**
+   * Find the edge between two vertices. If there are several parallel edges
+   * (in multigraph) then the one with minimal weight is returned.
+   *
    * @param {GraphVertex} startVertex
    * @param {GraphVertex} endVertex
    * @return {(GraphEdge|null)}
    */
   findEdge(startVertex, endVertex) {
+    const edges = this.findEdges(startVertex, endVertex);
+
+    if (!edges.length) {
+      return null;
+    }
+
+    return edges.reduce((cheapestEdge, edge) => {
+      return edge.weight < cheapestEdge.weight ? edge : cheapestEdge;
+    });
+  }
+
+  /**
+   * Find all the edges (including parallel ones) between two vertices.
+   *
+   * @param {GraphVertex} startVertex
+   * @param {GraphVertex} endVertex
+   * @return {GraphEdge[]}
+   */
+  findEdges(startVertex, endVertex) {
     const vertex = this.getVertexByKey(startVertex.getKey());
-    return vertex.findEdge(endVertex);
+    return vertex.findEdges(endVertex);
   }
 
   /**
@@ -144,17 +425,27 @@ export default class Graph {
    * @return {Graph}
    */
   reverse() {
-    /** @param {GraphEdge} edge */
-    this.getAllEdges().forEach((edge) => {
-      // Delete straight edge from graph and from vertices.
-      this.deleteEdge(edge);
+    // Listeners should get one "reversed" change instead of removal and addition of every edge.
+    const wasMuted = this.isMuted;
+    this.isMuted = true;
 
-      // Reverse the edge.
-      edge.reverse();
+    try {
+      /** @param {GraphEdge} edge */
+      this.getAllEdges().forEach((edge) => {
+        // Delete straight edge from graph and from vertices.
+        this.deleteEdge(edge);
 
-      // Add reversed edge back to the graph and its vertices.
-      this.addEdge(edge);
-    });
+        // Reverse the edge.
+        edge.reverse();
+
+        // Add reversed edge back to the graph and its vertices.
+        this.addEdge(edge);
+      });
+    } finally {
+      this.isMuted = wasMuted;
+    }
+
+    this.emitChange({ type: 'reversed' });
 
     return this;
   }
@@ -195,10 +486,220 @@ export default class Graph {
     return adjacencyMatrix;
   }
 
+  /**
+   * Compressed sparse row (adjacency arrays) representation of the graph. Edges of
+   * the vertex with index i are stored in targets and weights arrays from offsets[i]
+   * (inclusive) to offsets[i + 1] (exclusive). Every edge of undirected graph is
+   * stored twice: once for each of its vertices.
+   *
+   * @param {{getEdgeWeight: function(edge: GraphEdge): number}} [options]
+   * @return {{
+   *   isDirected: boolean,
+   *   vertexKeys: string[],
+   *   offsets: Int32Array,
+   *   targets: Int32Array,
+   *   weights: Float64Array,
+   * }}
+   */
+  getCompressedSparseRow(options = {}) {
+    const { getEdgeWeight = edge => edge.weight } = options;
+
+    const vertices = this.getAllVertices();
+    const verticesIndices = this.getVerticesIndices();
+
+    const offsets = new Int32Array(vertices.length + 1);
+    vertices.forEach((vertex, vertexIndex) => {
+      offsets[vertexIndex + 1] = offsets[vertexIndex] + vertex.getDegree();
+    });
+
+    const targets = new Int32Array(offsets[vertices.length]);
+    const weights = new Float64Array(offsets[vertices.length]);
+
+    vertices.forEach((vertex, vertexIndex) => {
+      let position = offsets[vertexIndex];
+
+      vertex.getEdges().forEach((edge) => {
+        // For undirected graphs current vertex may be the end one.
+        const neighbor = edge.startVertex === vertex ? edge.endVertex : edge.startVertex;
+
+        targets[position] = verticesIndices[neighbor.getKey()];
+        weights[position] = getEdgeWeight(edge);
+        position += 1;
+      });
+    });
+
+    return {
+      isDirected: this.isDirected,
+      vertexKeys: vertices.map(vertex => vertex.getKey()),
+      offsets,
+      targets,
+      weights,
+    };
+  }
+
   /**
    * @return {string}
    */
   toString() {
     return Object.keys(this.vertices).toString();
   }
+
+  /**
+   * Plain object representation of the graph that may be passed to JSON.stringify().
+   * Vertex and edge attributes are included only if there are any.
+   *
+   * @return {{isDirected: boolean, isMultigraph: boolean, vertices: *[], edges: object[]}}
+   */
+  toJSON() {
+    const json = {
+      isDirected: this.isDirected,
+      isMultigraph: this.isMultigraph,
+      vertices: this.getAllVertices().map(vertex => vertex.value),
+      edges: this.getAllEdges().map((edge) => {
+        const edgeJson = {
+          startVertex: edge.startVertex.value,
+          endVertex: edge.endVertex.value,
+          weight: edge.weight,
+        };
+
+        if (Object.keys(edge.attrs).length) {
+          edgeJson.attrs = { ...edge.attrs };
+        }
+
+        return edgeJson;
+      }),
+    };
+
+    this.getAllVertices().forEach((vertex) => {
+      if (Object.keys(vertex.attrs).length) {
+        json.vertexAttrs = json.vertexAttrs || {};
+        json.vertexAttrs[vertex.getKey()] = { ...vertex.attrs };
+      }
+    });
+
+    return json;
+  }
+
+  /**
+   * Edge list representation: one "startKey endKey weight" line per edge and
+   * one "key" line per isolated vertex.
+   *
+   * @return {string}
+   */
+  toEdgeList() {
+    const lines = this.getAllEdges().map((edge) => {
+      return `${edge.startVertex.getKey()} ${edge.endVertex.getKey()} ${edge.weight}`;
+    });
+
+    // Vertices without any edges would be lost otherwise.
+    const connectedVertices = {};
+    this.getAllEdges().forEach((edge) => {
+      connectedVertices[edge.startVertex.getKey()] = true;
+      connectedVertices[edge.endVertex.getKey()] = true;
+    });
+
+    this.getAllVertices().forEach((vertex) => {
+      if (!connectedVertices[vertex.getKey()]) {
+        lines.push(`${vertex.getKey()}`);
+      }
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Graphviz DOT representation of the graph. Edge weights are rendered as labels.
+   *
+   * @return {string}
+   */
+  toDot() {
+    const quote = value => `"${`${value}`.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const connector = this.isDirected ? '->' : '--';
+
+    const lines = [this.isDirected ? 'digraph {' : 'graph {'];
+
+    this.getAllVertices().forEach((vertex) => {
+      lines.push(`  ${quote(vertex.getKey())};`);
+    });
+
+    this.getAllEdges().forEach((edge) => {
+      const startKey = quote(edge.startVertex.getKey());
+      const endKey = quote(edge.endVertex.getKey());
+      lines.push(`  ${startKey} ${connector} ${endKey} [label=${quote(edge.weight)}];`);
+    });
+
+    lines.push('}');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @param {object|string} json - Output of toJSON() or its stringified version.
+   * @return {Graph}
+   */
+  static fromJSON(json) {
+    const graphData = typeof json === 'string' ? JSON.parse(json) : json;
+    const graph = new Graph(!!graphData.isDirected, !!graphData.isMultigraph);
+
+    const vertexAttrs = graphData.vertexAttrs || {};
+
+    (graphData.vertices || []).forEach((vertexValue) => {
+      graph.addVertex(new GraphVertex(vertexValue, vertexAttrs[vertexValue]));
+    });
+
+    (graphData.edges || []).forEach(({
+      startVertex,
+      endVertex,
+      weight,
+      attrs,
+    }) => {
+      graph.addEdge(new GraphEdge(
+        graph.findVertexByKey(startVertex) || new GraphVertex(startVertex),
+        graph.findVertexByKey(endVertex) || new GraphVertex(endVertex),
+        weight,
+        attrs,
+      ));
+    });
+
+    return graph;
+  }
+
+  /**
+   * Parse the output of toEdgeList(). Empty lines and lines starting with # are ignored.
+   * Since vertex keys are separated by whitespaces they can't contain whitespaces themselves.
+   *
+   * @param {string} edgeList
+   * @param {boolean} [isDirected]
+   * @param {boolean} [isMultigraph]
+   * @return {Graph}
+   */
+  static fromEdgeList(edgeList, isDirected = false, isMultigraph = false) {
+    const graph = new Graph(isDirected, isMultigraph);
+
+    edgeList.split('\n').forEach((line) => {
+      const trimmedLine = line.trim();
+      if (!trimmedLine || trimmedLine[0] === '#') {
+        return;
+      }
+
+      const [startKey, endKey, weight] = trimmedLine.split(/\s+/);
+      const startVertex = graph.findVertexByKey(startKey) || new GraphVertex(startKey);
+
+      if (endKey === undefined) {
+        graph.addVertex(startVertex);
+        return;
+      }
+
+      const endVertex = graph.findVertexByKey(endKey) || new GraphVertex(endKey);
+      const edgeWeight = weight === undefined ? undefined : Number(weight);
+
+      if (Number.isNaN(edgeWeight)) {
+        throw new Error(`Invalid edge weight in line "${trimmedLine}"`);
+      }
+
+      graph.addEdge(new GraphEdge(startVertex, endVertex, edgeWeight));
+    });
+
+    return graph;
+  }
 }
@@ -3,23 +3,80 @@ export default class GraphEdge {
    * @param {GraphVertex} startVertex
    * @param {GraphVertex} endVertex
    * @param {number} [weight=1]
+   * @param {Object} [attrs] - Arbitrary edge attributes like capacity, cost, label etc.
    */
-  constructor(startVertex, endVertex, weight = 0) {
+  constructor(startVertex, endVertex, weight = 0, attrs = {}) {
     this.startVertex = startVertex;
     this.endVertex = endVertex;
     this.weight = weight;
+    this.attrs = { ...attrs };
+
+    // Multigraph assigns unique id to every edge since there may be several
+    // edges between the same pair of vertices.
+    this.id = null;
   }
 
   /**
    * @return {string}
    */
   getKey() {
+    if (this.id !== null) {
+      return this.id;
+    }
+
     const startVertexKey = this.startVertex.getKey();
     const endVertexKey = this.endVertex.getKey();
 
     return `${startVertexKey}_${endVertexKey}`;
   }
 
+  /**
+   * @param {string} id - Unique key of the edge that is used instead of the vertex keys.
+   * @return {GraphEdge}
+   */
+  setId(id) {
+    this.id = id;
+
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @return {*}
+   */
+  getAttribute(name) {
+    return this.attrs[name];
+  }
+
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @return {GraphEdge}
+   */
+  setAttribute(name, value) {
+    this.attrs[name] = value;
+
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name);
+  }
+
+  /**
+   * @param {string} name
+   * @return {GraphEdge}
+   */
+  deleteAttribute(name) {
+    delete this.attrs[name];
+
+    return this;
+  }
+
   /**
    * @return {GraphEdge}
    */
@@ -1,30 +1,47 @@
-import LinkedList from '../linked-list/LinkedList';
+/**
+ * @param {GraphVertex} vertex
+ * @param {GraphEdge} edge
+ * @return {GraphVertex}
+ */
+function getOtherVertex(vertex, edge) {
+  // For undirected graphs it is possible that current vertex will be the end one.
+  return edge.startVertex === vertex ? edge.endVertex : edge.startVertex;
+}
 
 export default class GraphVertex {
   /**
    * @param {*} value
+   * @param {Object} [attrs] - Arbitrary vertex attributes like label, color etc.
    */
-  constructor(value) {
+  constructor(value, attrs = {}) {
     if (value === undefined) {
       throw new Error('Graph vertex must have a value');
     }
 
-    /**
-     * @param {GraphEdge} edgeA
-     * @param {GraphEdge} edgeB
-     */
-    const edgeComparator = (edgeA, edgeB) => {
-      if (edgeA.getKey() === edgeB.getKey()) {
-        return 0;
-      }
-
-      return edgeA.getKey() < edgeB.getKey() ? -1 : 1;
-    };
-
     // Normally you would store string value like vertex name.
     // But generally it may be any object as well
     this.value = value;
-    this.edges = new LinkedList(edgeComparator);
+    this.attrs = { ...attrs };
+
+    // All vertex edges by edge keys. Map keeps the edges in insertion order.
+    // Like the linked list it replaces, the vertex keeps every attached copy of
+    // the edge so the edges with the same key are stored in a list.
+    this.edges = new Map();
+    this.edgesCount = 0;
+
+    // Flat list of the edges in insertion order. It is rebuilt lazily after the
+    // edges change since iterating the map of lists is much slower.
+    this.edgesList = null;
+
+    // Vertex edges grouped by the keys of the neighbors they lead to. It allows
+    // to find an edge to specific neighbor without scanning all the edges.
+    // There may be several parallel edges to the same neighbor in multigraph.
+    this.neighborEdges = new Map();
+
+    // Edges that lead to the vertex by edge keys. In directed graph the edge
+    // is attached to its start vertex only so the end vertex needs to remember
+    // it separately in order to know its predecessors.
+    this.incomingEdges = new Map();
   }
 
   /**
@@ -32,7 +49,21 @@ export default class GraphVertex {
    * @returns {GraphVertex}
    */
   addEdge(edge) {
-    this.edges.append(edge);
+    if (this.edges.has(edge.getKey())) {
+      this.edges.get(edge.getKey()).push(edge);
+    } else {
+      this.edges.set(edge.getKey(), [edge]);
+    }
+
+    this.edgesCount += 1;
+    this.edgesList = null;
+
+    const neighborKey = getOtherVertex(this, edge).getKey();
+    if (this.neighborEdges.has(neighborKey)) {
+      this.neighborEdges.get(neighborKey).push(edge);
+    } else {
+      this.neighborEdges.set(neighborKey, [edge]);
+    }
 
     return this;
   }
@@ -41,37 +72,106 @@ export default class GraphVertex {
    * @param {GraphEdge} edge
    */
   deleteEdge(edge) {
-    this.edges.delete(edge);
+    const storedEdges = this.edges.get(edge.getKey());
+
+    if (!storedEdges) {
+      return;
+    }
+
+    // All the edges with the same key are deleted.
+    this.edges.delete(edge.getKey());
+    this.edgesCount -= storedEdges.length;
+    this.edgesList = null;
+
+    const neighborKey = getOtherVertex(this, storedEdges[0]).getKey();
+    const neighborEdges = this.neighborEdges.get(neighborKey)
+      .filter(neighborEdge => neighborEdge.getKey() !== edge.getKey());
+
+    if (neighborEdges.length) {
+      this.neighborEdges.set(neighborKey, neighborEdges);
+    } else {
+      this.neighborEdges.delete(neighborKey);
+    }
+  }
+
+  /**
+   * @param {GraphEdge} edge
+   * @returns {GraphVertex}
+   */
+  addIncomingEdge(edge) {
+    this.incomingEdges.set(edge.getKey(), edge);
+
+    return this;
+  }
+
+  /**
+   * @param {GraphEdge} edge
+   */
+  deleteIncomingEdge(edge) {
+    this.incomingEdges.delete(edge.getKey());
+  }
+
+  /**
+   * @return {GraphEdge[]}
+   */
+  getIncomingEdges() {
+    return Array.from(this.incomingEdges.values());
   }
 
   /**
    * @returns {GraphVertex[]}
    */
-  getNeighbors() {
-    const edges = this.edges.toArray();
+  getPredecessors() {
+    return this.getIncomingEdges().map(edge => getOtherVertex(this, edge));
+  }
 
-    /** @param {LinkedListNode} node */
-    const neighborsConverter = (node) => {
-      return node.value.startVertex === this ? node.value.endVertex : node.value.startVertex;
-    };
+  /**
+   * @return {number}
+   */
+  getInDegree() {
+    return this.incomingEdges.size;
+  }
 
-    // Return either start or end vertex.
-    // For undirected graphs it is possible that current vertex will be the end one.
-    return edges.map(neighborsConverter);
+  /**
+   * @return {number}
+   */
+  getOutDegree() {
+    return this.edgesCount;
+  }
+
+  /**
+   * @returns {GraphVertex[]}
+   */
+  getNeighbors() {
+    return this.getEdgesList().map(edge => getOtherVertex(this, edge));
   }
 
   /**
    * @return {GraphEdge[]}
    */
   getEdges() {
-    return this.edges.toArray().map(linkedListNode => linkedListNode.value);
+    return this.getEdgesList().slice();
+  }
+
+  /**
+   * @return {GraphEdge[]} - Cached list of the edges that must not be modified.
+   */
+  getEdgesList() {
+    if (!this.edgesList) {
+      this.edgesList = [];
+      this.edges.forEach((storedEdges) => {
+        storedEdges.forEach(edge => this.edgesList.push(edge));
+      });
+    }
+
+    return this.edgesList;
   }
 
   /**
    * @return {number}
    */
   getDegree() {
-    return this.edges.toArray().length;
+    return this.edgesCount;
   }
 
   /**
@@ -79,11 +179,9 @@ export default class GraphVertex {
    * @returns {boolean}
    */
   hasEdge(requiredEdge) {
-    const edgeNode = this.edges.find({
-      callback: edge => edge === requiredEdge,
-    });
+    const storedEdges = this.edges.get(requiredEdge.getKey());
 
-    return !!edgeNode;
+    return !!storedEdges && storedEdges.includes(requiredEdge);
   }
 
   /**
@@ -91,11 +189,7 @@ export default class GraphVertex {
    * @returns {boolean}
    */
   hasNeighbor(vertex) {
-    const vertexNode = this.edges.find({
-      callback: edge => edge.startVertex === vertex || edge.endVertex === vertex,
-    });
-
-    return !!vertexNode;
+    return this.neighborEdges.has(vertex.getKey());
   }
 
   /**
@@ -103,13 +197,59 @@ export default class GraphVertex {
    * @returns {(GraphEdge|null)}
    */
   findEdge(vertex) {
-    const edgeFinder = (edge) => {
-      return edge.startVertex === vertex || edge.endVertex === vertex;
-    };
+    const neighborEdges = this.neighborEdges.get(vertex.getKey());
+
+    return neighborEdges ? neighborEdges[0] : null;
+  }
+
+  /**
+   * Find all edges (including parallel ones in multigraph) that connect current vertex with
+   * specified one.
+   *
+   * @param {GraphVertex} vertex
+   * @returns {GraphEdge[]}
+   */
+  findEdges(vertex) {
+    const neighborEdges = this.neighborEdges.get(vertex.getKey());
+
+    return neighborEdges ? [...neighborEdges] : [];
+  }
 
-    const edge = this.edges.find({ callback: edgeFinder });
+  /**
+   * @param {string} name
+   * @return {*}
+   */
+  getAttribute(name) {
+    return this.attrs[name];
+  }
 
-    return edge ? edge.value : null;
+  /**
+   * @param {string} name
+   * @param {*} value
+   * @return {GraphVertex}
+   */
+  setAttribute(name, value) {
+    this.attrs[name] = value;
+
+    return this;
+  }
+
+  /**
+   * @param {string} name
+   * @return {boolean}
+   */
+  hasAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attrs, name);
+  }
+
+  /**
+   * @param {string} name
+   * @return {GraphVertex}
+   */
+  deleteAttribute(name) {
+    delete this.attrs[name];
+
+    return this;
   }
 
   /**
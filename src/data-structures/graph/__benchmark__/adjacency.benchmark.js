@@ -0,0 +1,258 @@
+/**
+ * Benchmark of vertex adjacency lookups on large sparse graphs. Every lookup is
+ * measured twice: with the linked list of edges that GraphVertex used to keep
+ * and with its current keyed maps.
+ *
+ * Run it and print the timings with:
+ *   npx babel-node --plugins syntax-object-rest-spread -p \
+ *     "require('./src/data-structures/graph/__benchmark__/adjacency.benchmark').default()"
+ */
+import Graph from '../Graph';
+import GraphVertex from '../GraphVertex';
+import GraphEdge from '../GraphEdge';
+import LinkedList from '../../linked-list/LinkedList';
+import SeededRandom from '../../../utils/random/SeededRandom';
+
+/**
+ * Adjacency of one vertex stored the way GraphVertex stored it before: as a linked
+ * list of edges that has to be scanned for every lookup.
+ */
+class LinkedListAdjacency {
+  /**
+   * @param {GraphVertex} vertex
+   */
+  constructor(vertex) {
+    this.vertex = vertex;
+    this.edges = new LinkedList((edgeA, edgeB) => {
+      if (edgeA.getKey() === edgeB.getKey()) {
+        return 0;
+      }
+
+      return edgeA.getKey() < edgeB.getKey() ? -1 : 1;
+    });
+
+    vertex.getEdges().forEach(edge => this.edges.append(edge));
+  }
+
+  /**
+   * @return {GraphVertex[]}
+   */
+  getNeighbors() {
+    return this.edges.toArray().map((node) => {
+      return node.value.startVertex === this.vertex ? node.value.endVertex : node.value.startVertex;
+    });
+  }
+
+  /**
+   * @return {number}
+   */
+  getDegree() {
+    return this.edges.toArray().length;
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @return {boolean}
+   */
+  hasNeighbor(vertex) {
+    const vertexNode = this.edges.find({
+      callback: edge => edge.startVertex === vertex || edge.endVertex === vertex,
+    });
+
+    return !!vertexNode;
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @return {(GraphEdge|null)}
+   */
+  findEdge(vertex) {
+    const edge = this.edges.find({
+      callback: graphEdge => graphEdge.startVertex === vertex || graphEdge.endVertex === vertex,
+    });
+
+    return edge ? edge.value : null;
+  }
+}
+
+/**
+ * @param {Graph} graph
+ * @return {Object<string, LinkedListAdjacency>} - Adjacency lists by vertex keys.
+ */
+function buildLinkedListAdjacency(graph) {
+  const adjacency = {};
+  graph.getAllVertices().forEach((vertex) => {
+    adjacency[vertex.getKey()] = new LinkedListAdjacency(vertex);
+  });
+
+  return adjacency;
+}
+
+/**
+ * Adjacency matrix built the same way as Graph.getAdjacencyMatrix() but with linked lists.
+ *
+ * @param {Graph} graph
+ * @param {Object<string, LinkedListAdjacency>} adjacency
+ * @return {number[][]}
+ */
+function getLinkedListAdjacencyMatrix(graph, adjacency) {
+  const vertices = graph.getAllVertices();
+  const verticesIndices = graph.getVerticesIndices();
+
+  const adjacencyMatrix = vertices.map(() => Array(vertices.length).fill(Infinity));
+
+  vertices.forEach((vertex, vertexIndex) => {
+    const vertexAdjacency = adjacency[vertex.getKey()];
+
+    vertexAdjacency.getNeighbors().forEach((neighbor) => {
+      const neighborIndex = verticesIndices[neighbor.getKey()];
+      adjacencyMatrix[vertexIndex][neighborIndex] = vertexAdjacency.findEdge(neighbor).weight;
+    });
+  });
+
+  return adjacencyMatrix;
+}
+
+/**
+ * @param {number} verticesCount
+ * @param {number} edgesCount
+ * @param {boolean} isDirected
+ * @return {Graph}
+ */
+function generateSparseGraph(verticesCount, edgesCount, isDirected) {
+  const seededRandom = new SeededRandom(verticesCount + edgesCount);
+  const graph = new Graph(isDirected);
+
+  const vertices = [];
+  for (let vertexIndex = 0; vertexIndex < verticesCount; vertexIndex += 1) {
+    vertices.push(new GraphVertex(`v${vertexIndex}`));
+    graph.addVertex(vertices[vertexIndex]);
+  }
+
+  let addedEdgesCount = 0;
+  while (addedEdgesCount < edgesCount) {
+    const startVertex = vertices[seededRandom.randomInt(0, verticesCount - 1)];
+    const endVertex = vertices[seededRandom.randomInt(0, verticesCount - 1)];
+
+    if (startVertex !== endVertex && !graph.findEdge(startVertex, endVertex)) {
+      const weight = seededRandom.randomInt(1, 100);
+      graph.addEdge(new GraphEdge(startVertex, endVertex, weight));
+      addedEdgesCount += 1;
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * @param {function} action
+ * @return {number} - Elapsed time in milliseconds.
+ */
+function measure(action) {
+  const startTime = Date.now();
+  action();
+
+  return Date.now() - startTime;
+}
+
+/**
+ * @typedef {Object} BenchmarkResult
+ *
+ * @property {string} graph - Description of the graph.
+ * @property {string} operation - Measured operation.
+ * @property {number} linkedListTime - Time in milliseconds with linked list adjacency.
+ * @property {number} mapTime - Time in milliseconds with map adjacency.
+ */
+
+/**
+ * @return {BenchmarkResult[]}
+ */
+export default function runAdjacencyBenchmark() {
+  const results = [];
+
+  /**
+   * @param {string} graph
+   * @param {string} operation
+   * @param {function} linkedListAction
+   * @param {function} mapAction
+   */
+  const compare = (graph, operation, linkedListAction, mapAction) => {
+    const linkedListTime = measure(linkedListAction);
+    const mapTime = measure(mapAction);
+
+    results.push({
+      graph,
+      operation,
+      linkedListTime,
+      mapTime,
+    });
+  };
+
+  const sparseGraph = generateSparseGraph(10000, 100000, true);
+  const sparseGraphVertices = sparseGraph.getAllVertices();
+  const sparseGraphEdges = sparseGraph.getAllEdges();
+  const sparseGraphAdjacency = buildLinkedListAdjacency(sparseGraph);
+  const sparseGraphTitle = 'Directed graph with 10000 vertices and 100000 edges';
+
+  compare(
+    sparseGraphTitle,
+    'findEdge() for every edge',
+    () => sparseGraphEdges.forEach((edge) => {
+      sparseGraphAdjacency[edge.startVertex.getKey()].findEdge(edge.endVertex);
+    }),
+    () => sparseGraphEdges.forEach(edge => edge.startVertex.findEdge(edge.endVertex)),
+  );
+
+  compare(
+    sparseGraphTitle,
+    'hasNeighbor() for every edge',
+    () => sparseGraphEdges.forEach((edge) => {
+      sparseGraphAdjacency[edge.startVertex.getKey()].hasNeighbor(edge.endVertex);
+    }),
+    () => sparseGraphEdges.forEach(edge => edge.startVertex.hasNeighbor(edge.endVertex)),
+  );
+
+  compare(
+    sparseGraphTitle,
+    'getDegree() for every vertex x10',
+    () => {
+      for (let round = 0; round < 10; round += 1) {
+        sparseGraphVertices.forEach(vertex => sparseGraphAdjacency[vertex.getKey()].getDegree());
+      }
+    },
+    () => {
+      for (let round = 0; round < 10; round += 1) {
+        sparseGraphVertices.forEach(vertex => vertex.getDegree());
+      }
+    },
+  );
+
+  compare(
+    sparseGraphTitle,
+    'getNeighbors() for every vertex x10',
+    () => {
+      for (let round = 0; round < 10; round += 1) {
+        sparseGraphVertices.forEach((vertex) => {
+          sparseGraphAdjacency[vertex.getKey()].getNeighbors();
+        });
+      }
+    },
+    () => {
+      for (let round = 0; round < 10; round += 1) {
+        sparseGraphVertices.forEach(vertex => vertex.getNeighbors());
+      }
+    },
+  );
+
+  const denseGraph = generateSparseGraph(1000, 100000, false);
+  const denseGraphAdjacency = buildLinkedListAdjacency(denseGraph);
+
+  compare(
+    'Undirected graph with 1000 vertices and 100000 edges',
+    'getAdjacencyMatrix()',
+    () => getLinkedListAdjacencyMatrix(denseGraph, denseGraphAdjacency),
+    () => denseGraph.getAdjacencyMatrix(),
+  );
+
+  return results;
+}
@@ -0,0 +1,196 @@
+import Graph from '../Graph';
+import GraphVertex from '../GraphVertex';
+import GraphEdge from '../GraphEdge';
+import CsrGraph from '../CsrGraph';
+import dijkstra from '../../../algorithms/graph/dijkstra/dijkstra';
+import breadthFirstSearch from '../../../algorithms/graph/breadth-first-search/breadthFirstSearch';
+import { erdosRenyiGraph, gridGraph } from '../../../algorithms/graph/graph-generators/graphGenerators';
+
+describe('CsrGraph', () => {
+  it('should create read-only graph from compressed sparse row arrays', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 2))
+      .addEdge(new GraphEdge(vertexA, vertexC, 3))
+      .addEdge(new GraphEdge(vertexC, vertexB, 1));
+
+    const csrGraph = CsrGraph.fromGraph(graph);
+
+    expect(csrGraph.isDirected).toBe(true);
+    expect(csrGraph.toString()).toBe('A,B,C');
+    expect(csrGraph.getVerticesIndices()).toEqual({ A: 0, B: 1, C: 2 });
+    expect(csrGraph.getAllVertices().map(vertex => vertex.getKey())).toEqual(['A', 'B', 'C']);
+    expect(csrGraph.getAllEdges().map(edge => edge.getKey())).toEqual(['A_B', 'A_C', 'C_B']);
+    expect(csrGraph.getWeight()).toBe(6);
+
+    const csrVertexA = csrGraph.getVertexByKey('A');
+    const csrVertexB = csrGraph.getVertexByKey('B');
+    const csrVertexC = csrGraph.getVertexByKey('C');
+
+    expect(csrGraph.getVertexByKey('A')).toBe(csrVertexA);
+    expect(csrGraph.getVertexByKey('D')).toBeUndefined();
+    expect(csrGraph.findVertexByKey('D')).toBeNull();
+
+    expect(csrVertexA.toString()).toBe('A');
+    expect(csrVertexA.getDegree()).toBe(2);
+    expect(csrGraph.getNeighbors(csrVertexA)).toEqual([csrVertexB, csrVertexC]);
+    expect(csrVertexA.hasNeighbor(csrVertexC)).toBe(true);
+    expect(csrVertexB.hasNeighbor(csrVertexA)).toBe(false);
+    expect(csrVertexB.getEdges()).toEqual([]);
+
+    expect(csrGraph.findEdge(csrVertexA, csrVertexC).weight).toBe(3);
+    expect(csrVertexA.findEdge(csrVertexB).weight).toBe(2);
+    expect(csrGraph.findEdge(csrVertexB, csrVertexA)).toBeNull();
+  });
+
+  it('should store every edge of undirected graph for both of its vertices', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(new GraphEdge(vertexA, vertexB, 2))
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexB, vertexC, 4, { cost: 5 }));
+
+    const compressedSparseRow = graph.getCompressedSparseRow();
+
+    expect(compressedSparseRow.isDirected).toBe(false);
+    expect(compressedSparseRow.vertexKeys).toEqual(['A', 'B', 'C']);
+    expect(compressedSparseRow.offsets).toEqual(new Int32Array([0, 2, 5, 6]));
+    expect(compressedSparseRow.targets).toEqual(new Int32Array([1, 1, 0, 0, 2, 1]));
+    expect(compressedSparseRow.weights).toEqual(new Float64Array([2, 1, 2, 1, 4, 4]));
+
+    const costs = graph.getCompressedSparseRow({
+      getEdgeWeight: edge => (edge.hasAttribute('cost') ? edge.getAttribute('cost') : 0),
+    });
+    expect(costs.weights).toEqual(new Float64Array([0, 0, 0, 0, 5, 5]));
+
+    const csrGraph = new CsrGraph(compressedSparseRow);
+    const csrVertexA = csrGraph.getVertexByKey('A');
+    const csrVertexB = csrGraph.getVertexByKey('B');
+
+    expect(csrGraph.getAllEdges().map(edge => edge.weight)).toEqual([2, 1, 4]);
+    expect(csrGraph.findEdges(csrVertexB, csrVertexA).length).toBe(2);
+    expect(csrGraph.findEdge(csrVertexB, csrVertexA).weight).toBe(1);
+    expect(csrGraph.getWeight()).toBe(graph.getWeight());
+  });
+
+  it('should list self-loops once among all the edges', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const undirectedGraph = new Graph(false, true);
+    undirectedGraph
+      .addEdge(new GraphEdge(vertexA, vertexA, 3))
+      .addEdge(new GraphEdge(vertexA, vertexB, 1))
+      .addEdge(new GraphEdge(vertexA, vertexA, 7));
+
+    const undirectedCsrGraph = new CsrGraph(undirectedGraph.getCompressedSparseRow());
+    const csrVertexA = undirectedCsrGraph.getVertexByKey('A');
+
+    expect(csrVertexA.getDegree()).toBe(vertexA.getDegree());
+    expect(undirectedCsrGraph.getAllEdges().map(edge => edge.weight)).toEqual([3, 1, 7]);
+    expect(undirectedCsrGraph.getWeight()).toBe(undirectedGraph.getWeight());
+
+    const vertexC = new GraphVertex('C');
+
+    const directedGraph = new Graph(true);
+    directedGraph
+      .addEdge(new GraphEdge(vertexC, vertexC, 2))
+      .addEdge(new GraphEdge(vertexC, new GraphVertex('D'), 5));
+
+    const directedCsrGraph = new CsrGraph(directedGraph.getCompressedSparseRow());
+
+    expect(directedCsrGraph.getAllEdges().map(edge => edge.weight)).toEqual([2, 5]);
+    expect(directedCsrGraph.getWeight()).toBe(directedGraph.getWeight());
+  });
+
+  it('should validate compressed sparse row arrays', () => {
+    expect(() => new CsrGraph({
+      vertexKeys: ['A', 'B'],
+      offsets: new Int32Array([0, 1]),
+      targets: new Int32Array([1]),
+      weights: new Float64Array([1]),
+    })).toThrow();
+
+    expect(() => new CsrGraph({
+      vertexKeys: ['A', 'B'],
+      offsets: new Int32Array([0, 1, 1]),
+      targets: new Int32Array([1]),
+      weights: new Float64Array([1, 2]),
+    })).toThrow();
+
+    const csrGraph = new CsrGraph({
+      vertexKeys: ['A', 'B'],
+      offsets: new Int32Array([0, 1, 1]),
+      targets: new Int32Array([1]),
+      weights: new Float64Array([7]),
+    });
+
+    expect(csrGraph.isDirected).toBe(false);
+    expect(csrGraph.getAllEdges()[0].weight).toBe(7);
+  });
+
+  it('should forbid graph modifications', () => {
+    const graph = new Graph();
+    graph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B')));
+
+    const csrGraph = CsrGraph.fromGraph(graph);
+    const [vertexA, vertexB] = csrGraph.getAllVertices();
+
+    expect(() => csrGraph.addVertex(new GraphVertex('C'))).toThrow('CsrGraph is read-only');
+    expect(() => csrGraph.addEdge(new GraphEdge(vertexA, vertexB))).toThrow();
+    expect(() => csrGraph.deleteEdge(csrGraph.findEdge(vertexA, vertexB))).toThrow();
+    expect(() => csrGraph.deleteVertex(vertexA)).toThrow();
+    expect(() => csrGraph.reverse()).toThrow();
+  });
+
+  it('should run dijkstra directly on compressed graph', () => {
+    [
+      gridGraph(15, 15, { seed: 2, maxWeight: 9 }),
+      erdosRenyiGraph(60, 0.05, { seed: 4, maxWeight: 30, isDirected: true }),
+    ].forEach((graph) => {
+      const csrGraph = CsrGraph.fromGraph(graph);
+      const startVertex = graph.getAllVertices()[0];
+
+      const { distances, previousVertices } = dijkstra(
+        csrGraph,
+        csrGraph.getVertexByKey(startVertex.getKey()),
+      );
+      const expected = dijkstra(graph, startVertex);
+
+      expect(distances).toEqual(expected.distances);
+      Object.keys(previousVertices).forEach((vertexKey) => {
+        const previousVertex = previousVertices[vertexKey];
+        const expectedPreviousVertex = expected.previousVertices[vertexKey];
+
+        expect(previousVertex && previousVertex.getKey())
+          .toBe(expectedPreviousVertex && expectedPreviousVertex.getKey());
+      });
+    });
+  });
+
+  it('should run breadth first search directly on compressed graph', () => {
+    const graph = gridGraph(6, 8);
+    const csrGraph = CsrGraph.fromGraph(graph);
+
+    const visitedKeys = [];
+    const csrVisitedKeys = [];
+
+    breadthFirstSearch(graph, graph.getVertexByKey('2,3'), {
+      enterVertex: ({ currentVertex }) => visitedKeys.push(currentVertex.getKey()),
+    });
+    breadthFirstSearch(csrGraph, csrGraph.getVertexByKey('2,3'), {
+      enterVertex: ({ currentVertex }) => csrVisitedKeys.push(currentVertex.getKey()),
+    });
+
+    expect(csrVisitedKeys).toEqual(visitedKeys);
+    expect(csrVisitedKeys.length).toBeGreaterThanOrEqual(48);
+  });
+});
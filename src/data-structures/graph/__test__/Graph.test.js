@@ -381,4 +381,589 @@ describe('Graph', () => {
       [Infinity, Infinity, Infinity, Infinity],
     ]);
   });
+
+  it('should serialize graph to JSON and restore it back', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 2);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1);
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addVertex(vertexD);
+
+    const json = graph.toJSON();
+    expect(json).toEqual({
+      isDirected: true,
+      isMultigraph: false,
+      vertices: ['A', 'B', 'C', 'D'],
+      edges: [
+        { startVertex: 'A', endVertex: 'B', weight: 2 },
+        { startVertex: 'B', endVertex: 'C', weight: 1 },
+      ],
+    });
+
+    const restoredGraph = Graph.fromJSON(JSON.stringify(graph));
+
+    expect(restoredGraph.isDirected).toBe(true);
+    expect(restoredGraph.toString()).toBe('A,B,C,D');
+    expect(restoredGraph.getAllEdges().length).toBe(2);
+    expect(restoredGraph.getAdjacencyMatrix()).toEqual(graph.getAdjacencyMatrix());
+    expect(restoredGraph.getVertexByKey('A')).not.toBe(vertexA);
+    expect(restoredGraph.toJSON()).toEqual(json);
+
+    expect(Graph.fromJSON({ vertices: ['A'] }).isDirected).toBe(false);
+  });
+
+  it('should serialize graph to edge list and restore it back', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 2);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1.5);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addVertex(vertexD);
+
+    const edgeList = graph.toEdgeList();
+    expect(edgeList).toBe('A B 2\nB C 1.5\nD');
+
+    const restoredGraph = Graph.fromEdgeList(edgeList);
+
+    expect(restoredGraph.isDirected).toBe(false);
+    expect(restoredGraph.toString()).toBe('A,B,C,D');
+    expect(restoredGraph.toJSON()).toEqual(graph.toJSON());
+    expect(restoredGraph.getNeighbors(restoredGraph.getVertexByKey('B')).length).toBe(2);
+  });
+
+  it('should parse edge list with comments, blank lines and default weights', () => {
+    const graph = Graph.fromEdgeList('# Roads\n\n  A   B 7\nB C\n', true);
+
+    expect(graph.isDirected).toBe(true);
+    expect(graph.toString()).toBe('A,B,C');
+    expect(graph.findEdge(graph.getVertexByKey('A'), graph.getVertexByKey('B')).weight).toBe(7);
+    expect(graph.findEdge(graph.getVertexByKey('B'), graph.getVertexByKey('C')).weight).toBe(0);
+    expect(graph.findEdge(graph.getVertexByKey('B'), graph.getVertexByKey('A'))).toBeNull();
+
+    expect(() => Graph.fromEdgeList('A B heavy')).toThrow();
+  });
+
+  it('should export graph to DOT format', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('New "C"');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 2);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1);
+
+    const undirectedGraph = new Graph();
+    undirectedGraph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC);
+
+    expect(undirectedGraph.toDot()).toBe([
+      'graph {',
+      '  "A";',
+      '  "B";',
+      '  "New \\"C\\"";',
+      '  "A" -- "B" [label="2"];',
+      '  "B" -- "New \\"C\\"" [label="1"];',
+      '}',
+    ].join('\n'));
+
+    const directedGraph = new Graph(true);
+    directedGraph.addEdge(new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), 2));
+
+    expect(directedGraph.toDot()).toBe([
+      'digraph {',
+      '  "A";',
+      '  "B";',
+      '  "A" -> "B" [label="2"];',
+      '}',
+    ].join('\n'));
+  });
+
+  it('should delete vertex together with its edges from undirected graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+    const edgeBC = new GraphEdge(vertexB, vertexC);
+    const edgeAC = new GraphEdge(vertexA, vertexC);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeAC);
+
+    graph.deleteVertex(vertexB);
+
+    expect(graph.toString()).toBe('A,C');
+    expect(graph.getAllEdges().length).toBe(1);
+    expect(graph.getAllEdges()[0]).toBe(edgeAC);
+    expect(graph.getNeighbors(vertexA)).toEqual([vertexC]);
+    expect(graph.getNeighbors(vertexC)).toEqual([vertexA]);
+    expect(graph.findVertexByKey('B')).toBeNull();
+  });
+
+  it('should delete vertex together with incoming and outgoing edges from directed graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+    const edgeBC = new GraphEdge(vertexB, vertexC);
+    const edgeCA = new GraphEdge(vertexC, vertexA);
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeCA)
+      .deleteVertex(vertexB);
+
+    expect(graph.toString()).toBe('A,C');
+    expect(graph.getAllEdges()).toEqual([edgeCA]);
+    expect(graph.getNeighbors(vertexA).length).toBe(0);
+    expect(graph.getNeighbors(vertexC)).toEqual([vertexA]);
+
+    expect(() => graph.deleteVertex(vertexB)).toThrow();
+  });
+
+  it('should build independent induced subgraph by vertex keys', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 1);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 2);
+    const edgeCD = new GraphEdge(vertexC, vertexD, 3);
+    const edgeAC = new GraphEdge(vertexA, vertexC, 4);
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeCD)
+      .addEdge(edgeAC);
+
+    const subgraph = graph.getInducedSubgraph(['A', 'C', 'D']);
+
+    expect(subgraph.isDirected).toBe(true);
+    expect(subgraph.toString()).toBe('A,C,D');
+    expect(subgraph.getAllEdges().map(edge => edge.toString())).toEqual(['C_D', 'A_C']);
+    expect(subgraph.getWeight()).toBe(7);
+
+    const subgraphVertexA = subgraph.getVertexByKey('A');
+    expect(subgraphVertexA).not.toBe(vertexA);
+    expect(subgraph.getAllEdges()[0]).not.toBe(edgeCD);
+
+    // Changes in subgraph must not affect original graph.
+    subgraph.reverse();
+    subgraph.getAllEdges()[0].weight = 100;
+
+    expect(graph.getNeighbors(vertexA)).toEqual([vertexB, vertexC]);
+    expect(edgeCD.startVertex).toBe(vertexC);
+    expect(edgeCD.weight).toBe(3);
+    expect(graph.getWeight()).toBe(10);
+  });
+
+  it('should build independent subgraph by edge filter', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 1);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 5);
+    const edgeCD = new GraphEdge(vertexC, vertexD, 2);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeBC)
+      .addEdge(edgeCD);
+
+    const subgraph = graph.getEdgeInducedSubgraph(edge => edge.weight < 3);
+
+    expect(subgraph.isDirected).toBe(false);
+    expect(subgraph.toString()).toBe('A,B,C,D');
+    expect(subgraph.getAllEdges().map(edge => edge.toString())).toEqual(['A_B', 'C_D']);
+    expect(subgraph.getNeighbors(subgraph.getVertexByKey('B')).length).toBe(1);
+    expect(graph.getNeighbors(vertexB).length).toBe(2);
+
+    subgraph.deleteVertex(subgraph.getVertexByKey('A'));
+    expect(graph.getAllEdges().length).toBe(3);
+    expect(graph.getNeighbors(vertexA)).toEqual([vertexB]);
+  });
+
+  it('should clone the graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph(true);
+    graph.addEdge(new GraphEdge(vertexA, vertexB, 3));
+
+    const clonedGraph = graph.clone();
+
+    expect(clonedGraph).not.toBe(graph);
+    expect(clonedGraph.toJSON()).toEqual(graph.toJSON());
+    expect(clonedGraph.getVertexByKey('A')).not.toBe(vertexA);
+  });
+
+  it('should throw an error when trying to add parallel edge to simple graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const graph = new Graph();
+    graph.addEdge(new GraphEdge(vertexA, vertexB, 1));
+
+    expect(() => graph.addEdge(new GraphEdge(vertexA, vertexB, 2))).toThrow();
+  });
+
+  it('should add parallel edges to multigraph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB1 = new GraphEdge(vertexA, vertexB, 5);
+    const edgeAB2 = new GraphEdge(vertexA, vertexB, 2);
+    const edgeAB3 = new GraphEdge(vertexA, vertexB, 7);
+    const edgeBC = new GraphEdge(vertexB, vertexC, 1);
+
+    const graph = new Graph(false, true);
+    graph
+      .addEdge(edgeAB1)
+      .addEdge(edgeAB2)
+      .addEdge(edgeAB3)
+      .addEdge(edgeBC);
+
+    expect(graph.isMultigraph).toBe(true);
+    expect(graph.getAllEdges().length).toBe(4);
+    expect(edgeAB1.getKey()).not.toBe(edgeAB2.getKey());
+    expect(edgeAB1.id).toBe('A_B_0');
+    expect(edgeAB3.toString()).toBe('A_B_2');
+
+    expect(graph.findEdges(vertexA, vertexB)).toEqual([edgeAB1, edgeAB2, edgeAB3]);
+    expect(graph.findEdges(vertexB, vertexA)).toEqual([edgeAB1, edgeAB2, edgeAB3]);
+    expect(graph.findEdges(vertexA, vertexC)).toEqual([]);
+    expect(graph.findEdge(vertexA, vertexB)).toBe(edgeAB2);
+    expect(graph.findEdge(vertexB, vertexA)).toBe(edgeAB2);
+    expect(graph.findEdge(vertexA, vertexC)).toBeNull();
+
+    expect(vertexA.getDegree()).toBe(3);
+    expect(vertexB.getDegree()).toBe(4);
+
+    expect(graph.getAdjacencyMatrix()).toEqual([
+      [Infinity, 2, Infinity],
+      [2, Infinity, 1],
+      [Infinity, 1, Infinity],
+    ]);
+
+    expect(() => graph.addEdge(edgeAB1)).toThrow();
+
+    graph.deleteEdge(edgeAB2);
+
+    expect(graph.findEdges(vertexA, vertexB)).toEqual([edgeAB1, edgeAB3]);
+    expect(graph.findEdge(vertexA, vertexB)).toBe(edgeAB1);
+  });
+
+  it('should reverse directed multigraph and keep edge ids', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const edgeAB1 = new GraphEdge(vertexA, vertexB, 5);
+    const edgeAB2 = new GraphEdge(vertexA, vertexB, 2);
+
+    const graph = new Graph(true, true);
+    graph
+      .addEdge(edgeAB1)
+      .addEdge(edgeAB2)
+      .reverse();
+
+    expect(graph.getAllEdges().length).toBe(2);
+    expect(edgeAB1.getKey()).toBe('A_B_0');
+    expect(graph.findEdges(vertexA, vertexB)).toEqual([]);
+    expect(graph.findEdges(vertexB, vertexA)).toEqual([edgeAB1, edgeAB2]);
+  });
+
+  it('should keep multigraph mode when serializing and copying', () => {
+    const graph = Graph.fromEdgeList('A B 3\nA B 1\nB C 2', false, true);
+
+    expect(graph.getAllEdges().length).toBe(3);
+    expect(graph.toEdgeList()).toBe('A B 3\nA B 1\nB C 2');
+
+    const restoredGraph = Graph.fromJSON(JSON.stringify(graph));
+    expect(restoredGraph.isMultigraph).toBe(true);
+    expect(restoredGraph.getAllEdges().length).toBe(3);
+
+    const subgraph = graph.getInducedSubgraph(['A', 'B']);
+    expect(subgraph.isMultigraph).toBe(true);
+    expect(subgraph.getAllEdges().map(edge => edge.weight)).toEqual([3, 1]);
+    expect(subgraph.getAllEdges()[0].getKey()).toBe('A_B_0');
+  });
+
+  it('should calculate in and out degrees and predecessors in directed graph', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+    const edgeAC = new GraphEdge(vertexA, vertexC);
+    const edgeBC = new GraphEdge(vertexB, vertexC);
+    const edgeCD = new GraphEdge(vertexC, vertexD);
+
+    const graph = new Graph(true);
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeAC)
+      .addEdge(edgeBC)
+      .addEdge(edgeCD);
+
+    expect(graph.getOutDegree(vertexA)).toBe(2);
+    expect(graph.getInDegree(vertexA)).toBe(0);
+    expect(graph.getOutDegree(vertexC)).toBe(1);
+    expect(graph.getInDegree(vertexC)).toBe(2);
+    expect(graph.getIncomingEdges(vertexC)).toEqual([edgeAC, edgeBC]);
+    expect(graph.getPredecessors(vertexC)).toEqual([vertexA, vertexB]);
+    expect(graph.getPredecessors(vertexA)).toEqual([]);
+
+    graph.deleteEdge(edgeAC);
+
+    expect(graph.getOutDegree(vertexA)).toBe(1);
+    expect(graph.getInDegree(vertexC)).toBe(1);
+    expect(graph.getPredecessors(vertexC)).toEqual([vertexB]);
+
+    graph.reverse();
+
+    expect(graph.getOutDegree(vertexA)).toBe(0);
+    expect(graph.getInDegree(vertexA)).toBe(1);
+    expect(graph.getPredecessors(vertexA)).toEqual([vertexB]);
+    expect(graph.getOutDegree(vertexC)).toBe(1);
+    expect(graph.getInDegree(vertexC)).toBe(1);
+    expect(graph.getPredecessors(vertexC)).toEqual([vertexD]);
+    expect(graph.getIncomingEdges(vertexB)).toEqual([edgeBC]);
+    expect(graph.getInDegree(vertexD)).toBe(0);
+    expect(graph.getOutDegree(vertexD)).toBe(1);
+
+    graph.deleteVertex(vertexB);
+
+    expect(graph.getInDegree(vertexA)).toBe(0);
+    expect(graph.getOutDegree(vertexC)).toBe(0);
+  });
+
+  it('should treat every edge of undirected graph as both incoming and outgoing', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+    const edgeCA = new GraphEdge(vertexC, vertexA);
+
+    const graph = new Graph();
+    graph
+      .addEdge(edgeAB)
+      .addEdge(edgeCA);
+
+    expect(graph.getInDegree(vertexA)).toBe(2);
+    expect(graph.getOutDegree(vertexA)).toBe(2);
+    expect(graph.getPredecessors(vertexA)).toEqual([vertexB, vertexC]);
+    expect(graph.getPredecessors(vertexB)).toEqual([vertexA]);
+    expect(graph.getIncomingEdges(vertexC)).toEqual([edgeCA]);
+
+    graph.deleteVertex(vertexA);
+
+    expect(graph.getInDegree(vertexB)).toBe(0);
+    expect(graph.getOutDegree(vertexC)).toBe(0);
+    expect(graph.getAllEdges()).toEqual([]);
+  });
+
+  it('should keep vertex and edge attributes when serializing and copying', () => {
+    const vertexA = new GraphVertex('A', { x: 0, y: 1 });
+    const vertexB = new GraphVertex('B');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB, 2, { travelTime: 7 });
+
+    const graph = new Graph();
+    graph.addEdge(edgeAB);
+
+    const json = graph.toJSON();
+    expect(json).toEqual({
+      isDirected: false,
+      isMultigraph: false,
+      vertices: ['A', 'B'],
+      edges: [{
+        startVertex: 'A',
+        endVertex: 'B',
+        weight: 2,
+        attrs: { travelTime: 7 },
+      }],
+      vertexAttrs: {
+        A: { x: 0, y: 1 },
+      },
+    });
+
+    const restoredGraph = Graph.fromJSON(JSON.stringify(graph));
+    expect(restoredGraph.getVertexByKey('A').attrs).toEqual({ x: 0, y: 1 });
+    expect(restoredGraph.getVertexByKey('B').attrs).toEqual({});
+    expect(restoredGraph.getAllEdges()[0].getAttribute('travelTime')).toBe(7);
+
+    const clonedGraph = graph.clone();
+    clonedGraph.getVertexByKey('A').setAttribute('x', 10);
+    clonedGraph.getAllEdges()[0].setAttribute('travelTime', 1);
+
+    expect(clonedGraph.getVertexByKey('A').getAttribute('y')).toBe(1);
+    expect(vertexA.getAttribute('x')).toBe(0);
+    expect(edgeAB.getAttribute('travelTime')).toBe(7);
+  });
+
+  it('should notify subscribed listeners about graph changes', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+    const edgeBC = new GraphEdge(vertexB, vertexC);
+
+    const graph = new Graph(true);
+    const changes = [];
+    const listener = change => changes.push(change);
+    const unsubscribe = graph.subscribe(listener);
+
+    graph
+      .addVertex(vertexA)
+      .addEdge(edgeAB);
+
+    expect(changes).toEqual([
+      { type: 'vertexAdded', vertex: vertexA },
+      { type: 'vertexAdded', vertex: vertexB },
+      { type: 'edgeAdded', edge: edgeAB },
+    ]);
+
+    changes.length = 0;
+    graph.addEdge(edgeBC);
+    graph.deleteEdge(edgeAB);
+
+    expect(changes.map(change => change.type)).toEqual([
+      'vertexAdded',
+      'edgeAdded',
+      'edgeRemoved',
+    ]);
+    expect(changes[2].edge).toBe(edgeAB);
+
+    changes.length = 0;
+    graph.reverse();
+
+    expect(changes).toEqual([{ type: 'reversed' }]);
+
+    changes.length = 0;
+    graph.deleteVertex(vertexC);
+
+    expect(changes).toEqual([
+      { type: 'edgeRemoved', edge: edgeBC },
+      { type: 'vertexRemoved', vertex: vertexC },
+    ]);
+
+    changes.length = 0;
+    unsubscribe();
+    graph.addEdge(new GraphEdge(vertexA, vertexC));
+
+    expect(changes).toEqual([]);
+  });
+
+  it('should support several listeners and unsubscribing by listener', () => {
+    const graph = new Graph();
+
+    const listenerA = jest.fn();
+    const listenerB = jest.fn();
+
+    graph.subscribe(listenerA);
+    graph.subscribe(listenerB);
+    graph.addVertex(new GraphVertex('A'));
+
+    expect(listenerA).toHaveBeenCalledTimes(1);
+    expect(listenerB).toHaveBeenCalledTimes(1);
+
+    graph.unsubscribe(listenerA);
+    graph.addVertex(new GraphVertex('B'));
+
+    expect(listenerA).toHaveBeenCalledTimes(1);
+    expect(listenerB).toHaveBeenCalledTimes(2);
+  });
+
+  it('should emit one combined change for transaction', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+
+    const edgeAB = new GraphEdge(vertexA, vertexB);
+
+    const graph = new Graph();
+    const changes = [];
+    graph.subscribe(change => changes.push(change));
+
+    graph.transaction(() => {
+      graph.addEdge(edgeAB);
+
+      // Nested transaction must not emit its changes separately.
+      graph.transaction(() => {
+        graph.deleteEdge(edgeAB);
+      });
+
+      expect(changes).toEqual([]);
+    });
+
+    expect(changes).toEqual([{
+      type: 'batch',
+      changes: [
+        { type: 'vertexAdded', vertex: vertexA },
+        { type: 'vertexAdded', vertex: vertexB },
+        { type: 'edgeAdded', edge: edgeAB },
+        { type: 'edgeRemoved', edge: edgeAB },
+      ],
+    }]);
+
+    // Empty transaction should not emit anything.
+    changes.length = 0;
+    graph.transaction(() => {});
+    expect(changes).toEqual([]);
+  });
+
+  it('should emit changes made by failed transaction', () => {
+    const vertexA = new GraphVertex('A');
+
+    const graph = new Graph();
+    const changes = [];
+    graph.subscribe(change => changes.push(change));
+
+    expect(() => {
+      graph.transaction(() => {
+        graph.addVertex(vertexA);
+        throw new Error('Transaction failed');
+      });
+    }).toThrow('Transaction failed');
+
+    expect(changes).toEqual([{
+      type: 'batch',
+      changes: [{ type: 'vertexAdded', vertex: vertexA }],
+    }]);
+
+    changes.length = 0;
+    graph.addVertex(new GraphVertex('B'));
+    expect(changes.length).toBe(1);
+    expect(changes[0].type).toBe('vertexAdded');
+  });
 });
@@ -39,4 +39,33 @@ describe('GraphEdge', () => {
     expect(edge.endVertex).toEqual(vertexA);
     expect(edge.weight).toEqual(10);
   });
+
+  it('should use edge id as a key if it has been assigned', () => {
+    const edge = new GraphEdge(new GraphVertex('A'), new GraphVertex('B'));
+
+    expect(edge.id).toBeNull();
+
+    expect(edge.setId('A_B_1')).toBe(edge);
+
+    expect(edge.id).toBe('A_B_1');
+    expect(edge.getKey()).toBe('A_B_1');
+    expect(edge.toString()).toBe('A_B_1');
+  });
+
+  it('should store edge attributes', () => {
+    const edge = new GraphEdge(new GraphVertex('A'), new GraphVertex('B'), 5, { capacity: 10 });
+
+    expect(edge.weight).toBe(5);
+    expect(edge.attrs).toEqual({ capacity: 10 });
+    expect(edge.getAttribute('capacity')).toBe(10);
+    expect(edge.hasAttribute('capacity')).toBe(true);
+
+    edge
+      .setAttribute('cost', 3)
+      .deleteAttribute('capacity');
+
+    expect(edge.attrs).toEqual({ cost: 3 });
+    expect(edge.hasAttribute('capacity')).toBe(false);
+    expect(new GraphEdge(new GraphVertex('A'), new GraphVertex('B')).attrs).toEqual({});
+  });
 });
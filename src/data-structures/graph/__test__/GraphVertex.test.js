@@ -20,7 +20,7 @@ describe('GraphVertex', () => {
     expect(vertex.value).toBe('A');
     expect(vertex.toString()).toBe('A');
     expect(vertex.getKey()).toBe('A');
-    expect(vertex.edges.toString()).toBe('');
+    expect(vertex.getDegree()).toBe(0);
     expect(vertex.getEdges()).toEqual([]);
   });
 
@@ -184,5 +184,113 @@ describe('GraphVertex', () => {
     expect(vertexA.getDegree()).toBe(3);
 
     expect(vertexA.getEdges().length).toEqual(3);
+
+    // Returned list is a copy.
+    vertexA.getEdges().pop();
+    expect(vertexA.getEdges().length).toEqual(3);
+
+    expect(vertexA.findEdges(vertexB)).toEqual([edgeAB, edgeBA, edgeAB]);
+
+    // Every copy of the edge is deleted.
+    vertexA.deleteEdge(edgeAB);
+    expect(vertexA.getDegree()).toBe(1);
+    expect(vertexA.getEdges()).toEqual([edgeBA]);
+    expect(vertexA.hasEdge(edgeAB)).toBe(false);
+  });
+
+  it('should find edges to neighbors by their keys', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeAB1 = new GraphEdge(vertexA, vertexB, 3);
+    const edgeAB2 = new GraphEdge(vertexA, vertexB, 1);
+    const edgeCA = new GraphEdge(vertexC, vertexA);
+    edgeAB1.setId('A_B_1');
+    edgeAB2.setId('A_B_2');
+
+    vertexA
+      .addEdge(edgeAB1)
+      .addEdge(edgeCA)
+      .addEdge(edgeAB2);
+
+    expect(vertexA.getDegree()).toBe(3);
+    expect(vertexA.getNeighbors()).toEqual([vertexB, vertexC, vertexB]);
+    expect(vertexA.hasNeighbor(vertexB)).toBe(true);
+    expect(vertexA.hasNeighbor(vertexC)).toBe(true);
+    expect(vertexA.hasNeighbor(vertexA)).toBe(false);
+    expect(vertexA.findEdge(vertexB)).toBe(edgeAB1);
+    expect(vertexA.findEdge(vertexC)).toBe(edgeCA);
+    expect(vertexA.findEdges(vertexB)).toEqual([edgeAB1, edgeAB2]);
+    expect(vertexA.findEdges(vertexA)).toEqual([]);
+
+    vertexA.deleteEdge(edgeAB1);
+
+    expect(vertexA.hasNeighbor(vertexB)).toBe(true);
+    expect(vertexA.findEdge(vertexB)).toBe(edgeAB2);
+    expect(vertexA.hasEdge(edgeAB1)).toBe(false);
+
+    vertexA.deleteEdge(edgeAB2);
+
+    expect(vertexA.hasNeighbor(vertexB)).toBe(false);
+    expect(vertexA.findEdge(vertexB)).toBeNull();
+    expect(vertexA.findEdges(vertexB)).toEqual([]);
+    expect(vertexA.getNeighbors()).toEqual([vertexC]);
+
+    // Deleting not attached edge should do nothing.
+    vertexA.deleteEdge(edgeAB2);
+    expect(vertexA.getDegree()).toBe(1);
+  });
+
+  it('should keep track of incoming edges and predecessors', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+
+    const edgeBA = new GraphEdge(vertexB, vertexA);
+    const edgeCA = new GraphEdge(vertexC, vertexA);
+
+    expect(vertexA.getInDegree()).toBe(0);
+    expect(vertexA.getIncomingEdges()).toEqual([]);
+    expect(vertexA.getPredecessors()).toEqual([]);
+
+    vertexA
+      .addIncomingEdge(edgeBA)
+      .addIncomingEdge(edgeCA);
+
+    expect(vertexA.getInDegree()).toBe(2);
+    expect(vertexA.getOutDegree()).toBe(0);
+    expect(vertexA.getIncomingEdges()).toEqual([edgeBA, edgeCA]);
+    expect(vertexA.getPredecessors()).toEqual([vertexB, vertexC]);
+
+    vertexA.deleteIncomingEdge(edgeBA);
+
+    expect(vertexA.getInDegree()).toBe(1);
+    expect(vertexA.getPredecessors()).toEqual([vertexC]);
+  });
+
+  it('should store vertex attributes', () => {
+    const attrs = { label: 'Kyiv' };
+    const vertex = new GraphVertex('A', attrs);
+
+    expect(vertex.attrs).toEqual({ label: 'Kyiv' });
+    expect(vertex.getAttribute('label')).toBe('Kyiv');
+    expect(vertex.hasAttribute('label')).toBe(true);
+    expect(vertex.hasAttribute('color')).toBe(false);
+    expect(vertex.getAttribute('color')).toBeUndefined();
+
+    vertex
+      .setAttribute('color', 'red')
+      .setAttribute('label', 'Lviv');
+
+    expect(vertex.getAttribute('color')).toBe('red');
+    expect(vertex.getAttribute('label')).toBe('Lviv');
+
+    // Attributes object that was passed to constructor must stay untouched.
+    expect(attrs).toEqual({ label: 'Kyiv' });
+
+    vertex.deleteAttribute('color');
+    expect(vertex.hasAttribute('color')).toBe(false);
+    expect(new GraphVertex('B').attrs).toEqual({});
   });
 });
@@ -1,4 +1,5 @@
 import MinHeap from '../MinHeap';
+import Comparator from '../../../utils/comparator/Comparator';
 
 describe('MinHeap', () => {
   it('should create an empty min heap', () => {
@@ -147,4 +148,29 @@ describe('MinHeap', () => {
     expect(minHeap.remove(3).toString()).toEqual('4');
     expect(minHeap.remove(4).toString()).toEqual('');
   });
+
+  it('should remove only the items matched by custom finding comparator', () => {
+    const minHeap = new MinHeap((a, b) => {
+      if (a.priority === b.priority) {
+        return 0;
+      }
+
+      return a.priority < b.priority ? -1 : 1;
+    });
+
+    const itemA = { value: 'a', priority: 5 };
+    const itemB = { value: 'b', priority: 5 };
+    const itemC = { value: 'c', priority: 5 };
+    minHeap.add(itemA).add(itemB).add(itemC);
+
+    minHeap.remove(itemB, new Comparator((a, b) => {
+      if (a.value === b.value) {
+        return 0;
+      }
+
+      return a.value < b.value ? -1 : 1;
+    }));
+
+    expect(minHeap.heapContainer).toEqual([itemA, itemC]);
+  });
 });
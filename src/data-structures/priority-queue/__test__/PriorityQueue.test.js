@@ -100,4 +100,19 @@ describe('PriorityQueue', () => {
     expect(priorityQueue.hasValue(70)).toBeFalsy();
     expect(priorityQueue.hasValue(15)).toBeTruthy();
   });
+
+  it('should keep other items with the same priority when changing priority', () => {
+    const priorityQueue = new PriorityQueue();
+
+    priorityQueue.add(10, 5);
+    priorityQueue.add(20, 5);
+    priorityQueue.add(30, 5);
+
+    priorityQueue.changePriority(20, 1);
+
+    expect(priorityQueue.heapContainer.length).toBe(3);
+    expect(priorityQueue.poll()).toBe(20);
+    expect(priorityQueue.hasValue(10)).toBeTruthy();
+    expect(priorityQueue.hasValue(30)).toBeTruthy();
+  });
 });
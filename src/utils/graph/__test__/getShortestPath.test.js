@@ -0,0 +1,50 @@
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import Graph from '../../../data-structures/graph/Graph';
+import getShortestPath from '../getShortestPath';
+import dijkstra from '../../../algorithms/graph/dijkstra/dijkstra';
+import bellmanFord from '../../../algorithms/graph/bellman-ford/bellmanFord';
+
+describe('getShortestPath', () => {
+  it('should restore shortest paths found by dijkstra and bellmanFord', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+    const vertexE = new GraphVertex('E');
+
+    const graph = new Graph(true);
+    graph
+      .addVertex(vertexE)
+      .addEdge(new GraphEdge(vertexA, vertexB, 4))
+      .addEdge(new GraphEdge(vertexA, vertexC, 1))
+      .addEdge(new GraphEdge(vertexC, vertexB, 2))
+      .addEdge(new GraphEdge(vertexB, vertexD, 5));
+
+    [dijkstra, bellmanFord].forEach((findShortestPaths) => {
+      const shortestPaths = findShortestPaths(graph, vertexA);
+
+      expect(getShortestPath(shortestPaths, vertexD)).toEqual({
+        path: [vertexA, vertexC, vertexB, vertexD],
+        cost: 8,
+      });
+      expect(getShortestPath(shortestPaths, vertexA)).toEqual({
+        path: [vertexA],
+        cost: 0,
+      });
+      expect(getShortestPath(shortestPaths, vertexE)).toBeNull();
+    });
+  });
+
+  it('should return null for vertices that are unknown to the search result', () => {
+    const vertexA = new GraphVertex('A');
+
+    const shortestPaths = {
+      distances: { A: 0 },
+      previousVertices: { A: null },
+    };
+
+    expect(getShortestPath(shortestPaths, new GraphVertex('B'))).toBeNull();
+    expect(getShortestPath(shortestPaths, vertexA).path).toEqual([vertexA]);
+  });
+});
@@ -0,0 +1,30 @@
+import GraphVertex from '../../../data-structures/graph/GraphVertex';
+import GraphEdge from '../../../data-structures/graph/GraphEdge';
+import Graph from '../../../data-structures/graph/Graph';
+import getUndirectedNeighbors from '../getUndirectedNeighbors';
+
+describe('getUndirectedNeighbors', () => {
+  it('should collect neighbors of directed multigraph ignoring directions', () => {
+    const vertexA = new GraphVertex('A');
+    const vertexB = new GraphVertex('B');
+    const vertexC = new GraphVertex('C');
+    const vertexD = new GraphVertex('D');
+
+    const graph = new Graph(true, true);
+    graph
+      .addVertex(vertexD)
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexB, vertexA))
+      .addEdge(new GraphEdge(vertexA, vertexB))
+      .addEdge(new GraphEdge(vertexC, vertexB))
+      .addEdge(new GraphEdge(vertexC, vertexC));
+
+    const neighbors = getUndirectedNeighbors(graph);
+
+    expect(Object.keys(neighbors).sort()).toEqual(['A', 'B', 'C', 'D']);
+    expect([...neighbors.A]).toEqual(['B']);
+    expect([...neighbors.B].sort()).toEqual(['A', 'C']);
+    expect([...neighbors.C].sort()).toEqual(['B', 'C']);
+    expect([...neighbors.D]).toEqual([]);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * @typedef {Object} AllPairsShortestPaths
+ *
+ * @property {GraphVertex[]} vertices - Graph vertices in the order of matrices rows.
+ * @property {Object} verticesIndices - Index of the row of every vertex by its key.
+ * @property {number[][]} distances - distances[i][j] is the cost of the shortest path
+ *  from i-th vertex to j-th one.
+ * @property {(GraphVertex|null)[][]} nextVertices - nextVertices[i][j] is the vertex that
+ *  follows i-th one on the shortest path from i-th vertex to j-th one.
+ */
+
+/**
+ * Restores the shortest path between two vertices from the result of all pairs
+ * shortest paths algorithm (e.g. floydWarshall or johnson).
+ *
+ * @param {AllPairsShortestPaths} allPairsShortestPaths
+ * @param {string} startVertexKey
+ * @param {string} endVertexKey
+ * @return {({path: GraphVertex[], cost: number}|null)} - null if there is no shortest path.
+ */
+export default function getAllPairsShortestPath(
+  allPairsShortestPaths,
+  startVertexKey,
+  endVertexKey,
+) {
+  const {
+    vertices,
+    verticesIndices,
+    distances,
+    nextVertices,
+  } = allPairsShortestPaths;
+
+  const startIndex = verticesIndices[startVertexKey];
+  const endIndex = verticesIndices[endVertexKey];
+
+  if (startIndex === undefined || endIndex === undefined) {
+    return null;
+  }
+
+  const cost = distances[startIndex][endIndex];
+
+  // There is either no path at all or it goes through negative cycle.
+  if (!Number.isFinite(cost)) {
+    return null;
+  }
+
+  // Follow next-hop vertices from the start until the end vertex is reached.
+  const path = [vertices[startIndex]];
+  let currentIndex = startIndex;
+  while (currentIndex !== endIndex) {
+    const nextVertex = nextVertices[currentIndex][endIndex];
+    path.push(nextVertex);
+    currentIndex = verticesIndices[nextVertex.getKey()];
+  }
+
+  return { path, cost };
+}
@@ -0,0 +1,30 @@
+/**
+ * Restores the shortest path to the target vertex from the result of
+ * single source shortest path algorithm (e.g. dijkstra or bellmanFord).
+ *
+ * @param {{distances: object, previousVertices: object}} shortestPaths
+ * @param {GraphVertex} targetVertex
+ * @return {({path: GraphVertex[], cost: number}|null)} - null if target is unreachable
+ *  or its distance is -Infinity because of negative cycle.
+ */
+export default function getShortestPath(shortestPaths, targetVertex) {
+  const { distances, previousVertices } = shortestPaths;
+  const cost = distances[targetVertex.getKey()];
+
+  if (cost === undefined || !Number.isFinite(cost)) {
+    return null;
+  }
+
+  // Walk back from the target to the start vertex.
+  const path = [];
+  let currentVertex = targetVertex;
+  while (currentVertex) {
+    path.push(currentVertex);
+    currentVertex = previousVertices[currentVertex.getKey()];
+  }
+
+  return {
+    path: path.reverse(),
+    cost,
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * Collects the neighbors of every vertex ignoring edge directions: two vertices
+ * are neighbors if there is an edge between them in any direction. Parallel
+ * edges give one neighbor and self loop makes the vertex its own neighbor.
+ *
+ * @param {Graph} graph
+ * @return {Object<string, Set<string>>} - Keys of the neighbors by vertex key.
+ */
+export default function getUndirectedNeighbors(graph) {
+  const neighbors = {};
+
+  graph.getAllVertices().forEach((vertex) => {
+    neighbors[vertex.getKey()] = new Set();
+  });
+
+  graph.getAllEdges().forEach((edge) => {
+    const startKey = edge.startVertex.getKey();
+    const endKey = edge.endVertex.getKey();
+
+    neighbors[startKey].add(endKey);
+    neighbors[endKey].add(startKey);
+  });
+
+  return neighbors;
+}
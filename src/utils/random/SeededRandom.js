@@ -0,0 +1,52 @@
+/**
+ * Pseudo random numbers generator (Mulberry32) that produces the same sequence
+ * of numbers for the same seed. It is useful when random input must be reproducible.
+ */
+export default class SeededRandom {
+  /**
+   * @param {number} [seed]
+   */
+  constructor(seed = 1) {
+    this.state = seed | 0;
+  }
+
+  /**
+   * @return {number} - Random number in [0, 1) range.
+   */
+  random() {
+    this.state = (this.state + 0x6D2B79F5) | 0;
+
+    let t = Math.imul(this.state ^ (this.state >>> 15), 1 | this.state);
+    t ^= t + Math.imul(t ^ (t >>> 7), 61 | t);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * @param {number} min
+   * @param {number} max
+   * @return {number} - Random integer in [min, max] range.
+   */
+  randomInt(min, max) {
+    return min + Math.floor(this.random() * ((max - min) + 1));
+  }
+
+  /**
+   * Fisher–Yates shuffle.
+   *
+   * @param {*[]} items
+   * @return {*[]} - New array with the same items in random order.
+   */
+  shuffle(items) {
+    const shuffledItems = [...items];
+
+    for (let i = shuffledItems.length - 1; i > 0; i -= 1) {
+      const randomIndex = this.randomInt(0, i);
+      const item = shuffledItems[i];
+      shuffledItems[i] = shuffledItems[randomIndex];
+      shuffledItems[randomIndex] = item;
+    }
+
+    return shuffledItems;
+  }
+}
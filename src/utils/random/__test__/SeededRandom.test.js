@@ -0,0 +1,53 @@
+import SeededRandom from '../SeededRandom';
+
+describe('SeededRandom', () => {
+  it('should generate numbers in [0, 1) range', () => {
+    const seededRandom = new SeededRandom(42);
+
+    for (let i = 0; i < 1000; i += 1) {
+      const number = seededRandom.random();
+      expect(number).toBeGreaterThanOrEqual(0);
+      expect(number).toBeLessThan(1);
+    }
+  });
+
+  it('should generate the same sequence for the same seed', () => {
+    const seededRandomA = new SeededRandom(7);
+    const seededRandomB = new SeededRandom(7);
+    const seededRandomC = new SeededRandom(8);
+
+    const sequenceA = [1, 2, 3, 4, 5].map(() => seededRandomA.random());
+    const sequenceB = [1, 2, 3, 4, 5].map(() => seededRandomB.random());
+    const sequenceC = [1, 2, 3, 4, 5].map(() => seededRandomC.random());
+
+    expect(sequenceA).toEqual(sequenceB);
+    expect(sequenceA).not.toEqual(sequenceC);
+  });
+
+  it('should generate integers in inclusive range', () => {
+    const seededRandom = new SeededRandom();
+    const generatedNumbers = {};
+
+    for (let i = 0; i < 1000; i += 1) {
+      const number = seededRandom.randomInt(-2, 2);
+      expect(Number.isInteger(number)).toBe(true);
+      generatedNumbers[number] = true;
+    }
+
+    expect(Object.keys(generatedNumbers).sort()).toEqual(['-1', '-2', '0', '1', '2']);
+    expect(seededRandom.randomInt(5, 5)).toBe(5);
+  });
+
+  it('should shuffle items', () => {
+    const items = [1, 2, 3, 4, 5, 6, 7, 8];
+
+    const shuffledItems = new SeededRandom(3).shuffle(items);
+    expect(shuffledItems).not.toBe(items);
+    expect([...shuffledItems].sort()).toEqual(items);
+    expect(items).toEqual([1, 2, 3, 4, 5, 6, 7, 8]);
+
+    expect(new SeededRandom(3).shuffle(items)).toEqual(shuffledItems);
+    expect(new SeededRandom(4).shuffle(items)).not.toEqual(shuffledItems);
+    expect(new SeededRandom().shuffle([])).toEqual([]);
+  });
+});